@@ -0,0 +1,455 @@
+/**
+ * Post Embed - Vercel Edge Function
+ *
+ * Renders /embed/p/[postId]: a compact post card (image, caption, author pill,
+ * watch name, like/comment counts, "Open in tickIQ") for blogs and forums:
+ *
+ *   <iframe src="https://tickiq.app/embed/p/<postId>" width="390" height="600"
+ *           style="border:0" loading="lazy"></iframe>
+ *
+ * Video posts play muted inline. The card doubles as the post's twitter:player.
+ *
+ * Framing: everything else is DENY (vercel.json); embed routes send their own
+ * Content-Security-Policy frame-ancestors instead.
+ *
+ * Auto-resize: the card posts { type: 'tickiq:embed:resize', postId, height }
+ * to the parent window on load and on every size change. Hosts can ask for
+ * a fresh message with { type: 'tickiq:embed:measure' }.
+ *
+ * Caching: same as the post page (10min edge, 15min stale-while-revalidate)
+ */
+
+// Paths are relative to the built route (app/api/embed/post/route.js)
+import { buildImagePlaceholder } from '../../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../../lib/image-lqip.js';
+import { UUID_PATTERN, POST_CACHE_CONTROL, fetchPublicPost, toPublicPost, getPostImages } from '../../../../lib/public-post.js';
+import { escapeHtml, formatCount } from '../../../../lib/post-html.js';
+import { formatCaptionHtml } from '../../../../lib/caption.js';
+
+export const runtime = 'edge';
+
+// Any site may frame the embed (the rest of the site sends X-Frame-Options: DENY)
+const FRAME_POLICY = 'frame-ancestors *';
+
+// Post images are 3:4 portrait
+const PLACEHOLDER_WIDTH = 12;
+const PLACEHOLDER_HEIGHT = 16;
+
+// Card is at most 390px wide - request the 2x variant
+const EMBED_IMAGE_WIDTH = 768;
+
+export async function GET(request) {
+  const url = new URL(request.url);
+  const currentDomain = `${url.protocol}//${url.host}`;
+
+  // Extract post ID from path (expecting /embed/p/postId)
+  const postId = url.pathname.split('/')[3] || '';
+
+  if (!UUID_PATTERN.test(postId)) {
+    return renderUnavailableCard(404);
+  }
+
+  let post;
+  let coverImage = null;
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+    if (!data) {
+      console.log(`[EMBED] Post not found or not accessible: ${postId} (status: ${status})`);
+      return renderUnavailableCard(404);
+    }
+    post = toPublicPost(data, postId, currentDomain);
+    coverImage = getPostImages(data)[0] || null;
+  } catch (error) {
+    console.error('[EMBED] Failed to fetch post data:', error);
+    return renderUnavailableCard(502);
+  }
+
+  let imageSkeletonHtml = '<div class="embed-image-skeleton"></div>';
+  let imageHtml = '';
+  if (post.image_url) {
+    // BlurHash from the function, else the LQIP the image proxy rendered (no colour unless JPEG)
+    const placeholder = coverImage && (await buildImagePlaceholder(coverImage.blurhash, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT) ||
+      await findImageLqip(coverImage.token, process.env));
+    if (placeholder) {
+      const background = placeholder.color ? `background-color: ${placeholder.color}; ` : '';
+      imageSkeletonHtml = `<div class="embed-image-skeleton blur-placeholder" style="${background}background-image: url('${placeholder.dataUrl}');"></div>`;
+    }
+    imageHtml = `<img class="embed-image" src="${post.image_url}?w=${EMBED_IMAGE_WIDTH}" alt="Watch photo shared on tickIQ" onload="this.classList.add('loaded')">`;
+  }
+  if (post.video_url) {
+    const posterAttribute = post.image_url ? ` poster="${post.image_url}?w=${EMBED_IMAGE_WIDTH}"` : '';
+    imageHtml += `<video class="embed-video" src="${post.video_url}"${posterAttribute} autoplay muted loop playsinline preload="metadata" aria-label="Watch video shared on tickIQ" onerror="this.remove()"></video>`;
+  }
+
+  const embedTitle = post.author_username
+    ? `Post by @${escapeHtml(post.author_username)} on tickIQ`
+    : 'Post on tickIQ';
+  // The whole card is a link - keep line breaks, but no links inside it
+  const captionHtml = post.caption ? `<p class="embed-caption">${formatCaptionHtml(post.caption, { links: false })}</p>` : '';
+  const usernamePillHtml = post.author_username
+    ? `<span class="embed-username-pill">@${escapeHtml(post.author_username)}</span>`
+    : '';
+  const watchNameHtml = post.watch_display_name
+    ? `<span class="embed-watch-name">· ${escapeHtml(post.watch_display_name)}</span>`
+    : '';
+
+  // Use the embedded HTML template
+  // Use function replacements to prevent $ in captions being interpreted as backreference
+  const html = EMBED_POST_HTML_TEMPLATE
+    .replace(/\{\{EMBED_TITLE\}\}/g, () => embedTitle)
+    .replace(/\{\{POST_URL\}\}/g, () => post.url)
+    .replace(/\{\{POST_ID\}\}/g, () => postId)
+    .replace(/\{\{EMBED_IMAGE_SKELETON_HTML\}\}/g, () => imageSkeletonHtml)
+    .replace(/\{\{EMBED_IMAGE_HTML\}\}/g, () => imageHtml)
+    .replace(/\{\{EMBED_CAPTION_HTML\}\}/g, () => captionHtml)
+    .replace(/\{\{EMBED_USERNAME_PILL_HTML\}\}/g, () => usernamePillHtml)
+    .replace(/\{\{EMBED_WATCH_NAME_HTML\}\}/g, () => watchNameHtml)
+    .replace(/\{\{EMBED_LIKE_COUNT\}\}/g, () => formatCount(post.like_count))
+    .replace(/\{\{EMBED_COMMENT_COUNT\}\}/g, () => formatCount(post.comment_count));
+
+  return new Response(html, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': POST_CACHE_CONTROL,
+      'Content-Security-Policy': FRAME_POLICY,
+    },
+  });
+}
+
+/**
+ * Minimal card for missing, private or failed posts
+ * Still frameable, so the host page shows a message instead of a browser error
+ */
+function renderUnavailableCard(status) {
+  const message = status === 404
+    ? 'This post doesn\'t exist or is no longer available.'
+    : 'Something went wrong. Please try again later.';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex,nofollow">
+    <title>Post Not Available - tickIQ</title>
+    <style>
+        body {
+            margin: 0;
+            background: transparent;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        }
+
+        .embed-unavailable {
+            max-width: 390px;
+            margin: 0 auto;
+            padding: 24px 16px;
+            border-radius: 24px;
+            border: 1px solid rgba(0, 0, 0, 0.08);
+            background: #f0f0f0;
+            text-align: center;
+            font-size: 0.875rem;
+            color: rgba(0, 0, 0, 0.5);
+        }
+    </style>
+</head>
+<body>
+    <div class="embed-unavailable">${message}</div>
+    <script>
+        // Same auto-resize message as the card, so the host can shrink the iframe
+        if (window.parent !== window) {
+            const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+            window.parent.postMessage({ type: 'tickiq:embed:resize', postId: null, height }, '*');
+        }
+    </script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': status === 404 ? 'public, s-maxage=60' : 'no-store',
+      'Content-Security-Policy': FRAME_POLICY,
+    },
+  });
+}
+
+// This will be replaced during build with the actual embed-post.html content
+const EMBED_POST_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex,nofollow">
+    <title>{{EMBED_TITLE}}</title>
+    <link rel="canonical" href="{{POST_URL}}">
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+
+    <style>
+        /* Self-contained: the embed does not load styles.css or components.js */
+        *, *::before, *::after {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
+        }
+
+        html, body {
+            background: transparent;
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            -webkit-font-smoothing: antialiased;
+        }
+
+        /* Compact feed cell (same look as the post page, scaled to the iframe width) */
+        .embed-card {
+            display: block;
+            width: 100%;
+            max-width: 390px;
+            margin: 0 auto;
+            border-radius: 24px;
+            overflow: hidden;
+            background: #fff;
+            border: 1px solid rgba(0, 0, 0, 0.08);
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .embed-image-container {
+            position: relative;
+            width: 100%;
+            aspect-ratio: 3 / 4;
+            background: #f0f0f0;
+            overflow: hidden;
+        }
+
+        .embed-image-skeleton {
+            position: absolute;
+            inset: 0;
+        }
+
+        /* BlurHash placeholder: tiny image upscaled and blurred */
+        .embed-image-skeleton.blur-placeholder {
+            background-size: cover;
+            background-position: center;
+            filter: blur(16px);
+            transform: scale(1.1);
+        }
+
+        .embed-image {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            opacity: 0;
+            transition: opacity 0.5s ease;
+        }
+
+        .embed-image.loaded {
+            opacity: 1;
+        }
+
+        /* Video posts: muted inline player over the poster photo */
+        .embed-video {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .embed-overlay-gradient {
+            position: absolute;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            height: 55%;
+            background: linear-gradient(
+                to top,
+                rgba(0, 0, 0, 0.55) 0%,
+                rgba(0, 0, 0, 0.3) 35%,
+                rgba(0, 0, 0, 0) 100%
+            );
+            pointer-events: none;
+        }
+
+        .embed-overlay-content {
+            position: absolute;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            padding: 12px 16px 18px 16px;
+        }
+
+        .embed-caption {
+            font-size: 1rem;
+            font-weight: 700;
+            line-height: 1.3;
+            color: #fff;
+            text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
+            display: -webkit-box;
+            -webkit-line-clamp: 3;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+        }
+
+        .embed-meta-row {
+            display: flex;
+            align-items: center;
+            gap: 5px;
+            margin-top: 6px;
+            overflow: hidden;
+        }
+
+        .embed-username-pill {
+            display: inline-flex;
+            align-items: center;
+            background: rgba(255, 255, 255, 0.12);
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+            border-radius: 9999px;
+            height: 22px;
+            padding: 0 8px;
+            flex-shrink: 0;
+            max-width: 50%;
+            font-size: 0.75rem;
+            font-weight: 500;
+            color: #fff;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .embed-watch-name {
+            font-size: 0.625rem;
+            font-weight: 500;
+            color: rgba(255, 255, 255, 0.6);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            min-width: 0;
+        }
+
+        /* Footer bar: counts on the left, "Open in tickIQ" on the right */
+        .embed-footer {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 10px 16px;
+        }
+
+        .embed-counts {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            font-size: 0.8125rem;
+            font-weight: 500;
+            color: #333;
+        }
+
+        .embed-count {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+        }
+
+        .embed-count svg {
+            width: 18px;
+            height: 18px;
+        }
+
+        .embed-open {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 0.8125rem;
+            font-weight: 600;
+            color: #000;
+            white-space: nowrap;
+        }
+
+        .embed-open img {
+            width: 20px;
+            height: 20px;
+            border-radius: 5px;
+        }
+    </style>
+</head>
+<body>
+    <a class="embed-card" href="{{POST_URL}}" target="_blank" rel="noopener">
+        <div class="embed-image-container">
+            {{EMBED_IMAGE_SKELETON_HTML}}
+            {{EMBED_IMAGE_HTML}}
+            <div class="embed-overlay-gradient"></div>
+            <div class="embed-overlay-content">
+                {{EMBED_CAPTION_HTML}}
+                <div class="embed-meta-row">
+                    {{EMBED_USERNAME_PILL_HTML}}
+                    {{EMBED_WATCH_NAME_HTML}}
+                </div>
+            </div>
+        </div>
+        <div class="embed-footer">
+            <div class="embed-counts">
+                <span class="embed-count" title="Likes">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <path d="M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z"/>
+                    </svg>
+                    {{EMBED_LIKE_COUNT}}
+                </span>
+                <span class="embed-count" title="Comments">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <path d="M12 20.25c4.97 0 9-3.694 9-8.25s-4.03-8.25-9-8.25S3 7.444 3 12c0 2.104.859 4.023 2.273 5.48.432.447.74 1.04.586 1.641a4.483 4.483 0 01-.923 1.785A5.969 5.969 0 006 21c1.282 0 2.47-.402 3.445-1.087.81.22 1.668.337 2.555.337z"/>
+                    </svg>
+                    {{EMBED_COMMENT_COUNT}}
+                </span>
+            </div>
+            <span class="embed-open">
+                <img src="/assets/icons/favicon-64x64.png" alt="">
+                Open in tickIQ
+            </span>
+        </div>
+    </a>
+
+    <script>
+        // Auto-resize protocol - tells the host page how tall the card is:
+        //   embed -> host: { type: 'tickiq:embed:resize', postId, height }
+        //   host -> embed: { type: 'tickiq:embed:measure' } (asks for a fresh resize message)
+        // Sent on load, whenever the card's size changes, and on request.
+        (function() {
+            if (window.parent === window) return;
+
+            const postId = '{{POST_ID}}';
+            let lastHeight = 0;
+
+            function postHeight(force) {
+                const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+                if (!force && height === lastHeight) return;
+                lastHeight = height;
+                // Height is not sensitive, so any host may receive it
+                window.parent.postMessage({ type: 'tickiq:embed:resize', postId, height }, '*');
+            }
+
+            if ('ResizeObserver' in window) {
+                new ResizeObserver(() => postHeight(false)).observe(document.documentElement);
+            } else {
+                window.addEventListener('resize', () => postHeight(false));
+            }
+
+            window.addEventListener('load', () => postHeight(true));
+
+            window.addEventListener('message', (event) => {
+                if (event.source === window.parent && event.data && event.data.type === 'tickiq:embed:measure') {
+                    postHeight(true);
+                }
+            });
+
+            postHeight(true);
+        })();
+    </script>
+</body>
+</html>
+`;
@@ -0,0 +1,60 @@
+/**
+ * Image Token Refresh - /api/image-tokens
+ *
+ * Lightweight JSON endpoint used by open profile pages to replace expired image
+ * tokens (the proxy answers 410 once a token's 45 minutes are up).
+ *
+ * GET /api/image-tokens?profile=<username>
+ *   -> { "watches": [{ "id", "thumbnail_url", "full_image_url" }] }
+ *
+ * Private or missing profiles answer 404 - the page then shows its
+ * "NOT AVAILABLE" placeholder. Post pages use the stable /api/img/post/<id>
+ * URL, which never expires, so they only retry it (post.html).
+ *
+ * Caching: 1min edge cache (tokens stay valid for 45 minutes)
+ */
+
+import { USERNAME_PATTERN, fetchPublicProfile } from '../../../lib/public-profile.js';
+
+export const runtime = 'edge';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const username = searchParams.get('profile');
+
+  if (username === null) {
+    return jsonResponse({ error: 'Specify a profile' }, 400);
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return jsonResponse({ error: 'Invalid username' }, 400);
+  }
+
+  try {
+    const { status, data } = await fetchPublicProfile(username, process.env);
+    if (!data) {
+      console.log(`[IMG-TOKENS] Profile not available: @${username} (status: ${status})`);
+      return jsonResponse({ error: 'Not found' }, 404);
+    }
+
+    const watches = (data.watches || []).map(watch => ({
+      id: watch.id,
+      thumbnail_url: watch.thumbnail_url || null,
+      full_image_url: watch.full_image_url || null,
+    }));
+    return jsonResponse({ watches }, 200);
+
+  } catch (error) {
+    console.error('[IMG-TOKENS] Failed to refresh tokens:', error);
+    return jsonResponse({ error: 'Failed to refresh image tokens' }, 502);
+  }
+}
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': status === 200 ? 'public, s-maxage=60' : 'no-store',
+    },
+  });
+}
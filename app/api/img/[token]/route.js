@@ -5,23 +5,111 @@
  * This hides watch UUIDs and Supabase storage URLs from public view.
  *
  * URL format: /api/img/[ENCRYPTED-TOKEN]
+ *             /api/img/[ENCRYPTED-TOKEN]?w=256&q=75&fmt=avif
+ *             /api/img/[ENCRYPTED-TOKEN].[GRANT] (internal fetches - image optimizer, OG images)
+ *
+ * Variants:
+ * - w: output width, snapped up to an allowed width (see lib/image-variants.js)
+ * - q: output quality, snapped to an allowed quality
+ * - fmt: avif | webp | original | auto (default: negotiated from Accept)
+ * - Resizing is delegated to the Next.js image optimizer (/_next/image)
+ * - Requests without parameters receive the original bytes untouched
+ *
+ * Streaming:
+ * - Upstream body is streamed straight through (never buffered in memory,
+ *   except WebP while its metadata is stripped)
+ * - Range requests get 206 / 416 from the sanitised bytes - stripped images no
+ *   longer match upstream byte offsets, so Range is answered here rather than
+ *   forwarded (see lib/image-range.js); the image is buffered for those
+ * - If-None-Match / If-Modified-Since are forwarded, ETag (weak - bytes differ
+ *   from storage) and Last-Modified are passed on, 304 responses are returned without a body
+ * - HEAD is supported (upstream is queried with HEAD as well)
  *
  * Security:
  * - Token contains encrypted signed Supabase Storage URL
+ * - Versioned tokens with key IDs; IMAGE_TOKEN_SECRETS lists current + previous
+ *   secrets so a leaked secret can be rotated out (see lib/crypto.js)
+ * - v2 tokens are bound to a purpose, allowed origins and optionally a profile;
+ *   enforced per request with a crawler allowlist for OG images (see lib/image-access.js).
+ *   Bound tokens are refused without Origin/Referer unless Sec-Fetch-Site says
+ *   same-origin, the URL carries a valid internal fetch grant, or a stable
+ *   resolver route serves the request
+ * - Upstream validation (see lib/image-upstream.js), each with its own status:
+ *   403 URL outside Supabase Storage, 421 upstream redirect (never followed),
+ *   415 non-image Content-Type, 413 body over IMAGE_PROXY_MAX_BYTES
+ * - EXIF / XMP / IPTC (JPEG) and equivalent PNG/WebP metadata is stripped
+ *   before serving - no GPS or device data (see lib/image-metadata.js,
+ *   reported in X-Image-Sanitized)
  * - Tokens expire after 45 minutes (inherited from signed URL)
  * - No database lookups needed - fully stateless
  *
  * Caching:
  * - Aggressive edge caching (up to 45min) since tokens are unique and immutable
  * - Browser caching with public cache-control
+ * - Negotiated variants add Vary: Accept so caches keep AVIF/WebP/original apart
+ * - Originals are also cached by storage object after the token is verified,
+ *   so freshly minted tokens for the same image skip Supabase
+ *   (see lib/image-cache.js, reported in X-Image-Cache: HIT | MISS)
+ * - A 16px placeholder (LQIP) is rendered in the background the first time a
+ *   browser loads an image and stored next to the original - pages inline it
+ *   while the image loads (see lib/image-lqip.js)
  */
 
-import { decryptImageToken } from '../../../../lib/crypto.js';
+import { after } from 'next/server';
+
+import {
+  decryptImageToken,
+  getImageTokenKeys,
+  signInternalFetchGrant,
+  verifyInternalFetchGrant,
+} from '../../../../lib/crypto.js';
+import { parseImageVariant, buildOptimizerRequest } from '../../../../lib/image-variants.js';
+import { checkImageAccess, limitVariantForPurpose } from '../../../../lib/image-access.js';
+import {
+  isAllowedUpstreamUrl,
+  isAllowedImageContentType,
+  getMaxImageBytes,
+  limitStreamSize,
+} from '../../../../lib/image-upstream.js';
+import { getImageCache, getStorageObjectKey, collectStream } from '../../../../lib/image-cache.js';
+import { ensureImageLqip } from '../../../../lib/image-lqip.js';
+import { createMetadataStripper, SANITIZED_CONTENT_TYPES } from '../../../../lib/image-metadata.js';
+import { getRequestedRange, buildRangeResponse } from '../../../../lib/image-range.js';
 
 export const runtime = 'edge';
 
-export async function GET(request, { params }) {
-  const { token } = await params;
+// Client request headers forwarded upstream (conditional GET)
+// Range is not forwarded - upstream offsets do not match the sanitised bytes (answered here instead)
+const FORWARDED_REQUEST_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Upstream response headers passed back to the client
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'etag',
+  'last-modified',
+];
+
+const SANITIZED_HEADER_VALUE = 'metadata-stripped';
+
+// stable: set by the resolver routes (lib/image-resolver.js) that serve tokens for permanent URLs
+export async function GET(request, { params, stable = false }) {
+  return handleImageRequest(request, params, stable);
+}
+
+export async function HEAD(request, { params, stable = false }) {
+  return handleImageRequest(request, params, stable);
+}
+
+/**
+ * Shared GET/HEAD handler
+ */
+async function handleImageRequest(request, params, stable) {
+  const { token: tokenParam } = await params;
+  const isHead = request.method === 'HEAD';
+
+  // Internal fetches address the image as [token].[grant] - tokens are base64url, never contain '.'
+  const [token, grant = null] = (tokenParam || '').split('.');
 
   if (!token || token.trim() === '') {
     return new Response('Token required', {
@@ -30,12 +118,31 @@ export async function GET(request, { params }) {
     });
   }
 
+  // Parse requested variant (width/quality/format) before doing any work
+  const requestUrl = new URL(request.url);
+  let variant;
+  try {
+    variant = parseImageVariant(requestUrl.searchParams, request.headers.get('accept'));
+  } catch (variantError) {
+    console.error('[IMG-PROXY] Invalid variant parameters:', variantError.message);
+    return new Response(variantError.message, {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
   try {
-    // Get encryption secret
-    const imageTokenSecret = process.env.IMAGE_TOKEN_SECRET;
+    // Get active encryption keys (current + previous during rotation)
+    let imageTokenKeys;
+    try {
+      imageTokenKeys = getImageTokenKeys(process.env);
+    } catch (configError) {
+      console.error('[IMG-PROXY] Invalid image token key configuration:', configError.message);
+      imageTokenKeys = [];
+    }
 
-    if (!imageTokenSecret) {
-      console.error('[IMG-PROXY] Missing IMAGE_TOKEN_SECRET environment variable');
+    if (imageTokenKeys.length === 0) {
+      console.error('[IMG-PROXY] Missing IMAGE_TOKEN_SECRETS / IMAGE_TOKEN_SECRET environment variable');
       return new Response('Server configuration error', {
         status: 500,
         headers: { 'Content-Type': 'text/plain' },
@@ -45,7 +152,7 @@ export async function GET(request, { params }) {
     // Decrypt token to get signed URL
     let imageData;
     try {
-      imageData = await decryptImageToken(token, imageTokenSecret);
+      imageData = await decryptImageToken(token, imageTokenKeys);
     } catch (decryptError) {
       console.error('[IMG-PROXY] Decryption failed:', decryptError.message);
 
@@ -63,12 +170,103 @@ export async function GET(request, { params }) {
       });
     }
 
-    const { url: signedUrl, exp } = imageData;
+    const { url: signedUrl, exp, version, keyId, claims } = imageData;
+
+    // Internal fetch (image optimizer, OG image generator) - no headers to check, the grant vouches for it
+    if (grant !== null && !(await verifyInternalFetchGrant(token, grant, imageTokenKeys))) {
+      console.log('[IMG-PROXY] Rejected invalid internal fetch grant');
+      return new Response('Invalid grant', {
+        status: 403,
+        headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+      });
+    }
+
+    // Report which key decrypted the token (tracks rotation progress)
+    const tokenInfo = { exp, keyLabel: `v${version}:${keyId}`, bound: Boolean(claims) };
+    console.log(`[IMG-PROXY] Token decrypted with key ${tokenInfo.keyLabel}`);
+
+    // Enforce purpose/origin/profile bound into the token (stops hotlinking)
+    const access = checkImageAccess(claims, request, { route: 'image', internal: grant !== null, stable });
+    if (!access.allowed) {
+      console.log(`[IMG-PROXY] Access denied (${access.reason}) for referrer: ${request.headers.get('referer') || request.headers.get('origin')}`);
+      return new Response(access.reason, {
+        status: access.status,
+        headers: {
+          'Content-Type': 'text/plain',
+          'Cache-Control': 'no-store',
+        },
+      });
+    }
+
+    // SSRF guard - only ever fetch from our own Supabase Storage
+    const supabaseUrl = process.env.SUPABASE_URL;
+    if (!supabaseUrl) {
+      console.error('[IMG-PROXY] Missing SUPABASE_URL environment variable');
+      return new Response('Server configuration error', {
+        status: 500,
+        headers: { 'Content-Type': 'text/plain' },
+      });
+    }
+
+    if (!isAllowedUpstreamUrl(signedUrl, supabaseUrl)) {
+      console.error('[IMG-PROXY] Rejected upstream URL outside Supabase Storage');
+      return rejectUpstream(403, 'Image source not allowed');
+    }
+
+    // Content-addressed cache - serve the object whichever token was presented
+    const imageCache = loadImageCache();
+    const cacheKey = imageCache ? await getStorageObjectKey(signedUrl) : null;
+
+    // Placeholders are rendered for browser loads only - the optimizer fetch
+    // that renders one is internal and must not start another (see lib/image-lqip.js)
+    const lqipSource = cacheKey && grant === null && !isHead
+      ? { origin: requestUrl.origin, token, grant: await signInternalFetchGrant(token, imageTokenKeys) }
+      : null;
+
+    // Resized/re-encoded variant - hand off to the image optimizer
+    // (thumbnail tokens are capped at the largest thumbnail width)
+    if (variant) {
+      const optimizerGrant = lqipSource ? lqipSource.grant : await signInternalFetchGrant(token, imageTokenKeys);
+      const variantResponse = await proxyImageVariant(request, requestUrl.origin, token, limitVariantForPurpose(claims, variant), tokenInfo, optimizerGrant);
+      if (lqipSource && variantResponse.status === 200) {
+        after(() => ensureImageLqip(imageCache, cacheKey, lqipSource));
+      }
+      return variantResponse;
+    }
+
+    if (cacheKey) {
+      const cached = await readCachedImage(imageCache, cacheKey);
+      if (cached) {
+        return serveCachedImage(request, cached, tokenInfo);
+      }
+    }
 
-    console.log(`[IMG-PROXY] Fetching image from signed URL (expires: ${new Date(exp * 1000).toISOString()})`);
+    console.log(`[IMG-PROXY] ${request.method} image from signed URL (expires: ${new Date(exp * 1000).toISOString()})`);
 
     // Fetch the image from Supabase Storage using signed URL
-    const imageResponse = await fetch(signedUrl);
+    // Conditional headers are forwarded so Supabase answers 304 itself
+    // Redirects are never followed - storage answers directly or not at all
+    const imageResponse = await fetch(signedUrl, {
+      method: isHead ? 'HEAD' : 'GET',
+      headers: toUpstreamConditionals(pickHeaders(request.headers, FORWARDED_REQUEST_HEADERS)),
+      redirect: 'manual',
+    });
+
+    if (imageResponse.type === 'opaqueredirect' || (imageResponse.status >= 300 && imageResponse.status < 400 && imageResponse.status !== 304)) {
+      console.error(`[IMG-PROXY] Upstream redirect not followed (${imageResponse.status} -> ${imageResponse.headers.get('location')})`);
+      return rejectUpstream(421, 'Upstream redirect not followed');
+    }
+
+    // Not modified - client copy is still valid
+    if (imageResponse.status === 304) {
+      return new Response(null, {
+        status: 304,
+        headers: weakenEtag({
+          ...pickHeaders(imageResponse.headers, ['etag', 'last-modified']),
+          ...buildCacheHeaders(tokenInfo),
+        }),
+      });
+    }
 
     if (!imageResponse.ok) {
       console.error(`[IMG-PROXY] Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
@@ -93,32 +291,88 @@ export async function GET(request, { params }) {
       });
     }
 
-    // Get image content type from Supabase response
-    const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
-
-    // Get image bytes
-    const imageBytes = await imageResponse.arrayBuffer();
-
-    console.log(`[IMG-PROXY] Successfully proxied image (${imageBytes.byteLength} bytes, ${contentType})`);
-
-    // Calculate time until expiration for cache headers
-    const now = Math.floor(Date.now() / 1000);
-    const secondsUntilExpiry = exp - now;
-    const maxAge = Math.max(0, secondsUntilExpiry);
-
-    // Return image with aggressive caching
-    // Since tokens are unique and expire, we can cache aggressively
-    return new Response(imageBytes, {
-      status: 200,
-      headers: {
-        'Content-Type': contentType,
-        // Cache at edge and browser for full token lifetime
-        'Cache-Control': `public, max-age=${maxAge}, s-maxage=${maxAge}, immutable`,
-        // Security headers
-        'X-Content-Type-Options': 'nosniff',
-        // Allow CORS for images
-        'Access-Control-Allow-Origin': '*',
-      },
+    const headers = weakenEtag({
+      ...pickHeaders(imageResponse.headers, PASSTHROUGH_RESPONSE_HEADERS),
+      ...buildCacheHeaders(tokenInfo),
+      'Accept-Ranges': 'bytes',
+    });
+
+    // Only serve raster images (never HTML, SVG or anything else upstream returns)
+    if (!isAllowedImageContentType(headers['content-type'])) {
+      console.error(`[IMG-PROXY] Rejected upstream content type: ${headers['content-type']}`);
+      await imageResponse.body?.cancel();
+      return rejectUpstream(415, 'Upstream is not an image');
+    }
+
+    // Enforce the size cap up front when upstream announces the length
+    const maxBytes = getMaxImageBytes(process.env);
+    const contentLength = parseInt(headers['content-length'], 10);
+    if (contentLength > maxBytes) {
+      console.error(`[IMG-PROXY] Rejected upstream body: ${contentLength} bytes (max ${maxBytes})`);
+      await imageResponse.body?.cancel();
+      return rejectUpstream(413, 'Image too large');
+    }
+
+    console.log(`[IMG-PROXY] Streaming image (${imageResponse.status}, ${headers['content-length'] || 'unknown'} bytes, ${headers['content-type']})`);
+
+    // Stream the body straight through, stripping location/device metadata
+    // Unannounced lengths are capped while streaming
+    let body = null;
+    if (!isHead) {
+      body = Number.isNaN(contentLength)
+        ? limitStreamSize(imageResponse.body, maxBytes)
+        : imageResponse.body;
+    }
+
+    const stripper = createMetadataStripper(headers['content-type']);
+    if (stripper) {
+      // Stripped size is only known once streamed
+      delete headers['content-length'];
+      headers['X-Image-Sanitized'] = SANITIZED_HEADER_VALUE;
+      if (body) body = body.pipeThrough(stripper);
+    }
+
+    // Full responses small enough for the backend are stored (sanitised) once the client stream ends
+    const storable = cacheKey && !isHead && imageResponse.status === 200 &&
+      !(contentLength > imageCache.backend.maxEntryBytes);
+    if (cacheKey) {
+      headers['X-Image-Cache'] = 'MISS';
+    }
+
+    // Byte ranges are cut from the sanitised image, so it has to be read in full first
+    if (body && request.headers.has('range')) {
+      const bytes = await collectStream(body, maxBytes);
+      if (!bytes) {
+        return rejectUpstream(502, 'Failed to fetch image');
+      }
+      if (storable) {
+        after(async () => {
+          await storeCachedBytes(imageCache, cacheKey, bytes, headers);
+          if (lqipSource) await ensureImageLqip(imageCache, cacheKey, lqipSource);
+        });
+      }
+
+      const range = getRequestedRange(request, bytes.byteLength, headers['last-modified'] || null);
+      if (range) {
+        return buildRangeResponse(bytes, range, headers);
+      }
+      headers['content-length'] = String(bytes.byteLength);
+      return new Response(bytes, { status: 200, headers });
+    }
+
+    if (storable) {
+      const [clientBody, cacheBody] = body.tee();
+      body = clientBody;
+      // The placeholder is rendered once the original is cached, so the optimizer's fetch hits it
+      after(async () => {
+        await storeCachedImage(imageCache, cacheKey, cacheBody, headers);
+        if (lqipSource) await ensureImageLqip(imageCache, cacheKey, lqipSource);
+      });
+    }
+
+    return new Response(body, {
+      status: imageResponse.status,
+      headers,
     });
 
   } catch (error) {
@@ -129,3 +383,230 @@ export async function GET(request, { params }) {
     });
   }
 }
+
+/**
+ * Serve a resized/re-encoded variant via the Next.js image optimizer
+ *
+ * The optimizer fetches the original through this proxy (no parameters, with
+ * an internal fetch grant), resizes it and encodes it in the format matching
+ * the Accept header we send.
+ * Conditional headers are forwarded; ranges are not (variants are small).
+ */
+async function proxyImageVariant(request, origin, token, variant, tokenInfo, grant) {
+  const optimizerRequest = buildOptimizerRequest(origin, token, variant, grant);
+
+  console.log(`[IMG-PROXY] Fetching variant (w=${variant.width}, q=${variant.quality}, fmt=${variant.format})`);
+
+  const variantResponse = await fetch(optimizerRequest.url, {
+    headers: {
+      ...pickHeaders(request.headers, ['if-none-match', 'if-modified-since']),
+      'Accept': optimizerRequest.accept,
+    },
+  });
+
+  // Negotiated format depends on the client's Accept header
+  const headers = buildCacheHeaders(tokenInfo, variant.negotiated ? ['Accept'] : []);
+
+  if (variantResponse.status === 304) {
+    return new Response(null, {
+      status: 304,
+      headers: { ...pickHeaders(variantResponse.headers, ['etag', 'last-modified']), ...headers },
+    });
+  }
+
+  if (!variantResponse.ok) {
+    console.error(`[IMG-PROXY] Failed to render variant: ${variantResponse.status} ${variantResponse.statusText}`);
+    return new Response('Failed to resize image', {
+      status: 502,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  Object.assign(headers, pickHeaders(variantResponse.headers, ['content-type', 'content-length', 'etag', 'last-modified']));
+  if (!headers['content-type']) {
+    headers['content-type'] = 'image/jpeg';
+  }
+
+  // Re-encoded from the sanitised original; the optimizer writes no EXIF/XMP either
+  headers['X-Image-Sanitized'] = SANITIZED_HEADER_VALUE;
+
+  console.log(`[IMG-PROXY] Streaming variant (${headers['content-length'] || 'unknown'} bytes, ${headers['content-type']})`);
+
+  // The optimizer only answers GET - drop the body for HEAD
+  if (request.method === 'HEAD') {
+    await variantResponse.body?.cancel();
+    return new Response(null, { status: 200, headers });
+  }
+
+  return new Response(variantResponse.body, { status: 200, headers });
+}
+
+/**
+ * Configured image cache, or null when disabled or misconfigured (never fatal)
+ */
+function loadImageCache() {
+  try {
+    return getImageCache(process.env);
+  } catch (configError) {
+    console.error('[IMG-PROXY] Image cache disabled:', configError.message);
+    return null;
+  }
+}
+
+/**
+ * Look up a storage object in the cache (backend failures count as a miss)
+ */
+async function readCachedImage(imageCache, cacheKey) {
+  try {
+    return await imageCache.backend.get(cacheKey);
+  } catch (cacheError) {
+    console.error(`[IMG-PROXY] Cache read failed (${imageCache.backend.name}):`, cacheError.message);
+    return null;
+  }
+}
+
+/**
+ * Collect a teed upstream body and store it under the storage object key
+ */
+async function storeCachedImage(imageCache, cacheKey, body, headers) {
+  const bytes = await collectStream(body, imageCache.backend.maxEntryBytes);
+  if (!bytes) return;
+
+  await storeCachedBytes(imageCache, cacheKey, bytes, headers);
+}
+
+/**
+ * Store sanitised bytes under the storage object key (too-large bodies are skipped)
+ */
+async function storeCachedBytes(imageCache, cacheKey, bytes, headers) {
+  if (bytes.byteLength > imageCache.backend.maxEntryBytes) return;
+
+  try {
+    await imageCache.backend.put(cacheKey, {
+      body: bytes,
+      contentType: headers['content-type'],
+      etag: headers['etag'] || null,
+      lastModified: headers['last-modified'] || null,
+    }, imageCache.ttl);
+    console.log(`[IMG-PROXY] Cached ${bytes.byteLength} bytes (${imageCache.backend.name})`);
+  } catch (cacheError) {
+    console.error(`[IMG-PROXY] Cache write failed (${imageCache.backend.name}):`, cacheError.message);
+  }
+}
+
+/**
+ * Serve an original from the cache, answering If-None-Match against the cached ETag
+ * and Range from the cached (sanitised) bytes
+ */
+function serveCachedImage(request, cached, tokenInfo) {
+  const headers = {
+    ...buildCacheHeaders(tokenInfo),
+    'X-Image-Cache': 'HIT',
+  };
+  if (cached.etag) headers['etag'] = cached.etag;
+  if (cached.lastModified) headers['last-modified'] = cached.lastModified;
+
+  // Weak comparison, as required for If-None-Match
+  const ifNoneMatch = request.headers.get('if-none-match');
+  const cachedTag = cached.etag && cached.etag.replace(/^W\//, '');
+  if (cachedTag && ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === cachedTag || tag.trim() === '*')) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  console.log(`[IMG-PROXY] Serving cached image (${cached.body.byteLength} bytes, ${cached.contentType})`);
+
+  headers['content-type'] = cached.contentType;
+  headers['content-length'] = String(cached.body.byteLength);
+  headers['Accept-Ranges'] = 'bytes';
+  // Entries are stored after stripping
+  if (SANITIZED_CONTENT_TYPES.includes(cached.contentType.split(';')[0].trim().toLowerCase())) {
+    headers['X-Image-Sanitized'] = SANITIZED_HEADER_VALUE;
+  }
+
+  const range = getRequestedRange(request, cached.body.byteLength, cached.lastModified);
+  if (range) {
+    return buildRangeResponse(cached.body, range, headers);
+  }
+
+  return new Response(request.method === 'HEAD' ? null : cached.body, {
+    status: 200,
+    headers,
+  });
+}
+
+/**
+ * Cache and CORS headers shared by every successful response
+ *
+ * Since tokens are unique and expire, we can cache aggressively
+ * for the full token lifetime (edge and browser).
+ * Bound tokens vary by Origin/Referer so a cached copy is never served to a
+ * site the token was not issued for.
+ * X-Image-Token-Key reports the token version and key ID that decrypted it.
+ */
+function buildCacheHeaders(tokenInfo, vary = []) {
+  const now = Math.floor(Date.now() / 1000);
+  const maxAge = Math.max(0, tokenInfo.exp - now);
+
+  const headers = {
+    'Cache-Control': `public, max-age=${maxAge}, s-maxage=${maxAge}, immutable`,
+    // Security headers
+    'X-Content-Type-Options': 'nosniff',
+    // Allow CORS for images
+    'Access-Control-Allow-Origin': '*',
+    'X-Image-Token-Key': tokenInfo.keyLabel,
+  };
+
+  const varyHeaders = tokenInfo.bound ? [...vary, 'Origin', 'Referer'] : vary;
+  if (varyHeaders.length > 0) {
+    headers['Vary'] = varyHeaders.join(', ');
+  }
+
+  return headers;
+}
+
+/**
+ * Upstream validation failure (not cached - a fixed deployment should recover)
+ */
+function rejectUpstream(status, message) {
+  return new Response(message, {
+    status,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * Served bytes differ from storage (metadata stripped), so ETags are weak
+ */
+function weakenEtag(headers) {
+  if (headers['etag'] && !headers['etag'].startsWith('W/')) {
+    headers['etag'] = `W/${headers['etag']}`;
+  }
+  return headers;
+}
+
+/**
+ * Undo weakenEtag on If-None-Match so storage can compare its own ETags
+ */
+function toUpstreamConditionals(headers) {
+  if (headers['if-none-match']) {
+    headers['if-none-match'] = headers['if-none-match'].replace(/W\//g, '');
+  }
+  return headers;
+}
+
+/**
+ * Copy the listed headers (lowercase names) that are present on a Headers object
+ */
+function pickHeaders(source, names) {
+  const picked = {};
+  for (const name of names) {
+    const value = source.get(name);
+    if (value !== null) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
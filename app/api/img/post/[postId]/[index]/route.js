@@ -0,0 +1,18 @@
+/**
+ * Stable Post Image - /api/img/post/[postId]/[index]
+ *
+ * Permanent URL for one image of a multi-image post (1-based, 1 is the cover).
+ * Same resolver, variants and caching as /api/img/post/[postId].
+ */
+
+import { GET as servePostImage, HEAD as headPostImage } from '../route.js';
+
+export const runtime = 'edge';
+
+export async function GET(request, { params }) {
+  return servePostImage(request, { params });
+}
+
+export async function HEAD(request, { params }) {
+  return headPostImage(request, { params });
+}
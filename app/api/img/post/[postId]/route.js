@@ -0,0 +1,90 @@
+/**
+ * Stable Post Image - /api/img/post/[postId]
+ *
+ * Permanent image URL for a post's cover (og:image, cached post pages).
+ * Further images of multi-image posts live at /api/img/post/[postId]/[index].
+ * Resolves a fresh token from get-public-post-web on every request and
+ * serves it through the image proxy - same variants (?w=&q=&fmt=),
+ * conditional GET and metadata stripping as /api/img/[token].
+ *
+ * Caching:
+ * - Same as the post page (POST_CACHE_CONTROL: 10min edge, 15min
+ *   stale-while-revalidate) plus 10min in the browser, so a deleted or newly
+ *   private post's photo stops being served within 25 minutes
+ * - Missing posts are cached for a minute
+ */
+
+import { GET as serveImageToken } from '../../[token]/route.js';
+import { fetchPublicFunction, applyResolverCachePolicy } from '../../../../../lib/image-resolver.js';
+import { UUID_PATTERN, POST_CACHE_CONTROL, getPostImages, MAX_POST_IMAGES } from '../../../../../lib/public-post.js';
+
+export const runtime = 'edge';
+
+// Never longer than the post page - the photo must go when the post does
+const CACHE_CONTROL = `public, max-age=600, ${POST_CACHE_CONTROL}`;
+
+export async function GET(request, { params }) {
+  return resolvePostImage(request, params);
+}
+
+export async function HEAD(request, { params }) {
+  return resolvePostImage(request, params);
+}
+
+/**
+ * Shared GET/HEAD handler
+ * params.index (1-based, set by the [index] route) selects an image; default is the cover
+ */
+async function resolvePostImage(request, params) {
+  const { postId, index = '1' } = await params;
+
+  if (!postId || !UUID_PATTERN.test(postId)) {
+    return new Response('Invalid post ID', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  const position = /^[1-9][0-9]*$/.test(index) ? parseInt(index, 10) : 0;
+  if (position < 1 || position > MAX_POST_IMAGES) {
+    return new Response('Invalid image index', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  let post;
+  try {
+    const { status, data } = await fetchPublicFunction(`get-public-post-web/${postId}`, process.env);
+    if (!data) {
+      console.log(`[IMG-RESOLVER] Post not found or not accessible: ${postId} (status: ${status})`);
+      return notFound('Post not found');
+    }
+    post = data;
+  } catch (error) {
+    console.error('[IMG-RESOLVER] Failed to fetch post data:', error);
+    return new Response('Failed to resolve image', {
+      status: 502,
+      headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+    });
+  }
+
+  const image = getPostImages(post)[position - 1];
+  if (!image) {
+    console.log(`[IMG-RESOLVER] Post has no image ${position}: ${postId}`);
+    return notFound('Image not found');
+  }
+
+  const response = await serveImageToken(request, { params: Promise.resolve({ token: image.token }), stable: true });
+  return applyResolverCachePolicy(response, CACHE_CONTROL);
+}
+
+function notFound(message) {
+  return new Response(message, {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'public, s-maxage=60',
+    },
+  });
+}
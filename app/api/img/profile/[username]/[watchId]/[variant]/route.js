@@ -0,0 +1,96 @@
+/**
+ * Stable Watch Image by Profile - /api/img/profile/[username]/[watchId]/[variant]
+ *
+ * Permanent image URL for a watch on a public profile, addressed by username
+ * and watch ID (both already public on the profile page, see #watch-<id>).
+ * Used until get-public-profile-web returns image_id - /api/img/watch/[opaqueId]/[variant]
+ * is preferred once it does (it survives username changes).
+ * variant is 'thumbnail' or 'full'.
+ *
+ * Resolves a fresh token from get-public-profile-web on every request and
+ * serves it through the image proxy - same variants (?w=&q=&fmt=),
+ * conditional GET and metadata stripping as /api/img/[token].
+ *
+ * Caching: same as /api/img/watch/[opaqueId]/[variant]
+ */
+
+import { GET as serveImageToken } from '../../../../[token]/route.js';
+import { applyResolverCachePolicy } from '../../../../../../../lib/image-resolver.js';
+import { USERNAME_PATTERN, fetchPublicProfile } from '../../../../../../../lib/public-profile.js';
+
+export const runtime = 'edge';
+
+const CACHE_CONTROL = 'public, max-age=600, s-maxage=3600, stale-while-revalidate=86400';
+
+// Variant name -> token field of the watch in get-public-profile-web
+const VARIANT_FIELDS = {
+  thumbnail: 'thumbnail_url',
+  full: 'full_image_url',
+};
+
+const WATCH_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export async function GET(request, { params }) {
+  return resolveProfileWatchImage(request, params);
+}
+
+export async function HEAD(request, { params }) {
+  return resolveProfileWatchImage(request, params);
+}
+
+/**
+ * Shared GET/HEAD handler
+ */
+async function resolveProfileWatchImage(request, params) {
+  const { username, watchId, variant } = await params;
+
+  if (!username || !USERNAME_PATTERN.test(username) || !watchId || !WATCH_ID_PATTERN.test(watchId)) {
+    return new Response('Invalid image ID', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  if (!Object.hasOwn(VARIANT_FIELDS, variant)) {
+    return new Response('Invalid variant', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  let watch;
+  try {
+    const { status, data } = await fetchPublicProfile(username, process.env);
+    if (!data) {
+      console.log(`[IMG-RESOLVER] Profile not found or not public: ${username} (status: ${status})`);
+      return notFound();
+    }
+    const watches = Array.isArray(data.watches) ? data.watches : [];
+    watch = watches.find(candidate => candidate && String(candidate.id) === watchId);
+  } catch (error) {
+    console.error('[IMG-RESOLVER] Failed to fetch profile:', error);
+    return new Response('Failed to resolve image', {
+      status: 502,
+      headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+    });
+  }
+
+  const token = watch && watch[VARIANT_FIELDS[variant]];
+  if (!token) {
+    console.log(`[IMG-RESOLVER] Watch not on profile or has no ${variant} image: ${username}/${watchId}`);
+    return notFound();
+  }
+
+  const response = await serveImageToken(request, { params: Promise.resolve({ token }), stable: true });
+  return applyResolverCachePolicy(response, CACHE_CONTROL);
+}
+
+function notFound() {
+  return new Response('Image not found', {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'public, s-maxage=60',
+    },
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Stable Watch Image - /api/img/watch/[opaqueId]/[variant]
+ *
+ * Permanent image URL for a watch on a public profile (profile og:image).
+ * opaqueId is the watch's public image ID (image_id in get-public-profile-web),
+ * never the database UUID. variant is 'thumbnail' or 'full'.
+ * Upstream contract: _docs/20261019_PUBLIC_FUNCTION_CONTRACT.md
+ *
+ * Resolves a fresh token from get-public-watch-image-web on every request and
+ * serves it through the image proxy - same variants (?w=&q=&fmt=),
+ * conditional GET and metadata stripping as /api/img/[token].
+ *
+ * Caching:
+ * - 10min browser, 1h edge, revalidated in the background for up to a day
+ *   (members replace watch photos, so shorter than post images)
+ * - Missing watches are cached briefly
+ */
+
+import { GET as serveImageToken } from '../../../[token]/route.js';
+import { fetchPublicFunction, applyResolverCachePolicy } from '../../../../../../lib/image-resolver.js';
+
+export const runtime = 'edge';
+
+const CACHE_CONTROL = 'public, max-age=600, s-maxage=3600, stale-while-revalidate=86400';
+
+// Variant name -> token field returned by get-public-watch-image-web
+const VARIANT_FIELDS = {
+  thumbnail: 'thumbnail_url',
+  full: 'full_image_url',
+};
+
+const OPAQUE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export async function GET(request, { params }) {
+  return resolveWatchImage(request, params);
+}
+
+export async function HEAD(request, { params }) {
+  return resolveWatchImage(request, params);
+}
+
+/**
+ * Shared GET/HEAD handler
+ */
+async function resolveWatchImage(request, params) {
+  const { opaqueId, variant } = await params;
+
+  if (!opaqueId || !OPAQUE_ID_PATTERN.test(opaqueId)) {
+    return new Response('Invalid image ID', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  if (!Object.hasOwn(VARIANT_FIELDS, variant)) {
+    return new Response('Invalid variant', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  let watch;
+  try {
+    const { status, data } = await fetchPublicFunction(`get-public-watch-image-web/${opaqueId}`, process.env);
+    if (!data) {
+      console.log(`[IMG-RESOLVER] Watch image not found or not public: ${opaqueId} (status: ${status})`);
+      return notFound();
+    }
+    watch = data;
+  } catch (error) {
+    console.error('[IMG-RESOLVER] Failed to fetch watch image:', error);
+    return new Response('Failed to resolve image', {
+      status: 502,
+      headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+    });
+  }
+
+  const token = watch[VARIANT_FIELDS[variant]];
+  if (!token) {
+    console.log(`[IMG-RESOLVER] Watch has no ${variant} image: ${opaqueId}`);
+    return notFound();
+  }
+
+  const response = await serveImageToken(request, { params: Promise.resolve({ token }), stable: true });
+  return applyResolverCachePolicy(response, CACHE_CONTROL);
+}
+
+function notFound() {
+  return new Response('Image not found', {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'public, s-maxage=60',
+    },
+  });
+}
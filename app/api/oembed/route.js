@@ -0,0 +1,265 @@
+/**
+ * oEmbed Provider - /api/oembed?url=...&format=json
+ *
+ * Lets Discord, Notion, WordPress, forums etc. embed tickIQ links
+ * (https://oembed.com). Supported URLs:
+ * - /p/[postId]    -> rich (the /embed/p/[postId] iframe card, stable post image as thumbnail)
+ * - /u/[username]  -> photo (first watch's stable thumbnail or the profile card)
+ *
+ * Consumers render these on their own sites, so only URLs that work there are
+ * returned: the embed card may be framed anywhere and stable thumbnails may be
+ * embedded anywhere (see lib/image-access.js). Full-size post images stay bound
+ * to tickIQ and only appear as thumbnail_url, which consumers fetch server-side.
+ *
+ * Private and non-existent profiles both answer 404 (upstream does not tell
+ * them apart either); author_url is only set for public profiles.
+ *
+ * Parameters: url (required), format (json only - xml answers 501),
+ * maxwidth / maxheight (sizes are scaled down to fit).
+ *
+ * Discovery: <link rel="alternate" type="application/json+oembed"> in
+ * post.html and profile-v2.html (not the fallback profile page - it would 404).
+ *
+ * Caching: same as the pages (posts 10min, profiles 5min at the edge)
+ */
+
+import { getStableWatchImagePath } from '../../../lib/image-resolver.js';
+import { THUMBNAIL_MAX_WIDTH } from '../../../lib/image-access.js';
+import { UUID_PATTERN, POST_CACHE_CONTROL, fetchPublicPost, toPublicPost } from '../../../lib/public-post.js';
+import { USERNAME_PATTERN, PROFILE_CACHE_CONTROL, fetchPublicProfile } from '../../../lib/public-profile.js';
+import { escapeHtml } from '../../../lib/post-html.js';
+import { IMAGE_WIDTHS } from '../../../lib/image-variants.js';
+
+export const runtime = 'edge';
+
+// Hosts whose links we describe (plus the deployment's own host, for previews)
+const CANONICAL_HOSTS = ['tickiq.app', 'www.tickiq.app'];
+
+// Largest photo we advertise (stable thumbnail URLs accept ?w= up to THUMBNAIL_MAX_WIDTH)
+const MAX_PHOTO_WIDTH = THUMBNAIL_MAX_WIDTH;
+
+// Post embed card at its documented size (see templates/embed-post.template.js)
+const POST_EMBED_FRAME = { width: 390, height: 600 };
+
+// Static profile card used by the fallback page
+const PROFILE_CARD = { path: '/assets/images/og-image-profile-landscape.png', width: 1200, height: 630 };
+
+export async function GET(request) {
+  const requestUrl = new URL(request.url);
+  const { searchParams } = requestUrl;
+  const origin = requestUrl.origin;
+
+  const format = searchParams.get('format') || 'json';
+  if (format !== 'json') {
+    return errorResponse(501, 'Only format=json is supported');
+  }
+
+  let target;
+  try {
+    target = new URL(searchParams.get('url'));
+  } catch {
+    return errorResponse(400, 'Missing or invalid url parameter');
+  }
+
+  if (!CANONICAL_HOSTS.includes(target.host) && target.host !== requestUrl.host) {
+    return errorResponse(404, 'URL not supported');
+  }
+
+  const maxSize = {
+    width: parsePositiveInt(searchParams.get('maxwidth')),
+    height: parsePositiveInt(searchParams.get('maxheight')),
+  };
+
+  const [, section, id] = target.pathname.split('/');
+
+  try {
+    if (section === 'p' && id && UUID_PATTERN.test(id)) {
+      return await renderPostEmbed(id, origin, maxSize);
+    }
+
+    if (section === 'u' && id) {
+      return await renderProfileEmbed(id, origin, maxSize);
+    }
+  } catch (error) {
+    console.error('[OEMBED] Failed to build embed:', error);
+    return errorResponse(502, 'Failed to load embed data');
+  }
+
+  return errorResponse(404, 'URL not supported');
+}
+
+/**
+ * Post: the embed card in an iframe, titled with the caption
+ */
+async function renderPostEmbed(postId, origin, maxSize) {
+  const { status, data } = await fetchPublicPost(postId, process.env);
+  if (!data) {
+    console.log(`[OEMBED] Post not found or not accessible: ${postId} (status: ${status})`);
+    return errorResponse(404, 'Post not found');
+  }
+
+  const post = toPublicPost(data, postId, origin);
+  const title = post.caption || 'From the tickIQ community';
+  const frame = scaleToFit(POST_EMBED_FRAME.width, POST_EMBED_FRAME.height, maxSize);
+
+  const embed = {
+    ...baseEmbed(origin, 600),
+    type: 'rich',
+    title,
+    html: `<iframe src="${origin}/embed/p/${postId}" width="${frame.width}" height="${frame.height}" style="border:0" loading="lazy" title="${escapeHtml(title)}"></iframe>`,
+    ...frame,
+  };
+
+  if (post.author_username) {
+    embed.author_name = `@${post.author_username}`;
+    if (await isPublicProfile(post.author_username)) {
+      embed.author_url = getProfileUrl(origin, post.author_username);
+    }
+  }
+
+  // Post images are 3:4 portrait
+  if (post.image_url) {
+    Object.assign(embed, buildThumbnail(post.image_url, 3 / 4));
+  }
+
+  return jsonResponse(embed, POST_CACHE_CONTROL);
+}
+
+/**
+ * Profile: photo of the first watch's thumbnail, or the generic profile card
+ * when the watch has none
+ */
+async function renderProfileEmbed(username, origin, maxSize) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return errorResponse(404, 'Profile not found');
+  }
+
+  const { status, data } = await fetchPublicProfile(username, process.env);
+  if (!data) {
+    if (status !== 404) {
+      throw new Error(`Profile fetch failed with status ${status}`);
+    }
+    console.log(`[OEMBED] Profile not found or private: ${username}`);
+    return errorResponse(404, 'Profile not found');
+  }
+
+  const embed = {
+    ...baseEmbed(origin, 300),
+    type: 'photo',
+    title: `@${username}'s Watch Collection on tickIQ`,
+    author_name: `@${username}`,
+    author_url: getProfileUrl(origin, username),
+  };
+
+  // Only thumbnails may be shown on other sites
+  const firstWatch = Array.isArray(data.watches) ? data.watches[0] : null;
+  const stableImagePath = firstWatch && firstWatch.thumbnail_url ? getStableWatchImagePath(firstWatch, username) : null;
+  if (stableImagePath) {
+    // Watch photos are square
+    Object.assign(embed, buildPhoto(`${origin}${stableImagePath}`, 1, maxSize));
+  } else {
+    Object.assign(embed, scaleToFit(PROFILE_CARD.width, PROFILE_CARD.height, maxSize), {
+      url: `${origin}${PROFILE_CARD.path}`,
+    });
+  }
+
+  return jsonResponse(embed, PROFILE_CACHE_CONTROL);
+}
+
+/**
+ * Whether a post author's profile page exists publicly (lookup failures count as no)
+ */
+async function isPublicProfile(username) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return false;
+  }
+
+  try {
+    const { data } = await fetchPublicProfile(username, process.env);
+    return Boolean(data);
+  } catch (error) {
+    console.error('[OEMBED] Failed to check author profile:', error.message);
+    return false;
+  }
+}
+
+function getProfileUrl(origin, username) {
+  return `${origin}/u/${encodeURIComponent(username)}`;
+}
+
+function baseEmbed(origin, cacheAge) {
+  return {
+    version: '1.0',
+    provider_name: 'tickIQ',
+    provider_url: origin,
+    cache_age: cacheAge,
+  };
+}
+
+/**
+ * Photo fields for a stable image URL, requesting an allowed width that fits maxwidth/maxheight
+ */
+function buildPhoto(imageUrl, aspectRatio, maxSize) {
+  let limit = MAX_PHOTO_WIDTH;
+  if (maxSize.width) limit = Math.min(limit, maxSize.width);
+  if (maxSize.height) limit = Math.min(limit, Math.floor(maxSize.height * aspectRatio));
+
+  const width = [...IMAGE_WIDTHS].reverse().find(w => w <= limit) || IMAGE_WIDTHS[0];
+  const height = Math.round(width / aspectRatio);
+
+  return {
+    url: `${imageUrl}?w=${width}`,
+    width,
+    height,
+    ...buildThumbnail(imageUrl, aspectRatio),
+  };
+}
+
+/**
+ * Thumbnail fields for a stable image URL (smallest allowed width)
+ */
+function buildThumbnail(imageUrl, aspectRatio) {
+  return {
+    thumbnail_url: `${imageUrl}?w=${IMAGE_WIDTHS[0]}`,
+    thumbnail_width: IMAGE_WIDTHS[0],
+    thumbnail_height: Math.round(IMAGE_WIDTHS[0] / aspectRatio),
+  };
+}
+
+/**
+ * Scale fixed dimensions down to fit maxwidth/maxheight
+ */
+function scaleToFit(width, height, maxSize) {
+  const scale = Math.min(
+    1,
+    maxSize.width ? maxSize.width / width : 1,
+    maxSize.height ? maxSize.height / height : 1
+  );
+  return { width: Math.floor(width * scale), height: Math.floor(height * scale) };
+}
+
+function parsePositiveInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function jsonResponse(body, cacheControl) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': cacheControl,
+    },
+  });
+}
+
+function errorResponse(status, message) {
+  return new Response(message, {
+    status,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -1,11 +1,17 @@
 import { ImageResponse } from 'next/og';
 import { interBold, interMedium, interRegular } from './fonts';
+import { getPostImages } from '../../../../../lib/public-post.js';
+import { truncateText } from '../../../../../lib/caption.js';
+import { getImageTokenKeys, signInternalFetchGrant } from '../../../../../lib/crypto.js';
 
 /**
  * Post OG Image Generator
  * Generates dynamic Open Graph images for post sharing.
  * Creates a 600x800 portrait image (3:4 ratio to match post photos) with iOS-style overlays.
  * Reduced resolution for faster loading while maintaining quality for social previews.
+ *
+ * ?layout=cover (default) uses the first image; ?layout=tiles tiles the first
+ * few images of a multi-image post (falls back to the cover for single images).
  */
 
 // Convert base64 fonts to ArrayBuffer (done once at module load)
@@ -26,18 +32,6 @@ const fonts = [
 ];
 
 // Utility functions
-function truncateText(text, maxLength) {
-  if (!text) return '';
-  const chars = Array.from(text);
-  if (chars.length <= maxLength) return text;
-  const truncated = chars.slice(0, maxLength).join('');
-  const lastSpace = truncated.lastIndexOf(' ');
-  if (lastSpace > maxLength * 0.5) {
-    return truncated.slice(0, lastSpace) + '...';
-  }
-  return truncated + '...';
-}
-
 function formatCount(count) {
   if (typeof count !== 'number' || isNaN(count)) return '0';
   if (count < 0) return '0';
@@ -109,6 +103,51 @@ async function fetchPostData(postId) {
   }
 }
 
+// Tile rectangles [left, top, width, height] per image count (2px black gutters)
+const TILE_LAYOUTS = {
+  2: [[0, 0, 600, 399], [0, 401, 600, 399]],
+  3: [[0, 0, 600, 399], [0, 401, 299, 399], [301, 401, 299, 399]],
+  4: [[0, 0, 299, 399], [301, 0, 299, 399], [0, 401, 299, 399], [301, 401, 299, 399]],
+};
+const MAX_TILES = 4;
+
+// Background: the cover alone, or the first few images tiled
+function renderBackground(imageUrls) {
+  const tiles = TILE_LAYOUTS[imageUrls.length];
+  if (!tiles) {
+    return (
+      <img
+        src={imageUrls[0]}
+        style={{
+          width: '100%',
+          height: '100%',
+          objectFit: 'cover',
+        }}
+      />
+    );
+  }
+
+  return imageUrls.map((imageUrl, index) => {
+    const [left, top, width, height] = tiles[index];
+    return (
+      <img
+        key={index}
+        src={imageUrl}
+        width={width}
+        height={height}
+        style={{
+          position: 'absolute',
+          left,
+          top,
+          width,
+          height,
+          objectFit: 'cover',
+        }}
+      />
+    );
+  });
+}
+
 // SVG icon paths (Heroicons outline style to match post.html)
 const ICONS = {
   heart: 'M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z',
@@ -127,20 +166,30 @@ export async function GET(request, { params }) {
   // Get current domain for image URLs
   const url = new URL(request.url);
   const currentDomain = `${url.protocol}//${url.host}`;
+  const layout = url.searchParams.get('layout') === 'tiles' ? 'tiles' : 'cover';
 
   try {
     // Fetch post data (fonts are pre-loaded at module level)
     const postData = await fetchPostData(postId);
 
-    if (!postData || !postData.image_token) {
+    const images = postData ? getPostImages(postData) : [];
+    if (images.length === 0) {
       console.log(`[OG/POST] Post not found or missing image: ${postId}`);
       return new Response('Post not found', { status: 404 });
     }
 
-    // Build image URL using our image proxy
-    const imageUrl = `${currentDomain}/api/img/${postData.image_token}`;
+    // Build image URLs using our image proxy (tiles use a smaller variant)
+    // The renderer fetches them without Referer, so each carries an internal fetch grant
+    const tileCount = layout === 'tiles' ? Math.min(images.length, MAX_TILES) : 1;
+    const imageTokenKeys = getImageTokenKeys(process.env);
+    const imageUrls = await Promise.all(images.slice(0, tileCount).map(async image => {
+      const proxyPath = `/api/img/${image.token}.${await signInternalFetchGrant(image.token, imageTokenKeys)}`;
+      return tileCount > 1
+        ? `${currentDomain}${proxyPath}?w=${tileCount > 2 ? 384 : 768}`
+        : `${currentDomain}${proxyPath}`;
+    }));
 
-    console.log(`[OG/POST] Generating OG image for post: ${postId}`);
+    console.log(`[OG/POST] Generating OG image for post: ${postId} (layout: ${layout}, images: ${imageUrls.length})`);
 
     return new ImageResponse(
       (
@@ -153,15 +202,8 @@ export async function GET(request, { params }) {
             backgroundColor: '#000000',
           }}
         >
-          {/* Background image */}
-          <img
-            src={imageUrl}
-            style={{
-              width: '100%',
-              height: '100%',
-              objectFit: 'cover',
-            }}
-          />
+          {/* Background image(s) */}
+          {renderBackground(imageUrls)}
 
           {/* Gradient overlay layer */}
           <div
@@ -0,0 +1,344 @@
+/**
+ * Post Comment Thread - Vercel Edge Function
+ *
+ * Renders /p/[postId]/comments: the full read-only comment thread for a
+ * public post, oldest first, COMMENTS_PAGE_SIZE per page (?page=2, ...).
+ *
+ * Posts that can't be shown get the same 404 / 410 / 503 pages as /p/[postId];
+ * pages past the last one answer 404 as well.
+ *
+ * Caching: same as the post page (10min edge, 15min stale-while-revalidate)
+ */
+
+// Paths are relative to the built route (app/api/post-comments/route.js)
+import {
+  UUID_PATTERN,
+  POST_CACHE_CONTROL,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPost,
+} from '../../../lib/public-post.js';
+import { fetchPublicComments, COMMENTS_PAGE_SIZE } from '../../../lib/public-comments.js';
+import { escapeHtml, renderCommentHtml, renderPostErrorPage } from '../../../lib/post-html.js';
+import { formatCaptionHtml } from '../../../lib/caption.js';
+
+export const runtime = 'edge';
+
+// Thumbnail in the post summary is 60px wide - 2x variant
+const THUMBNAIL_WIDTH = 128;
+
+export async function GET(request) {
+  const url = new URL(request.url);
+  const currentDomain = `${url.protocol}//${url.host}`;
+
+  // Extract post ID from path (expecting /p/postId/comments)
+  const postId = url.pathname.split('/')[2] || '';
+
+  const requestedPage = parseInt(url.searchParams.get('page'), 10);
+  const page = Number.isInteger(requestedPage) && requestedPage > 0 ? requestedPage : 1;
+
+  if (!UUID_PATTERN.test(postId)) {
+    return renderPostErrorPage('not-found');
+  }
+
+  // Same rules as the post page: the thread exists only while the post is public
+  let post;
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+    if (!data) {
+      const postError = getPostErrorKind(status);
+      console.log(`[POST-COMMENTS] Post not available: ${postId} (status: ${status}, ${postError})`);
+      return renderPostErrorPage(postError);
+    }
+    post = toPublicPost(data, postId, currentDomain);
+  } catch (error) {
+    console.error('[POST-COMMENTS] Failed to fetch post data:', error);
+    return renderPostErrorPage('unavailable');
+  }
+
+  let commentsHtml;
+  let paginationHtml = '';
+  let cacheControl = POST_CACHE_CONTROL;
+  try {
+    const { comments, hasMore } = await fetchPublicComments(postId, {
+      sort: 'oldest',
+      limit: COMMENTS_PAGE_SIZE,
+      offset: (page - 1) * COMMENTS_PAGE_SIZE,
+    }, process.env);
+
+    // Pages past the last one don't exist - crawlers must not index endless empty pages
+    if (comments.length === 0 && page > 1) {
+      console.log(`[POST-COMMENTS] Page ${page} past the last page: ${postId}`);
+      return renderPostErrorPage('not-found');
+    }
+
+    commentsHtml = comments.length > 0
+      ? `<ul class="post-comment-list">${comments.map(renderCommentHtml).join('')}</ul>`
+      : '<p class="thread-empty">No comments yet.</p>';
+
+    if (page > 1 || hasMore) {
+      const previousLink = page > 1
+        ? `<a href="${post.url}/comments${page === 2 ? '' : `?page=${page - 1}`}" rel="prev">← Previous</a>`
+        : '<span></span>';
+      const nextLink = hasMore
+        ? `<a href="${post.url}/comments?page=${page + 1}" rel="next">Next →</a>`
+        : '<span></span>';
+      paginationHtml = `<nav class="thread-pagination" aria-label="Comment pages">${previousLink}<span>Page ${page}</span>${nextLink}</nav>`;
+    }
+  } catch (error) {
+    console.error('[POST-COMMENTS] Failed to fetch comments:', error);
+    commentsHtml = '<p class="thread-empty">Comments couldn\'t be loaded right now. Please try again later.</p>';
+    cacheControl = 'no-cache';
+  }
+
+  const threadTitle = post.comment_count === 1 ? '1 Comment' : `${post.comment_count} Comments`;
+  const pageTitle = post.author_username
+    ? `Comments on @${escapeHtml(post.author_username)}'s post - tickIQ`
+    : 'Comments - tickIQ';
+  const pageDescription = post.caption
+    ? escapeHtml(post.caption)
+    : 'Read the conversation from the tickIQ community';
+
+  const thumbnailHtml = post.image_url
+    ? `<img src="${post.image_url}?w=${THUMBNAIL_WIDTH}" alt="Watch photo shared on tickIQ">`
+    : '';
+  const threadPostHtml = `<a class="thread-post" href="${post.url}">
+    <div class="thread-post-thumbnail">${thumbnailHtml}</div>
+    <div class="thread-post-text">
+        ${post.caption ? `<p class="thread-post-caption">${formatCaptionHtml(post.caption, { links: false })}</p>` : ''}
+        ${post.author_username ? `<p class="thread-post-author">@${escapeHtml(post.author_username)}</p>` : ''}
+    </div>
+</a>`;
+
+  // Use the embedded HTML template
+  // Use function replacements to prevent $ in captions and comments being interpreted as backreference
+  const html = POST_COMMENTS_HTML_TEMPLATE
+    .replace(/\{\{PAGE_TITLE\}\}/g, () => pageTitle)
+    .replace(/\{\{PAGE_DESCRIPTION\}\}/g, () => pageDescription)
+    .replace(/\{\{THREAD_URL\}\}/g, () => `${post.url}/comments${page > 1 ? `?page=${page}` : ''}`)
+    .replace(/\{\{POST_URL\}\}/g, () => post.url)
+    .replace(/\{\{POST_ID\}\}/g, () => postId)
+    .replace(/\{\{THREAD_POST_HTML\}\}/g, () => threadPostHtml)
+    .replace(/\{\{THREAD_TITLE\}\}/g, () => threadTitle)
+    .replace(/\{\{COMMENTS_HTML\}\}/g, () => commentsHtml)
+    .replace(/\{\{PAGINATION_HTML\}\}/g, () => paginationHtml);
+
+  return new Response(html, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': cacheControl,
+    },
+  });
+}
+
+// This will be replaced during build with the actual post-comments.html content
+const POST_COMMENTS_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex,nofollow">
+    <title>{{PAGE_TITLE}}</title>
+    <meta name="description" content="{{PAGE_DESCRIPTION}}">
+    <link rel="canonical" href="{{THREAD_URL}}">
+
+    <!-- App Links for iOS -->
+    <meta property="al:ios:app_name" content="tickIQ">
+    <meta property="al:ios:url" content="tickiq://post/{{POST_ID}}">
+
+    <!-- Favicons -->
+    <link rel="icon" href="/favicon.ico" sizes="any">
+    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
+    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
+
+    <!-- Fonts -->
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+
+    <!-- Main site styles -->
+    <link rel="stylesheet" href="/css/styles.css">
+
+    <style>
+        /* Comment thread styles that extend the main styles.css */
+        .thread-container {
+            max-width: 560px;
+            margin: 0 auto;
+            padding: 9rem 1.5rem 6rem;
+        }
+
+        .thread-back {
+            display: inline-block;
+            margin-bottom: 1.5rem;
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #666;
+            text-decoration: none;
+        }
+
+        .thread-back:hover {
+            color: #000;
+        }
+
+        /* Post summary: thumbnail, caption and author */
+        .thread-post {
+            display: flex;
+            gap: 14px;
+            align-items: center;
+            padding-bottom: 1.5rem;
+            margin-bottom: 1.5rem;
+            border-bottom: 1px solid rgba(0, 0, 0, 0.08);
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .thread-post-thumbnail {
+            flex-shrink: 0;
+            width: 60px;
+            aspect-ratio: 3 / 4;
+            border-radius: 12px;
+            overflow: hidden;
+            background: #f0f0f0;
+        }
+
+        .thread-post-thumbnail img {
+            display: block;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .thread-post-text {
+            min-width: 0;
+        }
+
+        .thread-post-caption {
+            font-size: 0.9375rem;
+            font-weight: 600;
+            line-height: 1.35;
+            color: #000;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+        }
+
+        .thread-post-author {
+            margin-top: 4px;
+            font-size: 0.8125rem;
+            color: #666;
+        }
+
+        .thread-title {
+            font-size: 1.125rem;
+            font-weight: 600;
+            margin-bottom: 1.25rem;
+        }
+
+        /* Same comment styles as the post page */
+        .post-comment-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 18px;
+        }
+
+        .post-comment-header {
+            display: flex;
+            align-items: baseline;
+            gap: 5px;
+            font-size: 0.8125rem;
+        }
+
+        .post-comment-author {
+            font-weight: 600;
+            color: #000;
+        }
+
+        .post-comment-time {
+            color: #999;
+        }
+
+        .post-comment-text {
+            margin: 2px 0 0;
+            font-size: 0.9375rem;
+            line-height: 1.4;
+            color: #333;
+            white-space: pre-line;
+            overflow-wrap: anywhere;
+        }
+
+        .thread-empty {
+            font-size: 0.9375rem;
+            color: #666;
+        }
+
+        /* Previous / next page */
+        .thread-pagination {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-top: 2rem;
+            font-size: 0.875rem;
+            color: #999;
+        }
+
+        .thread-pagination a {
+            font-weight: 500;
+            color: #000;
+            text-decoration: none;
+        }
+
+        .thread-cta {
+            display: inline-block;
+            margin-top: 2.5rem;
+            padding: 0.875rem 1.75rem;
+            border-radius: 9999px;
+            background: #000;
+            color: #fff;
+            font-size: 0.9375rem;
+            font-weight: 500;
+            text-decoration: none;
+        }
+
+        @media (max-width: 768px) {
+            .thread-container {
+                padding: 7rem 1.25rem 4rem;
+            }
+        }
+    </style>
+</head>
+<body data-campaign-token="web-post-comments">
+    <!-- Header will be injected by components.js -->
+    <header></header>
+
+    <main class="thread-container">
+        <a class="thread-back" href="{{POST_URL}}">← Back to post</a>
+
+        {{THREAD_POST_HTML}}
+
+        <h1 class="thread-title">{{THREAD_TITLE}}</h1>
+
+        {{COMMENTS_HTML}}
+
+        {{PAGINATION_HTML}}
+
+        <a class="thread-cta" href="https://apps.apple.com/us/app/tickiq-measure-watch-accuracy/id6749871310">
+            Join the conversation in tickIQ
+        </a>
+    </main>
+
+    <!-- Footer will be injected by components.js -->
+    <footer></footer>
+
+    <!-- Load shared components -->
+    <script src="/js/components.js"></script>
+    <!-- Timestamps in the viewer's locale and timezone -->
+    <script src="/js/relative-time.js"></script>
+</body>
+</html>
+`;
@@ -0,0 +1,51 @@
+/**
+ * Public Post JSON - /api/post/[postId].json
+ *
+ * Returns the sanitised post object (see lib/public-post.js for the fields)
+ * so community tools and bots can read posts without scraping HTML.
+ * The same data is served on /p/[postId] for Accept: application/json.
+ *
+ * Errors: 404 (malformed ID, missing or private), 410 (deleted),
+ * 503 with Retry-After (upstream outage) - same as the post page
+ *
+ * CORS: any origin
+ * Caching: 10min edge cache, 15min stale-while-revalidate (same as the post page)
+ */
+
+import {
+  UUID_PATTERN,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPost,
+  publicPostJsonResponse,
+  publicPostErrorJsonResponse,
+} from '../../../../lib/public-post.js';
+
+export const runtime = 'edge';
+
+export async function GET(request, { params }) {
+  const { postId: segment } = await params;
+
+  // The dynamic segment includes the extension: <uuid>.json
+  const postId = segment.endsWith('.json') ? segment.slice(0, -'.json'.length) : null;
+
+  if (!postId || !UUID_PATTERN.test(postId)) {
+    return publicPostErrorJsonResponse('not-found');
+  }
+
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+
+    if (!data) {
+      const postError = getPostErrorKind(status);
+      console.log(`[POST-JSON] Post not available: ${postId} (status: ${status}, ${postError})`);
+      return publicPostErrorJsonResponse(postError);
+    }
+
+    return publicPostJsonResponse(toPublicPost(data, postId, new URL(request.url).origin), 200);
+
+  } catch (error) {
+    console.error('[POST-JSON] Failed to fetch post data:', error);
+    return publicPostErrorJsonResponse('unavailable');
+  }
+}
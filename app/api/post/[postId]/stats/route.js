@@ -0,0 +1,55 @@
+/**
+ * Public Post Stats - /api/post/[postId]/stats
+ *
+ * Returns { like_count, comment_count } for a post, plus the same values as
+ * the post page shows them (like_count_text, comment_count_text, cta_text,
+ * engagement_text - see formatPostStats in lib/post-html.js). The post page is
+ * cached for up to 25 minutes, so it fetches this after load (and when the tab
+ * regains focus) to replace the text baked into the HTML.
+ *
+ * Errors: 404 (malformed ID, missing or private), 410 (deleted),
+ * 503 with Retry-After (upstream outage) - same as the post page
+ *
+ * CORS: any origin
+ * Caching: 15s edge cache, 30s stale-while-revalidate (see POST_STATS_CACHE_CONTROL)
+ */
+
+import {
+  UUID_PATTERN,
+  POST_STATS_CACHE_CONTROL,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPostStats,
+  publicPostJsonResponse,
+  publicPostErrorJsonResponse,
+} from '../../../../../lib/public-post.js';
+import { formatPostStats } from '../../../../../lib/post-html.js';
+
+export const runtime = 'edge';
+
+export async function GET(request, { params }) {
+  const { postId } = await params;
+
+  if (!UUID_PATTERN.test(postId)) {
+    return publicPostErrorJsonResponse('not-found');
+  }
+
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+
+    if (!data) {
+      const postError = getPostErrorKind(status);
+      console.log(`[POST-STATS] Post not available: ${postId} (status: ${status}, ${postError})`);
+      return publicPostErrorJsonResponse(postError);
+    }
+
+    const stats = toPublicPostStats(data);
+    return publicPostJsonResponse({ ...stats, ...formatPostStats(stats) }, 200, {
+      'Cache-Control': POST_STATS_CACHE_CONTROL,
+    });
+
+  } catch (error) {
+    console.error('[POST-STATS] Failed to fetch post data:', error);
+    return publicPostErrorJsonResponse('unavailable');
+  }
+}
@@ -4,53 +4,269 @@
  * Renders post sharing pages with dynamic OG images for social previews.
  * Fetches post data from Supabase to get the actual post image.
  *
- * Caching: 10min edge cache, 15min stale-while-revalidate
+ * Requests with Accept: application/json (and not text/html) receive the
+ * public post object instead (same as /api/post/[postId].json).
+ *
+ * Below the post: top comments, previous/next links and a "More from @author"
+ * rail. Those links carry ?via= so browsing from a shared post shows up in
+ * Vercel Analytics (post_navigation event, sent by the page) and in the App
+ * Store campaign token.
+ *
+ * Video posts play inline (muted, looping) over their poster photo and carry
+ * og:video / twitter:player so previews can play them too.
+ *
+ * The watch name links to that watch on the author's profile (when the
+ * profile is public), with a chip showing its 30-day accuracy and rotation share.
+ *
+ * Measurement posts also get a timegrapher card beside the photo, and their
+ * reading becomes the OG title (e.g. "+2.1 s/d on a Rolex 3235").
+ *
+ * Posts that can't be shown get their own branded page: 404 for malformed IDs
+ * (no upstream request), missing, private and blocked posts alike; 410 for
+ * deleted posts; 503 with Retry-After when Supabase is unreachable.
+ *
+ * Caching: 10min edge cache, 15min stale-while-revalidate (errors: see POST_ERRORS)
  */
 
+// Paths are relative to the built route (app/api/post/route.js)
+import { buildImagePlaceholder, getBlurHashAverageColor, isValidBlurHash } from '../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../lib/image-lqip.js';
+import {
+  UUID_PATTERN,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPost,
+  toPublicPostStats,
+  publicPostJsonResponse,
+  publicPostErrorJsonResponse,
+  fetchAuthorPosts,
+  getPostImages,
+  getPostImageUrl,
+  getPostVideo,
+  getPostVideoUrl,
+} from '../../../lib/public-post.js';
+import { fetchPublicComments, TOP_COMMENTS_LIMIT } from '../../../lib/public-comments.js';
+import {
+  escapeHtml,
+  renderRelativeTimeHtml,
+  formatPostStats,
+  renderCommentHtml,
+  renderPostErrorPage,
+} from '../../../lib/post-html.js';
+import { formatCaptionHtml, truncateText } from '../../../lib/caption.js';
+import {
+  getPostMeasurement,
+  formatRate,
+  formatAmplitude,
+  formatBeatError,
+  formatBeatRate,
+  buildMeasurementHeadline,
+  buildMeasurementSummary,
+} from '../../../lib/post-measurement.js';
+import { USERNAME_PATTERN, fetchPublicProfile, getProfileWatchSummary } from '../../../lib/public-profile.js';
+
 export const runtime = 'edge';
 
+// Post images are 3:4 portrait
+const PLACEHOLDER_WIDTH = 12;
+const PLACEHOLDER_HEIGHT = 16;
+
+// Poster frame for the inline video player (390px wide - 2x variant)
+const VIDEO_POSTER_WIDTH = 768;
+
+// twitter:player frames the post embed (/embed/p/<postId>) at its documented size
+const TWITTER_PLAYER_WIDTH = 390;
+const TWITTER_PLAYER_HEIGHT = 600;
+
+// Browser chrome colour when the image has no placeholder (page background)
+const DEFAULT_THEME_COLOR = '#FFFFFF';
+
+// Posts in the "More from @author" rail
+const AUTHOR_RAIL_LIMIT = 8;
+
+// Rail thumbnails are 120px wide - 2x variant
+const AUTHOR_RAIL_IMAGE_WIDTH = 256;
+
+// Where an internal link was clicked (?via=) - reported to analytics and added to the App Store campaign token
+const NAVIGATION_SOURCES = ['more', 'prev', 'next'];
+
 /**
- * Escape HTML to prevent XSS
+ * Timegrapher-style card for measurement posts (shown beside the photo)
+ * Readings the app didn't record are left out
  */
-function escapeHtml(text) {
-  const map = {
-    '<': '&lt;',
-    '>': '&gt;',
-    '&': '&amp;',
-    '"': '&quot;',
-    "'": '&#39;',
-  };
-  return text.replace(/[<>&"']/g, (char) => map[char]);
+function renderMeasurementCard(measurement, watchName) {
+  const stats = [
+    ['Amplitude', measurement.amplitude !== null ? formatAmplitude(measurement.amplitude) : null],
+    ['Beat error', measurement.beatError !== null ? formatBeatError(measurement.beatError) : null],
+    ['Beat rate', measurement.beatRate !== null ? formatBeatRate(measurement.beatRate) : null],
+    ['Position', measurement.position],
+  ]
+    .filter(([, value]) => value !== null)
+    .map(([label, value]) => `<div><dt>${label}</dt><dd>${escapeHtml(value)}</dd></div>`)
+    .join('');
+
+  // UTC fallback - public/js/relative-time.js shows it in the viewer's timezone
+  const measuredAt = measurement.measuredAt ? new Date(measurement.measuredAt) : null;
+  const timeHtml = measuredAt && !isNaN(measuredAt.getTime())
+    ? `<time datetime="${measuredAt.toISOString()}" data-format="datetime">${measuredAt.toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: 'UTC',
+    })} UTC</time>`
+    : '';
+  const footer = [
+    measurement.movement || watchName ? escapeHtml(measurement.movement || watchName) : '',
+    timeHtml,
+  ].filter(Boolean).join(' · ');
+
+  return `<aside class="measurement-card" aria-label="Timing measurement">
+    <div class="measurement-card-label">Timegrapher reading</div>
+    <div class="measurement-rate">
+        <span class="measurement-rate-value">${formatRate(measurement.rate)}</span>
+        <span class="measurement-rate-unit">s/d</span>
+    </div>
+    ${stats ? `<dl class="measurement-stats">${stats}</dl>` : ''}
+    ${footer ? `<div class="measurement-footer">${footer}</div>` : ''}
+</aside>`;
 }
 
 /**
- * Format timestamp as relative time (e.g., "2h ago", "3d ago")
+ * Top comments under the image, linking to the full thread
+ * Comments are optional - any failure just leaves the section out
  */
-function formatRelativeTime(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
-  const diffWeeks = Math.floor(diffDays / 7);
-
-  if (diffMins < 1) return 'just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  if (diffDays < 7) return `${diffDays}d ago`;
-  if (diffWeeks < 4) return `${diffWeeks}w ago`;
-  // iOS shows "Xmo ago" for months, but we use absolute date for clarity on web
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+async function renderTopComments(postId, commentCount) {
+  try {
+    const { status, comments } = await fetchPublicComments(postId, { sort: 'top', limit: TOP_COMMENTS_LIMIT }, process.env);
+    if (comments.length === 0) {
+      console.log(`[POST] No public comments for: ${postId} (status: ${status})`);
+      return '';
+    }
+
+    const linkText = commentCount === 1 ? 'View comment' : `View all ${commentCount} comments`;
+    return `<section class="post-comments" aria-label="Comments">
+    <ul class="post-comment-list">${comments.map(renderCommentHtml).join('')}</ul>
+    <a class="post-comments-link" href="/p/${escapeHtml(postId)}/comments">${linkText}</a>
+</section>`;
+  } catch (error) {
+    console.error('[POST] Failed to fetch comments:', error);
+    return '';
+  }
+}
+
+/**
+ * "More from @author" rail plus previous/next links between the author's posts
+ * Optional like comments - any failure just leaves both out
+ */
+async function renderMoreFromAuthor(postId) {
+  const empty = { navHtml: '', railHtml: '' };
+
+  try {
+    const { status, data } = await fetchAuthorPosts(postId, AUTHOR_RAIL_LIMIT + 1, process.env);
+    if (!data || !data.author_username) {
+      console.log(`[POST] No author posts for: ${postId} (status: ${status})`);
+      return empty;
+    }
+
+    const safeUsername = escapeHtml(data.author_username);
+    const isPostId = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
+
+    // Previous = older, next = newer (same order as the author's profile in the app)
+    const previousLink = isPostId(data.previous_post_id)
+      ? `<a class="post-nav-link" href="/p/${data.previous_post_id}?via=prev" rel="prev">← Previous post</a>`
+      : '<span></span>';
+    const nextLink = isPostId(data.next_post_id)
+      ? `<a class="post-nav-link" href="/p/${data.next_post_id}?via=next" rel="next">Next post →</a>`
+      : '<span></span>';
+    const navHtml = isPostId(data.previous_post_id) || isPostId(data.next_post_id)
+      ? `<nav class="post-nav" aria-label="More posts by @${safeUsername}">${previousLink}${nextLink}</nav>`
+      : '';
+
+    const posts = (Array.isArray(data.posts) ? data.posts : [])
+      .filter(post => post && isPostId(post.id) && post.id !== postId)
+      .slice(0, AUTHOR_RAIL_LIMIT);
+
+    if (posts.length === 0) {
+      return { navHtml, railHtml: '' };
+    }
+
+    const railItems = posts.map(post => {
+      const background = isValidBlurHash(post.image_blurhash)
+        ? ` style="background-color: ${getBlurHashAverageColor(post.image_blurhash)};"`
+        : '';
+      const imageHtml = post.image_token
+        ? `<img src="/api/img/post/${post.id}?w=${AUTHOR_RAIL_IMAGE_WIDTH}" alt="Watch photo shared by @${safeUsername}" loading="lazy">`
+        : '';
+      const captionHtml = typeof post.caption === 'string' && post.caption !== ''
+        ? `<span class="author-rail-caption">${escapeHtml(post.caption)}</span>`
+        : '';
+      return `<li><a class="author-rail-item" href="/p/${post.id}?via=more"><span class="author-rail-thumbnail"${background}>${imageHtml}</span>${captionHtml}</a></li>`;
+    }).join('');
+
+    // Private profiles have no /u/ page - don't link to it
+    const profileLinkHtml = data.profile_public === true
+      ? `<a class="author-rail-profile" href="/u/${encodeURIComponent(data.author_username)}">View profile</a>`
+      : '';
+
+    const railHtml = `<section class="author-rail" aria-label="More from @${safeUsername}">
+    <div class="author-rail-header">
+        <h2 class="author-rail-title">More from @${safeUsername}</h2>
+        ${profileLinkHtml}
+    </div>
+    <ul class="author-rail-list">${railItems}</ul>
+</section>`;
+
+    return { navHtml, railHtml };
+  } catch (error) {
+    console.error('[POST] Failed to fetch author posts:', error);
+    return empty;
+  }
 }
 
 /**
- * Format count with K/M suffix for large numbers
+ * Watch name linked to its section on the author's profile, plus the stats chip
+ *
+ * get-public-post-web includes watch_id for posts tagged with a watch from the
+ * author's collection. Private profiles (404) and watches missing from the
+ * public collection keep the plain name - any failure does too.
+ * (upstream contract: _docs/20261019_PUBLIC_FUNCTION_CONTRACT.md)
  */
-function formatCount(count) {
-  if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'm';
-  if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
-  return String(count);
+async function renderWatchLink(data) {
+  const plain = {
+    watchNameHtml: `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`,
+    watchChipHtml: '',
+  };
+
+  if (data.watch_id === undefined || data.watch_id === null || !USERNAME_PATTERN.test(data.author_username || '')) {
+    return plain;
+  }
+
+  try {
+    const { status, data: profile } = await fetchPublicProfile(data.author_username, process.env);
+    const watch = profile ? getProfileWatchSummary(profile, data.author_username, data.watch_id) : null;
+    if (!watch) {
+      console.log(`[POST] No public collection entry for watch ${data.watch_id} of @${data.author_username} (status: ${status})`);
+      return plain;
+    }
+
+    const safePath = escapeHtml(watch.path);
+    const stats = [
+      watch.average_rate_30d !== null ? `<span class="post-watch-chip-rate">${formatRate(watch.average_rate_30d)} s/d</span> 30-day avg` : '',
+      watch.rotation_percentage !== null ? `${Math.round(watch.rotation_percentage)}% of rotation` : '',
+    ].filter(Boolean);
+
+    return {
+      watchNameHtml: `<a class="post-watch-name post-watch-link" href="${safePath}">· ${escapeHtml(data.watch_display_name)}</a>`,
+      watchChipHtml: stats.length > 0
+        ? `<a class="post-watch-chip" href="${safePath}" title="See this watch in @${escapeHtml(data.author_username)}'s collection">${stats.join(' · ')}</a>`
+        : '',
+    };
+  } catch (error) {
+    console.error('[POST] Failed to fetch author profile:', error);
+    return plain;
+  }
 }
 
 export async function GET(request) {
@@ -73,10 +289,21 @@ export async function GET(request) {
 
   // Landing page content (visible on the web page itself - iOS feed cell style)
   let postImageUrl = `${currentDomain}/assets/images/og-image-post-landscape.png`;
+  let postImageSkeletonHtml = '<div class="post-image-skeleton" id="image-skeleton"></div>';
+  let postExtraSlidesHtml = '';
+  let postCarouselDotsHtml = '';
+  let ogExtraImagesHtml = '';
+  let ogVideoHtml = '';
+  let twitterCard = 'summary_large_image';
+  let twitterPlayerHtml = '';
+  let postVideoHtml = '';
+  let themeColor = DEFAULT_THEME_COLOR;
   let postCaptionHtml = '';
   let postUsernamePillHtml = '';
   let postWatchNameHtml = '';
+  let postWatchChipHtml = '';
   let postTimestampHtml = '';
+  let postMeasurementHtml = '';
   let postLikeCount = '0';
   let postCommentCount = '0';
 
@@ -87,261 +314,216 @@ export async function GET(request) {
 
   // Track if post was found
   let postFound = false;
+  let postData = null;
+
+  // Content negotiation - API clients get JSON, browsers and crawlers get HTML
+  const accept = request.headers.get('accept') || '';
+  const wantsJson = accept.includes('application/json') && !accept.includes('text/html');
+
+  // Malformed IDs (/p/foo) never reach Supabase
+  if (!UUID_PATTERN.test(postId)) {
+    console.log(`[POST] Invalid post ID format: ${postId}`);
+    return wantsJson
+      ? publicPostErrorJsonResponse('not-found', { 'Vary': 'Accept' })
+      : renderPostErrorPage('not-found', { 'Vary': 'Accept' });
+  }
 
-  // Try to fetch post data from Supabase for the real image and caption
+  // Why the post can't be shown (see getPostErrorKind), null once it loaded
+  let postError = null;
+
+  // Fetch post data from Supabase for the real image and caption
   try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-
-    if (supabaseUrl && supabaseAnonKey && postId !== 'post') {
-      const postApiUrl = `${supabaseUrl}/functions/v1/get-public-post-web/${postId}`;
-
-      console.log(`[POST] Fetching post data for: ${postId}`);
-
-      const response = await fetch(postApiUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${supabaseAnonKey}`,
-          'apikey': supabaseAnonKey,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (response.ok) {
-        postFound = true;
-        const data = await response.json();
-
-        // Use real image if available
-        if (data.image_token) {
-          const imageUrl = `${currentDomain}/api/img/${data.image_token}`;
-          // OPTION 1: Dynamic OG image with overlays (too slow, even with transformed source)
-          // ogImageUrl = `${currentDomain}/api/og/post/${postId}`;
-          // OPTION 2: Use transformed image directly (fast, works well)
-          ogImageUrl = imageUrl;
-          // Landing page uses the same transformed image
-          postImageUrl = imageUrl;
-          console.log(`[POST] Using transformed image for OG and display: ${postId}`);
-        }
-
-        // Build OG title for iMessage visibility (iMessage only shows og:title, not og:description)
-        if (data.caption) {
-          // Format: From the tickIQ community: caption...
-          const prefix = 'From the tickIQ community: ';
-          const maxCaptionLength = 70 - prefix.length;
-          const captionChars = Array.from(data.caption);
-          if (captionChars.length > maxCaptionLength) {
-            ogTitle = prefix + escapeHtml(captionChars.slice(0, maxCaptionLength).join('')) + '...';
-          } else {
-            ogTitle = prefix + escapeHtml(data.caption);
-          }
-          console.log(`[POST] Built title with caption: ${ogTitle}`);
-        } else {
-          // No caption - simple branded message
-          ogTitle = 'From the tickIQ community';
-          console.log(`[POST] No caption found, using default title`);
+    console.log(`[POST] Fetching post data for: ${postId}`);
+
+    const { status, data } = await fetchPublicPost(postId, process.env);
+
+    if (data) {
+      postFound = true;
+      postData = data;
+
+      // Use real image if available
+      // Stable resolver URL - tokens expire after 45 minutes, but crawlers
+      // re-scrape og:image (and this HTML is cached) long after that
+      const images = getPostImages(data);
+      if (images.length > 0) {
+        const imageUrl = getPostImageUrl(currentDomain, postId, 1);
+        // OPTION 1: Dynamic OG image with overlays (too slow, even with transformed source)
+        // ogImageUrl = `${currentDomain}/api/og/post/${postId}`;
+        // OPTION 2: Use transformed image directly (fast, works well)
+        ogImageUrl = imageUrl;
+        // Landing page uses the same transformed image
+        postImageUrl = imageUrl;
+        console.log(`[POST] Using transformed image for OG and display: ${postId}`);
+
+        // Blur-up placeholder + dominant colour (shown until the image loads)
+        // BlurHash from the function, else the LQIP the image proxy rendered (no colour unless JPEG)
+        const placeholder = await buildImagePlaceholder(images[0].blurhash, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT) ||
+          await findImageLqip(images[0].token, process.env);
+        if (placeholder) {
+          const background = placeholder.color ? `background-color: ${placeholder.color}; ` : '';
+          postImageSkeletonHtml = `<div class="post-image-skeleton blur-placeholder" id="image-skeleton" style="${background}background-image: url('${placeholder.dataUrl}');"></div>`;
+          themeColor = placeholder.color || themeColor;
+        }
+
+        // Multi-image posts: carousel slides after the cover, dots, and every image as og:image (in order)
+        if (images.length > 1) {
+          postExtraSlidesHtml = images.slice(1).map((image, index) => {
+            const position = index + 2;
+            const background = isValidBlurHash(image.blurhash)
+              ? ` style="background-color: ${getBlurHashAverageColor(image.blurhash)};"`
+              : '';
+            return `<div class="post-carousel-slide"${background}><img src="${getPostImageUrl(currentDomain, postId, position)}" alt="Watch photo ${position} of ${images.length} shared on tickIQ" class="post-image-preview" loading="lazy" onload="this.classList.add('loaded')"></div>`;
+          }).join('');
+
+          const dots = images.map((image, index) => (
+            `<button type="button" class="post-carousel-dot${index === 0 ? ' active' : ''}" aria-label="Show photo ${index + 1} of ${images.length}" aria-current="${index === 0}"></button>`
+          )).join('');
+          postCarouselDotsHtml = `<div class="post-carousel-dots" id="post-carousel-dots">${dots}</div>`;
+
+          ogExtraImagesHtml = images.slice(1).flatMap((image, index) => [
+            `<meta property="og:image" content="${getPostImageUrl(currentDomain, postId, index + 2)}">`,
+            '<meta property="og:image:width" content="600">',
+            '<meta property="og:image:height" content="800">',
+          ]).join('\n    ');
         }
+      }
 
-        // OG description - don't repeat caption (it's in og:title)
-        // Use Reddit-style "See more from @user" format
-        if (data.author_username) {
-          ogDescription = `See more from @${escapeHtml(data.author_username)} on tickIQ`;
-        } else {
-          ogDescription = 'See this post and more on the tickIQ app';
-        }
+      // Video posts: muted inline player over the poster photo, og:video for
+      // platforms that play it directly and twitter:player (the embed card) for X
+      const video = getPostVideo(data);
+      if (video) {
+        const videoUrl = getPostVideoUrl(currentDomain, postId);
+        const posterAttribute = images.length > 0 ? ` poster="${postImageUrl}?w=${VIDEO_POSTER_WIDTH}"` : '';
+        postVideoHtml = `<video class="post-video" id="post-video" src="${videoUrl}"${posterAttribute} autoplay muted loop playsinline preload="metadata" aria-label="Watch video shared on tickIQ"></video>`;
+
+        ogVideoHtml = [
+          `<meta property="og:video" content="${videoUrl}">`,
+          `<meta property="og:video:secure_url" content="${videoUrl}">`,
+          '<meta property="og:video:type" content="video/mp4">',
+          ...(video.width && video.height
+            ? [`<meta property="og:video:width" content="${video.width}">`, `<meta property="og:video:height" content="${video.height}">`]
+            : []),
+        ].join('\n    ');
+
+        twitterCard = 'player';
+        twitterPlayerHtml = [
+          `<meta name="twitter:player" content="${currentDomain}/embed/p/${safePostId}">`,
+          `<meta name="twitter:player:width" content="${TWITTER_PLAYER_WIDTH}">`,
+          `<meta name="twitter:player:height" content="${TWITTER_PLAYER_HEIGHT}">`,
+          `<meta name="twitter:player:stream" content="${videoUrl}">`,
+          '<meta name="twitter:player:stream:content_type" content="video/mp4">',
+        ].join('\n    ');
+        console.log(`[POST] Video post: ${postId}`);
+      }
 
-        // Landing page content (iOS feed cell style)
+      // Build OG title for iMessage visibility (iMessage only shows og:title, not og:description)
+      if (data.caption) {
+        // Format: From the tickIQ community: caption...
+        const prefix = 'From the tickIQ community: ';
+        const maxCaptionLength = 70 - prefix.length;
+        // Truncate before escaping - never cuts an emoji or an entity in half
+        ogTitle = prefix + escapeHtml(truncateText(data.caption, maxCaptionLength));
+        console.log(`[POST] Built title with caption: ${ogTitle}`);
+      } else {
+        // No caption - simple branded message
+        ogTitle = 'From the tickIQ community';
+        console.log(`[POST] No caption found, using default title`);
+      }
 
-        // Caption overlay - no truncation, let CSS line-clamp handle it (like iOS numberOfLines)
-        if (data.caption) {
-          postCaptionHtml = `<p class="post-caption">${escapeHtml(data.caption)}</p>`;
-        }
+      // OG description - don't repeat caption (it's in og:title)
+      // Use Reddit-style "See more from @user" format
+      if (data.author_username) {
+        ogDescription = `See more from @${escapeHtml(data.author_username)} on tickIQ`;
+      } else {
+        ogDescription = 'See this post and more on the tickIQ app';
+      }
 
-        // Username pill
-        if (data.author_username) {
-          postUsernamePillHtml = `<div class="post-username-pill"><span class="post-username">@${escapeHtml(data.author_username)}</span></div>`;
-        }
+      // Measurement posts lead with the reading instead (e.g. "+2.1 s/d on a Rolex 3235")
+      const measurement = getPostMeasurement(data);
+      if (measurement) {
+        ogTitle = escapeHtml(buildMeasurementHeadline(measurement, data.watch_display_name || null));
+        const summary = buildMeasurementSummary(measurement);
+        const byline = data.author_username
+          ? `Measured by @${data.author_username} with tickIQ`
+          : 'Measured with tickIQ';
+        ogDescription = escapeHtml(summary ? `${summary} · ${byline}` : byline);
+        postMeasurementHtml = renderMeasurementCard(measurement, data.watch_display_name || null);
+        console.log(`[POST] Measurement post: ${ogTitle}`);
+      }
 
-        // Watch name (with dot separator like iOS)
-        if (data.watch_display_name) {
-          postWatchNameHtml = `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`;
-        }
+      // Landing page content (iOS feed cell style)
 
-        // Timestamp (always with dot separator like iOS)
-        if (data.created_at) {
-          const timestamp = formatRelativeTime(data.created_at);
-          postTimestampHtml = `<span class="post-timestamp">· ${timestamp}</span>`;
-        }
+      // Caption overlay - no truncation, let CSS line-clamp handle it (like iOS numberOfLines)
+      // Line breaks, @mentions, #hashtags and URLs are linked (see lib/caption.js)
+      if (data.caption) {
+        postCaptionHtml = `<p class="post-caption">${formatCaptionHtml(data.caption)}</p>`;
+      }
 
-        // Social counts
-        postLikeCount = formatCount(data.like_count || 0);
-        postCommentCount = formatCount(data.comment_count || 0);
-        rawCommentCount = data.comment_count || 0;
+      // Username pill
+      if (data.author_username) {
+        postUsernamePillHtml = `<div class="post-username-pill"><span class="post-username">@${escapeHtml(data.author_username)}</span></div>`;
+      }
 
-        // Dynamic CTA based on engagement
-        if (rawCommentCount > 0) {
-          postCtaText = rawCommentCount === 1 ? 'See 1 Comment' : `See ${rawCommentCount} Comments`;
-          postEngagementText = rawCommentCount === 1
-            ? '1 person commented on this post'
-            : `${rawCommentCount} people commented on this post`;
-        } else {
-          postCtaText = 'View Full Post';
-          postEngagementText = 'Shared from the tickIQ community';
-        }
-      } else {
-        console.log(`[POST] Post not found or not accessible: ${postId} (status: ${response.status})`);
+      // Watch name (with dot separator like iOS) - linked to the author's collection below
+      if (data.watch_display_name) {
+        postWatchNameHtml = `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`;
+      }
+
+      // Timestamp (always with dot separator like iOS)
+      const timestampHtml = data.created_at ? renderRelativeTimeHtml(data.created_at) : '';
+      if (timestampHtml) {
+        postTimestampHtml = `<span class="post-timestamp">· ${timestampHtml}</span>`;
       }
+
+      // Social counts and dynamic CTA based on engagement (same wording as the stats endpoint)
+      const stats = toPublicPostStats(data);
+      const statsText = formatPostStats(stats);
+      postLikeCount = statsText.like_count_text;
+      postCommentCount = statsText.comment_count_text;
+      postCtaText = statsText.cta_text;
+      postEngagementText = statsText.engagement_text;
+      rawCommentCount = stats.comment_count;
+    } else {
+      postError = getPostErrorKind(status);
+      console.log(`[POST] Post not available: ${postId} (status: ${status}, ${postError})`);
     }
   } catch (error) {
     console.error('[POST] Failed to fetch post data:', error);
-    // Fall back to defaults - don't break the page
+    // Network failure or missing configuration - ask the visitor to retry.
+    // Once the post loaded, fall back to defaults instead - don't break the page
+    if (!postFound) {
+      postError = 'unavailable';
+    }
   }
 
-  // Return 404 if post was not found
-  if (!postFound) {
-    console.log(`[POST] Returning 404 for post: ${postId}`);
-    return new Response(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="robots" content="noindex,nofollow">
-    <title>Post Not Found - tickIQ</title>
-
-    <!-- Favicons -->
-    <link rel="icon" href="/favicon.ico" sizes="any">
-    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
-    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
-    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
-
-    <!-- Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-
-    <!-- Main site styles -->
-    <link rel="stylesheet" href="/css/styles.css">
-
-    <style>
-        body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            background: #FFFFFF;
-            color: #000000;
-            min-height: 100vh;
-        }
-
-        .error-container {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            min-height: 100vh;
-            padding: 12rem 2rem 10rem 2rem;
-            text-align: center;
-        }
-
-        .error-content {
-            animation: fadeIn 0.6s ease;
-        }
-
-        @keyframes fadeIn {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
-        }
-
-        /* Icon */
-        .error-icon {
-            width: 64px;
-            height: 64px;
-            margin: 0 auto 24px;
-            opacity: 0.25;
-            display: block;
-        }
-
-        /* Inner content wrapper */
-        .error-text {
-            display: flex;
-            flex-direction: column;
-            gap: 12px;
-        }
-
-        /* Title */
-        .error-title {
-            font-size: 1.375rem;
-            font-weight: 600;
-            color: #000000;
-            margin: 0;
-        }
-
-        /* Message */
-        .error-message {
-            font-size: 1.0625rem;
-            color: #666666;
-            line-height: 1.5;
-            padding: 0 40px;
-            margin: 0;
-        }
-
-        @media (max-width: 768px) {
-            .error-container {
-                padding: 10rem 1.5rem 8rem 1.5rem;
-                min-height: 100vh;
-            }
-
-            .error-message {
-                padding: 0 20px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <!-- Header will be injected by components.js -->
-    <header></header>
-
-    <div class="error-container">
-        <div class="error-content">
-            <!-- Photo slash icon -->
-            <svg class="error-icon" width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">
-                <!-- Circle background -->
-                <circle cx="32" cy="32" r="28" fill="#000000"/>
-                <!-- Photo/image icon -->
-                <rect x="20" y="24" width="24" height="18" rx="2" stroke="#FFFFFF" stroke-width="2" fill="none"/>
-                <!-- Mountain peaks (photo symbol) -->
-                <path d="M20 38L26 32L30 36L38 28L44 34V40C44 41.1 43.1 42 42 42H22C20.9 42 20 41.1 20 40V38Z" fill="#FFFFFF"/>
-                <!-- Sun/circle in photo -->
-                <circle cx="38" cy="29" r="2.5" fill="#FFFFFF"/>
-                <!-- Slash line -->
-                <line x1="18" y1="46" x2="46" y2="18" stroke="#FFFFFF" stroke-width="2.5" stroke-linecap="round"/>
-            </svg>
-
-            <div class="error-text">
-                <h1 class="error-title">Post Not Found</h1>
-                <p class="error-message">This post doesn't exist or is no longer available.</p>
-            </div>
-        </div>
-    </div>
+  if (wantsJson) {
+    return postFound
+      ? publicPostJsonResponse(toPublicPost(postData, postId, currentDomain), 200, { 'Vary': 'Accept' })
+      : publicPostErrorJsonResponse(postError, { 'Vary': 'Accept' });
+  }
 
-    <!-- Footer will be injected by components.js -->
-    <footer></footer>
+  // Branded 404 / 410 / 503 page if the post can't be shown
+  if (!postFound) {
+    console.log(`[POST] Returning ${postError} page for post: ${postId}`);
+    return renderPostErrorPage(postError, { 'Vary': 'Accept' });
+  }
 
-    <!-- Load shared components -->
-    <script src="/js/components.js"></script>
-</body>
-</html>
-    `, {
-      status: 404,
-      headers: {
-        'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'no-cache',
-      },
-    });
+  // Comments, the author's other posts and the watch's collection entry are only fetched for the HTML page
+  const [postCommentsHtml, { navHtml: postNavHtml, railHtml: authorRailHtml }, watchLink] = await Promise.all([
+    rawCommentCount > 0 ? renderTopComments(postId, rawCommentCount) : '',
+    renderMoreFromAuthor(postId),
+    postData.watch_display_name ? renderWatchLink(postData) : null,
+  ]);
+  if (watchLink) {
+    postWatchNameHtml = watchLink.watchNameHtml;
+    postWatchChipHtml = watchLink.watchChipHtml;
   }
 
+  // Visitors who kept browsing from another post page
+  // Counted in the browser (the page is edge-cached, the server only sees cache misses)
+  const via = url.searchParams.get('via');
+  const navigationSource = NAVIGATION_SOURCES.includes(via) ? via : null;
+
   // Use the embedded HTML template
   let html = POST_HTML_TEMPLATE;
 
@@ -355,12 +537,26 @@ export async function GET(request) {
     // Update OG image URLs (both og:image and twitter:image)
     // Use function replacement to prevent $ being interpreted as backreference
     .replace(/\{\{OG_IMAGE_URL\}\}/g, () => ogImageUrl)
+    .replace(/\{\{OG_EXTRA_IMAGES_HTML\}\}/g, () => ogExtraImagesHtml)
+    // Video posts (og:video, twitter:player)
+    .replace('<meta property="og:type" content="website">', () =>
+      `<meta property="og:type" content="${postVideoHtml ? 'video.other' : 'website'}">`
+    )
+    .replace(/\{\{OG_VIDEO_HTML\}\}/g, () => ogVideoHtml)
+    .replace(/\{\{TWITTER_CARD\}\}/g, () => twitterCard)
+    .replace(/\{\{TWITTER_PLAYER_HTML\}\}/g, () => twitterPlayerHtml)
     // Update OG title (title, og:title, twitter:title)
     // Use function replacement for consistency
     .replace(/\{\{OG_TITLE\}\}/g, () => ogTitle)
     // Update OG description (both og:description and twitter:description)
     // Use function replacement to prevent $ in captions being interpreted as backreference
     .replace(/\{\{OG_DESCRIPTION\}\}/g, () => ogDescription)
+    // Browser chrome tinted with the image's dominant colour
+    .replace(/\{\{THEME_COLOR\}\}/g, () => themeColor)
+    // oEmbed discovery link (& escaped for the href attribute)
+    .replace(/\{\{OEMBED_URL\}\}/g, () =>
+      `${currentDomain}/api/oembed?url=${encodeURIComponent(`${currentDomain}/p/${postId}`)}&amp;format=json`
+    )
     // Update iOS app link
     .replace(
       '<meta property="al:ios:url" content="tickiq://post/">',
@@ -368,12 +564,29 @@ export async function GET(request) {
     )
     // Landing page content (iOS feed cell style)
     .replace(/\{\{POST_IMAGE_URL\}\}/g, () => postImageUrl)
+    .replace(/\{\{POST_IMAGE_SKELETON_HTML\}\}/g, () => postImageSkeletonHtml)
+    .replace(/\{\{POST_VIDEO_HTML\}\}/g, () => postVideoHtml)
+    .replace(/\{\{POST_EXTRA_SLIDES_HTML\}\}/g, () => postExtraSlidesHtml)
+    .replace(/\{\{POST_CAROUSEL_DOTS_HTML\}\}/g, () => postCarouselDotsHtml)
     .replace(/\{\{POST_CAPTION_HTML\}\}/g, () => postCaptionHtml)
     .replace(/\{\{POST_USERNAME_PILL_HTML\}\}/g, () => postUsernamePillHtml)
     .replace(/\{\{POST_WATCH_NAME_HTML\}\}/g, () => postWatchNameHtml)
+    .replace(/\{\{POST_WATCH_CHIP_HTML\}\}/g, () => postWatchChipHtml)
     .replace(/\{\{POST_TIMESTAMP_HTML\}\}/g, () => postTimestampHtml)
     .replace(/\{\{POST_LIKE_COUNT\}\}/g, () => postLikeCount)
     .replace(/\{\{POST_COMMENT_COUNT\}\}/g, () => postCommentCount)
+    .replace(/\{\{POST_MEASUREMENT_HTML\}\}/g, () => postMeasurementHtml)
+    .replace(/\{\{POST_COMMENTS_HTML\}\}/g, () => postCommentsHtml)
+    .replace(/\{\{POST_NAV_HTML\}\}/g, () => postNavHtml)
+    .replace(/\{\{AUTHOR_RAIL_HTML\}\}/g, () => authorRailHtml)
+    // App Store installs from browsed posts are attributed separately (web-post-more, ...)
+    // data-navigation-source is reported as a post_navigation analytics event
+    .replace(
+      '<body data-campaign-token="web-post">',
+      navigationSource
+        ? `<body data-campaign-token="web-post-${navigationSource}" data-navigation-source="${navigationSource}">`
+        : '<body data-campaign-token="web-post">'
+    )
     .replace(/\{\{POST_CTA_TEXT\}\}/g, () => postCtaText)
     .replace(/\{\{POST_ENGAGEMENT_TEXT\}\}/g, () => postEngagementText);
 
@@ -384,6 +597,8 @@ export async function GET(request) {
       'Content-Type': 'text/html; charset=utf-8',
       // Cache at edge for 10 minutes, serve stale for up to 15 minutes while revalidating
       'Cache-Control': 's-maxage=600, stale-while-revalidate=900',
+      // HTML and JSON share this URL
+      'Vary': 'Accept',
     },
   });
 }
@@ -398,6 +613,7 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
     <meta name="robots" content="noindex,nofollow">
     <title>{{OG_TITLE}}</title>
     <meta name="description" content="{{OG_DESCRIPTION}}">
+    <meta name="theme-color" content="{{THEME_COLOR}}">
 
     <!-- Open Graph / Facebook -->
     <meta property="og:type" content="website">
@@ -406,13 +622,19 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
     <meta property="og:image" content="{{OG_IMAGE_URL}}">
     <meta property="og:image:width" content="600">
     <meta property="og:image:height" content="800">
+    {{OG_EXTRA_IMAGES_HTML}}
+    {{OG_VIDEO_HTML}}
     <meta property="og:url" content="https://tickiq.app/post">
 
+    <!-- oEmbed discovery -->
+    <link rel="alternate" type="application/json+oembed" href="{{OEMBED_URL}}" title="{{OG_TITLE}}">
+
     <!-- Twitter -->
-    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:card" content="{{TWITTER_CARD}}">
     <meta name="twitter:title" content="{{OG_TITLE}}">
     <meta name="twitter:description" content="{{OG_DESCRIPTION}}">
     <meta name="twitter:image" content="{{OG_IMAGE_URL}}">
+    {{TWITTER_PLAYER_HTML}}
 
     <!-- App Links for iOS -->
     <meta property="al:ios:app_name" content="tickIQ">
@@ -476,6 +698,88 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
                         0 0 0 1px rgba(0, 0, 0, 0.08);
         }
 
+        .post-media {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            align-items: center;
+            column-gap: 2.5rem;
+        }
+
+        /* Flex centres the photo (auto margins would push the card to the edge) */
+        .post-media > .post-image-container {
+            margin-left: 0;
+            margin-right: 0;
+        }
+
+        /* Measurement posts: timegrapher-style reading next to the photo */
+        .measurement-card {
+            width: 300px;
+            margin: 0 0 2rem;
+            padding: 24px;
+            border-radius: 28px;
+            background: #0b0b0b;
+            color: #fff;
+            text-align: left;
+            font-variant-numeric: tabular-nums;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15);
+            animation: fadeInUp 0.6s cubic-bezier(0.4, 0, 0.2, 1) 0.1s both;
+        }
+
+        .measurement-card-label {
+            font-size: 0.6875rem;
+            font-weight: 600;
+            letter-spacing: 0.08em;
+            text-transform: uppercase;
+            color: rgba(255, 255, 255, 0.5);
+        }
+
+        .measurement-rate {
+            display: flex;
+            align-items: baseline;
+            gap: 6px;
+            margin: 8px 0 20px;
+        }
+
+        .measurement-rate-value {
+            font-size: 3.5rem;
+            font-weight: 700;
+            line-height: 1;
+        }
+
+        .measurement-rate-unit {
+            font-size: 1.125rem;
+            font-weight: 500;
+            color: rgba(255, 255, 255, 0.7);
+        }
+
+        .measurement-stats {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 16px 12px;
+            margin: 0;
+            padding-top: 16px;
+            border-top: 1px solid rgba(255, 255, 255, 0.12);
+        }
+
+        .measurement-stats dt {
+            font-size: 0.75rem;
+            color: rgba(255, 255, 255, 0.5);
+        }
+
+        .measurement-stats dd {
+            margin: 2px 0 0;
+            font-size: 1.0625rem;
+            font-weight: 600;
+        }
+
+        .measurement-footer {
+            margin-top: 20px;
+            font-size: 0.75rem;
+            line-height: 1.4;
+            color: rgba(255, 255, 255, 0.5);
+        }
+
         .post-image-skeleton {
             position: absolute;
             top: 0;
@@ -497,6 +801,15 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             100% { background-position: -200% 0; }
         }
 
+        /* BlurHash placeholder: tiny image upscaled and blurred, no shimmer */
+        .post-image-skeleton.blur-placeholder {
+            background-size: cover;
+            background-position: center;
+            animation: none;
+            filter: blur(16px);
+            transform: scale(1.1);
+        }
+
         .post-image-skeleton.hidden {
             display: none;
         }
@@ -509,13 +822,114 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             height: 100%;
             object-fit: cover;
             opacity: 0;
-            transition: opacity 0.3s ease;
+            transition: opacity 0.5s ease;
         }
 
         .post-image-preview.loaded {
             opacity: 1;
         }
 
+        /* Video posts: muted inline player over the poster photo (the photo stays as fallback) */
+        .post-video {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        /* Carousel: horizontal scroll-snap track, one full-size slide per image */
+        .post-carousel {
+            position: absolute;
+            inset: 0;
+            display: flex;
+            overflow-x: auto;
+            overflow-y: hidden;
+            scroll-snap-type: x mandatory;
+            overscroll-behavior-x: contain;
+            scrollbar-width: none;
+        }
+
+        .post-carousel::-webkit-scrollbar {
+            display: none;
+        }
+
+        .post-carousel:focus-visible {
+            outline: 3px solid rgba(255, 255, 255, 0.8);
+            outline-offset: -3px;
+        }
+
+        .post-carousel-slide {
+            position: relative;
+            flex: 0 0 100%;
+            height: 100%;
+            overflow: hidden;
+            scroll-snap-align: start;
+            background: #f0f0f0;
+        }
+
+        .post-carousel-dots {
+            position: absolute;
+            top: 16px;
+            left: 0;
+            right: 0;
+            display: flex;
+            justify-content: center;
+            gap: 6px;
+            pointer-events: none;
+        }
+
+        .post-carousel-dot {
+            width: 7px;
+            height: 7px;
+            padding: 0;
+            border: 0;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.5);
+            box-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
+            cursor: pointer;
+            pointer-events: auto;
+            transition: background 0.2s ease;
+        }
+
+        .post-carousel-dot.active {
+            background: #fff;
+        }
+
+        /* Shown when the image cannot be loaded or refreshed */
+        .post-image-unavailable {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 0.75rem;
+            background: #f0f0f0;
+        }
+
+        .post-image-unavailable.visible {
+            display: flex;
+        }
+
+        .post-image-unavailable .placeholder-icon {
+            width: 48px;
+            height: 48px;
+            opacity: 0.25;
+        }
+
+        .post-image-unavailable .placeholder-text {
+            font-size: 0.875rem;
+            font-weight: 400;
+            color: rgba(0, 0, 0, 0.35);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+        }
+
         /* Bottom gradient overlay (matches iOS: lighter gradient) */
         .post-overlay-gradient {
             position: absolute;
@@ -539,6 +953,8 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             left: 0;
             right: 0;
             padding: 16px 24px 28px 24px;
+            /* Display only - lets swipes reach the carousel underneath */
+            pointer-events: none;
         }
 
         .post-overlay-left {
@@ -562,6 +978,23 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             overflow: hidden;
         }
 
+        /* Caption links (mentions, hashtags, URLs) - clickable through the overlay */
+        .post-caption a {
+            color: inherit;
+            text-decoration: none;
+            pointer-events: auto;
+        }
+
+        .post-caption .caption-link {
+            text-decoration: underline;
+            text-decoration-color: rgba(255, 255, 255, 0.5);
+            text-underline-offset: 2px;
+        }
+
+        .post-caption a:hover {
+            text-decoration: underline;
+        }
+
         /* Username pill + watch info + timestamp row (matches iOS: all inline, 5px gap) */
         .post-meta-row {
             display: flex;
@@ -609,6 +1042,47 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             min-width: 0;
         }
 
+        /* Watch name linked to the author's collection - clickable through the overlay */
+        .post-watch-link {
+            text-decoration: none;
+            pointer-events: auto;
+        }
+
+        .post-watch-link:hover {
+            color: #fff;
+        }
+
+        /* Watch stats chip (30-day accuracy, rotation share) below the metadata row */
+        .post-watch-chip {
+            display: inline-block;
+            max-width: 100%;
+            margin-top: 6px;
+            padding: 0 8px;
+            line-height: 20px;
+            border-radius: 9999px;
+            background: rgba(255, 255, 255, 0.12);
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+            font-size: clamp(0.5rem, 2.2vw, 0.625rem);
+            font-weight: 500;
+            color: rgba(255, 255, 255, 0.7);
+            text-decoration: none;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            pointer-events: auto;
+        }
+
+        .post-watch-chip:hover {
+            background: rgba(255, 255, 255, 0.2);
+        }
+
+        .post-watch-chip-rate {
+            font-weight: 600;
+            color: #fff;
+            font-variant-numeric: tabular-nums;
+        }
+
         /* Timestamp (matches iOS: 10px regular, fluid scaling) */
         .post-timestamp {
             font-size: clamp(0.5rem, 2.2vw, 0.625rem);
@@ -650,6 +1124,159 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
             text-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
         }
 
+        /* Top comments below image (same width as the feed cell) */
+        .post-comments {
+            width: 390px;
+            max-width: 100%;
+            margin: 0 auto 2rem;
+            text-align: left;
+        }
+
+        .post-comment-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 14px;
+        }
+
+        .post-comment-header {
+            display: flex;
+            align-items: baseline;
+            gap: 5px;
+            font-size: 0.8125rem;
+        }
+
+        .post-comment-author {
+            font-weight: 600;
+            color: #000;
+        }
+
+        .post-comment-time {
+            color: #999;
+        }
+
+        .post-comment-text {
+            margin: 2px 0 0;
+            font-size: 0.9375rem;
+            line-height: 1.4;
+            color: #333;
+            white-space: pre-line;
+            overflow-wrap: anywhere;
+        }
+
+        .post-comments-link {
+            display: inline-block;
+            margin-top: 14px;
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #666;
+            text-decoration: none;
+        }
+
+        .post-comments-link:hover {
+            color: #000;
+        }
+
+        /* Previous / next post by the same author */
+        .post-nav {
+            display: flex;
+            justify-content: space-between;
+            width: 390px;
+            max-width: 100%;
+            margin: 2.5rem auto 0;
+        }
+
+        .post-nav-link {
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #666;
+            text-decoration: none;
+        }
+
+        .post-nav-link:hover {
+            color: #000;
+        }
+
+        /* "More from @author" horizontal rail */
+        .author-rail {
+            margin: 2.5rem auto 0;
+            max-width: 900px;
+            text-align: left;
+        }
+
+        .author-rail-header {
+            display: flex;
+            align-items: baseline;
+            justify-content: space-between;
+            gap: 1rem;
+            margin-bottom: 1rem;
+        }
+
+        .author-rail-title {
+            font-size: 1.125rem;
+            font-weight: 600;
+            margin: 0;
+        }
+
+        .author-rail-profile {
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #000;
+            text-decoration: none;
+            white-space: nowrap;
+        }
+
+        .author-rail-list {
+            list-style: none;
+            margin: 0;
+            padding: 0 0 0.5rem;
+            display: flex;
+            gap: 12px;
+            overflow-x: auto;
+            scroll-snap-type: x mandatory;
+            -webkit-overflow-scrolling: touch;
+        }
+
+        .author-rail-list li {
+            flex: 0 0 120px;
+            scroll-snap-align: start;
+        }
+
+        .author-rail-item {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .author-rail-thumbnail {
+            display: block;
+            aspect-ratio: 3 / 4;
+            border-radius: 16px;
+            overflow: hidden;
+            background: #f0f0f0;
+        }
+
+        .author-rail-thumbnail img {
+            display: block;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .author-rail-caption {
+            font-size: 0.75rem;
+            line-height: 1.3;
+            color: #333;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+        }
+
         /* Attribution below image */
         .post-attribution {
             font-size: 0.875rem;
@@ -785,6 +1412,11 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
                 border-radius: 32px;
             }
 
+            .measurement-card {
+                width: 100%;
+                max-width: 360px;
+            }
+
             .post-overlay-content {
                 padding: 12px 20px 24px 20px;
             }
@@ -935,9 +1567,26 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
         <!-- Post Hero Section -->
         <div class="post-hero">
             <div class="post-content">
+                <!-- Photo, plus the timegrapher card beside it for measurement posts -->
+                <div class="post-media">
                 <div class="post-image-container" id="post-image-container" style="cursor: pointer;">
-                    <div class="post-image-skeleton" id="image-skeleton"></div>
-                    <img src="{{POST_IMAGE_URL}}" alt="Watch photo shared on tickIQ" class="post-image-preview" id="post-image" onload="this.classList.add('loaded'); document.getElementById('image-skeleton').classList.add('hidden');">
+                    <!-- One slide per image (swipe, arrow keys or dots); single-image posts have one slide -->
+                    <div class="post-carousel" id="post-carousel">
+                        <div class="post-carousel-slide">
+                            {{POST_IMAGE_SKELETON_HTML}}
+                            <img src="{{POST_IMAGE_URL}}" alt="Watch photo shared on tickIQ" class="post-image-preview" id="post-image" onload="this.classList.add('loaded'); setTimeout(() => document.getElementById('image-skeleton').classList.add('hidden'), 600);">
+                            {{POST_VIDEO_HTML}}
+                            <div class="post-image-unavailable" id="post-image-unavailable">
+                                <svg class="placeholder-icon" viewBox="0 0 26 26" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                    <circle cx="13" cy="13" r="12" fill="black" opacity="0.15"/>
+                                    <path d="M13 6C11.3431 6 10 7.34315 10 9V11H9C8.44772 11 8 11.4477 8 12V18C8 18.5523 8.44772 19 9 19H17C17.5523 19 18 18.5523 18 18V12C18 11.4477 17.5523 11 17 11H16V9C16 7.34315 14.6569 6 13 6ZM11.5 9C11.5 8.17157 12.1716 7.5 13 7.5C13.8284 7.5 14.5 8.17157 14.5 9V11H11.5V9Z" fill="black" opacity="0.4"/>
+                                </svg>
+                                <div class="placeholder-text">NOT AVAILABLE</div>
+                            </div>
+                        </div>
+                        {{POST_EXTRA_SLIDES_HTML}}
+                    </div>
+                    {{POST_CAROUSEL_DOTS_HTML}}
 
                     <!-- iOS-style overlay -->
                     <div class="post-overlay-gradient"></div>
@@ -949,25 +1598,31 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
                                 {{POST_WATCH_NAME_HTML}}
                                 {{POST_TIMESTAMP_HTML}}
                             </div>
+                            {{POST_WATCH_CHIP_HTML}}
                         </div>
                         <div class="post-overlay-right">
                             <div class="post-social-button">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
                                     <path d="M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z"/>
                                 </svg>
-                                <span class="post-social-count">{{POST_LIKE_COUNT}}</span>
+                                <span class="post-social-count" id="post-like-count">{{POST_LIKE_COUNT}}</span>
                             </div>
                             <div class="post-social-button">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
                                     <path d="M12 20.25c4.97 0 9-3.694 9-8.25s-4.03-8.25-9-8.25S3 7.444 3 12c0 2.104.859 4.023 2.273 5.48.432.447.74 1.04.586 1.641a4.483 4.483 0 01-.923 1.785A5.969 5.969 0 006 21c1.282 0 2.47-.402 3.445-1.087.81.22 1.668.337 2.555.337z"/>
                                 </svg>
-                                <span class="post-social-count">{{POST_COMMENT_COUNT}}</span>
+                                <span class="post-social-count" id="post-comment-count">{{POST_COMMENT_COUNT}}</span>
                             </div>
                         </div>
                     </div>
                 </div>
 
-                <p class="post-attribution">
+                {{POST_MEASUREMENT_HTML}}
+                </div>
+
+                {{POST_COMMENTS_HTML}}
+
+                <p class="post-attribution" id="post-engagement-text">
                     {{POST_ENGAGEMENT_TEXT}}
                 </p>
 
@@ -979,6 +1634,10 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
                         Download tickIQ
                     </a>
                 </div>
+
+                {{POST_NAV_HTML}}
+
+                {{AUTHOR_RAIL_HTML}}
             </div>
         </div>
     </div>
@@ -1004,6 +1663,8 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
 
     <!-- Load the shared components -->
     <script src="/js/components.js"></script>
+    <!-- Timestamps in the viewer's locale and timezone -->
+    <script src="/js/relative-time.js"></script>
 
     <script>
         // Execute immediately when script loads
@@ -1141,13 +1802,154 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
         }
 
         // Make post image clickable - triggers same action as CTA button
+        // (caption links and the watch link keep their own destination)
         const postImageContainer = document.getElementById('post-image-container');
         if (postImageContainer) {
-            postImageContainer.addEventListener('click', () => {
+            postImageContainer.addEventListener('click', (e) => {
+                if (e.target.closest('.post-overlay-left a')) return;
                 openAppLink.click();
             });
         }
 
+        // Recover from image load errors (transient failure) on every carousel slide:
+        // stable image URLs never expire, so retry once past the browser cache, then
+        // fall back to the NOT AVAILABLE placeholder
+        const imageUnavailableTemplate = document.getElementById('post-image-unavailable');
+        document.querySelectorAll('#post-carousel .post-image-preview').forEach(image => {
+            const slide = image.closest('.post-carousel-slide');
+            let imageRetried = false;
+
+            const showImageUnavailable = () => {
+                image.style.display = 'none';
+                const skeleton = slide.querySelector('.post-image-skeleton');
+                if (skeleton) skeleton.classList.add('hidden');
+
+                // Extra slides borrow the cover's placeholder markup
+                let unavailable = slide.querySelector('.post-image-unavailable');
+                if (!unavailable) {
+                    unavailable = imageUnavailableTemplate.cloneNode(true);
+                    unavailable.removeAttribute('id');
+                    slide.appendChild(unavailable);
+                }
+                unavailable.classList.add('visible');
+            };
+
+            const recoverImage = () => {
+                if (imageRetried) {
+                    showImageUnavailable();
+                    return;
+                }
+                imageRetried = true;
+
+                const retryUrl = new URL(image.src);
+                retryUrl.searchParams.set('retry', Date.now());
+                image.src = retryUrl.href;
+            };
+
+            image.addEventListener('error', recoverImage);
+
+            // The cover may already have failed before this script ran (extra slides load lazily)
+            if (image.loading !== 'lazy' && image.complete && image.naturalWidth === 0) {
+                recoverImage();
+            }
+        });
+
+        // Video posts: fall back to the poster photo if the video can't play,
+        // and don't autoplay for visitors who asked for reduced motion
+        const postVideo = document.getElementById('post-video');
+        if (postVideo) {
+            postVideo.addEventListener('error', () => {
+                postVideo.remove();
+            });
+
+            if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+                postVideo.removeAttribute('autoplay');
+                postVideo.pause();
+            }
+        }
+
+        // Multi-image carousel: swipe (scroll snap), arrow keys when focused, or dots
+        const carousel = document.getElementById('post-carousel');
+        const carouselDots = document.querySelectorAll('.post-carousel-dot');
+        if (carousel && carouselDots.length > 1) {
+            let currentSlide = 0;
+
+            carousel.tabIndex = 0;
+            carousel.setAttribute('role', 'region');
+            carousel.setAttribute('aria-roledescription', 'carousel');
+            carousel.setAttribute('aria-label', \`Post photos (\${carouselDots.length})\`);
+
+            const showSlide = (index) => {
+                const target = Math.max(0, Math.min(index, carouselDots.length - 1));
+                carousel.scrollTo({ left: target * carousel.clientWidth, behavior: 'smooth' });
+            };
+
+            carousel.addEventListener('scroll', () => {
+                const index = Math.round(carousel.scrollLeft / carousel.clientWidth);
+                if (index === currentSlide) return;
+                currentSlide = index;
+                carouselDots.forEach((dot, dotIndex) => {
+                    dot.classList.toggle('active', dotIndex === index);
+                    dot.setAttribute('aria-current', String(dotIndex === index));
+                });
+            }, { passive: true });
+
+            carousel.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    showSlide(currentSlide + (e.key === 'ArrowRight' ? 1 : -1));
+                }
+            });
+
+            carouselDots.forEach((dot, index) => {
+                dot.addEventListener('click', (e) => {
+                    // Don't open the app (the image container is a link to it)
+                    e.stopPropagation();
+                    showSlide(index);
+                });
+            });
+        }
+
+        // Live like/comment counts - the HTML is edge-cached for up to 25 minutes,
+        // so refresh them after load and whenever the tab regains focus
+        // (the endpoint sends the text preformatted, exactly as the page renders it)
+        const likeCountEl = document.getElementById('post-like-count');
+        const commentCountEl = document.getElementById('post-comment-count');
+        const engagementTextEl = document.getElementById('post-engagement-text');
+
+        // Same TTL as the stats endpoint's edge cache - no point asking more often
+        const STATS_REFRESH_INTERVAL_MS = 15000;
+        let lastStatsRefresh = 0;
+
+        const refreshPostStats = async () => {
+            if (!likeCountEl || !commentCountEl || !engagementTextEl) return;
+            if (Date.now() - lastStatsRefresh < STATS_REFRESH_INTERVAL_MS) return;
+            lastStatsRefresh = Date.now();
+
+            try {
+                const response = await fetch(\`/api/post/\${encodeURIComponent(postId)}/stats\`, {
+                    headers: { 'Accept': 'application/json' },
+                });
+                if (!response.ok) return;
+                const stats = await response.json();
+                const texts = [stats.like_count_text, stats.comment_count_text, stats.cta_text, stats.engagement_text];
+                if (!texts.every(text => typeof text === 'string')) return;
+
+                likeCountEl.textContent = stats.like_count_text;
+                commentCountEl.textContent = stats.comment_count_text;
+                openAppLink.textContent = stats.cta_text;
+                engagementTextEl.textContent = stats.engagement_text;
+            } catch (error) {
+                // Offline or blocked - keep the counts from the page
+            }
+        };
+
+        refreshPostStats();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') refreshPostStats();
+        });
+        window.addEventListener('focus', refreshPostStats);
+
         // Smooth auto-redirect on iOS with better UX
         if (isIOS) {
             // Wait for initial page render
@@ -1172,6 +1974,15 @@ const POST_HTML_TEMPLATE = `<!DOCTYPE html>
     <!-- Vercel Analytics -->
     <script>
         window.va = window.va || function () { (window.vaq = window.vaq || []).push(arguments); };
+
+        // Browsing from another post page (?via=more|prev|next, validated server-side)
+        // Sent from here because the page itself is edge-cached
+        if (document.body.dataset.navigationSource) {
+            window.va('event', {
+                name: 'post_navigation',
+                data: { via: document.body.dataset.navigationSource },
+            });
+        }
     </script>
     <script defer src="/_vercel/insights/script.js"></script>
 </body>
@@ -8,6 +8,12 @@
  * Caching: 5min edge cache, 10min stale-while-revalidate
  */
 
+// Paths are relative to the built route (app/api/profile-v2/route.js)
+import { buildImagePlaceholder } from '../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../lib/image-lqip.js';
+import { getStableWatchImagePath } from '../../../lib/image-resolver.js';
+import { renderBrandedErrorPage } from '../../../lib/error-page.js';
+
 export const runtime = 'edge';
 
 export async function GET(request) {
@@ -70,7 +76,7 @@ export async function GET(request) {
     console.log(`[PROFILE-V2] Successfully fetched @${username}: ${data.stats.watch_count} watches`);
 
     // Render HTML with data
-    const html = renderProfileHTML(data, username, url.host);
+    const html = await renderProfileHTML(data, username, url.host);
 
     return new Response(html, {
       status: 200,
@@ -90,7 +96,7 @@ export async function GET(request) {
 /**
  * Render profile HTML with data injected
  */
-function renderProfileHTML(data, username, domain) {
+async function renderProfileHTML(data, username, domain) {
   // Use the embedded HTML template (will be injected during build)
   let html = PROFILE_V2_HTML_TEMPLATE;
 
@@ -102,7 +108,11 @@ function renderProfileHTML(data, username, domain) {
   if (data.watches && data.watches.length > 0) {
     const firstWatch = data.watches[0];
     const imageToken = firstWatch.thumbnail_url || firstWatch.full_image_url;
-    if (imageToken) {
+    const stableImagePath = getStableWatchImagePath(firstWatch, username);
+    if (stableImagePath) {
+      // Stable resolver URL - survives crawlers re-scraping after the token expires
+      ogImageUrl = `https://${domain}${stableImagePath}`;
+    } else if (imageToken) {
       ogImageUrl = `https://${domain}/api/img/${imageToken}`;
     }
   }
@@ -114,6 +124,15 @@ function renderProfileHTML(data, username, domain) {
     .replace(/\{\{WATCH_COUNT\}\}/g, data.stats.watch_count.toString())
     .replace(/\{\{OG_IMAGE_URL\}\}/g, ogImageUrl);
 
+  // Blur-up placeholders (watch photos are square) - rendered by the client behind each image
+  if (data.watches) {
+    data.watches = await Promise.all(data.watches.map(async watch => ({
+      ...watch,
+      image_placeholder: await buildImagePlaceholder(watch.image_blurhash) ||
+        await findImageLqip(watch.thumbnail_url, process.env),
+    })));
+  }
+
   // Inject profile data as JSON for client-side hydration
   const dataScript = `<script>window.__PROFILE_DATA__ = ${JSON.stringify(data)};</script>`;
   html = html.replace('</head>', `${dataScript}</head>`);
@@ -124,193 +143,23 @@ function renderProfileHTML(data, username, domain) {
 /**
  * Render error page
  * For 404 (private/non-existent profiles): Shows v1-style page prompting app download
- * For other errors: Shows simple error message
+ * For other errors: Shows the shared branded error page (lib/error-page.js)
  */
 function renderErrorPage(username, domain, errorType) {
-  const safeUsername = escapeHtml(username);
-
   // For 404 or invalid username, show the v1-style profile page (app download prompt)
   // This prevents revealing whether a username exists, is private, or has invalid format
   if (errorType === '404' || errorType === 'invalid') {
-    return renderFallbackProfilePage(safeUsername, domain);
+    return renderFallbackProfilePage(username, domain);
   }
 
-  // For server errors (500), show an error page
-  const title = 'Error Loading Profile';
-  const message = 'Something went wrong. Please try again later.';
-  const statusCode = 500;
-
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="robots" content="noindex,nofollow">
-    <title>${title} - tickIQ</title>
-
-    <!-- Favicons -->
-    <link rel="icon" href="/favicon.ico" sizes="any">
-    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
-    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
-    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
-
-    <!-- Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-
-    <!-- Main site styles -->
-    <link rel="stylesheet" href="/css/styles.css">
-
-    <style>
-        body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            background: linear-gradient(to bottom, #1A1612 0%, #000000 100%);
-            color: #FFFFFF;
-            min-height: 100vh;
-        }
-
-        /* Profile page header - white nav links in expanded state */
-        #header:not(.collapsed) .nav-link {
-            color: rgba(255, 255, 255, 0.7) !important;
-        }
-
-        /* Profile page header - white logo in expanded state */
-        #header:not(.collapsed) .header-logo {
-            filter: brightness(0) invert(1) !important;
-        }
-
-        /* Profile page header - inverted "Get the app" button in expanded state */
-        #header:not(.collapsed) .get-app-button {
-            background: #FFFFFF !important;
-            color: #000000 !important;
-            border: 1px solid #FFFFFF !important;
-        }
-
-        #header:not(.collapsed) .get-app-button .apple-icon {
-            color: #000000 !important;
-        }
-
-        /* Profile page header - white hamburger icon in expanded state */
-        #header:not(.collapsed) .hamburger,
-        #header:not(.collapsed) .menu-icon,
-        #header:not(.collapsed) .mobile-menu-toggle,
-        #header:not(.collapsed) .hamburger-icon {
-            filter: brightness(0) invert(1) !important;
-        }
-
-        #header:not(.collapsed) .hamburger span,
-        #header:not(.collapsed) .menu-icon span,
-        #header:not(.collapsed) .mobile-menu-toggle span,
-        #header:not(.collapsed) .hamburger-icon span {
-            background: #FFFFFF !important;
-        }
-
-        .private-profile-container {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            min-height: 100vh;
-            padding: 12rem 2rem 10rem 2rem;
-            text-align: center;
-        }
-
-        .private-profile-content {
-            animation: fadeIn 0.6s ease;
-        }
-
-        @keyframes fadeIn {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
-        }
-
-        /* Question Mark Icon - matches iOS .font(.system(size: 64)) */
-        .question-icon {
-            width: 64px;
-            height: 64px;
-            margin: 0 auto 24px;
-            opacity: 0.3;
-            display: block;
-        }
-
-        /* Inner content wrapper for title + message - matches iOS VStack(spacing: 12) */
-        .private-profile-text {
-            display: flex;
-            flex-direction: column;
-            gap: 12px;
-        }
-
-        /* Title - matches iOS .title2 .semibold */
-        .private-profile-title {
-            font-size: 1.375rem;
-            font-weight: 600;
-            color: rgba(255, 255, 255, 0.9);
-            margin: 0;
-        }
-
-        /* Message - matches iOS .body */
-        .private-profile-message {
-            font-size: 1.0625rem;
-            color: rgba(255, 255, 255, 0.6);
-            line-height: 1.5;
-            padding: 0 40px;
-            margin: 0;
-        }
-
-        @media (max-width: 768px) {
-            .private-profile-container {
-                padding: 10rem 1.5rem 8rem 1.5rem;
-                min-height: 100vh;
-            }
-
-            .private-profile-message {
-                padding: 0 20px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <!-- Header will be injected by components.js -->
-    <header></header>
-
-    <div class="private-profile-container">
-        <div class="private-profile-content">
-            <!-- Question Mark Icon (SF Symbols style - questionmark.circle.fill) -->
-            <svg class="question-icon" width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">
-                <!-- Circle background -->
-                <circle cx="32" cy="32" r="28" fill="white"/>
-                <!-- Question mark -->
-                <path d="M32 44.5C33.1 44.5 34 43.6 34 42.5C34 41.4 33.1 40.5 32 40.5C30.9 40.5 30 41.4 30 42.5C30 43.6 30.9 44.5 32 44.5Z" fill="#1A1612"/>
-                <path d="M32 18C27.05 18 23 22.05 23 27H27C27 24.25 29.25 22 32 22C34.75 22 37 24.25 37 27C37 29.75 34.75 32 32 32C30.9 32 30 32.9 30 34V38H34V35.5C37.95 34.45 41 30.95 41 27C41 22.05 36.95 18 32 18Z" fill="#1A1612"/>
-            </svg>
-
-            <div class="private-profile-text">
-                <h1 class="private-profile-title">${title}</h1>
-                <p class="private-profile-message">${message}</p>
-            </div>
-        </div>
-    </div>
-
-    <!-- Footer will be injected by components.js -->
-    <footer></footer>
-
-    <!-- Load shared components -->
-    <script src="/js/components.js"></script>
-</body>
-</html>`;
-
-  return new Response(html, {
-    status: statusCode,
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'no-cache',
-    },
+  // For server errors (500), show the branded error page (dark, like the profile)
+  return renderBrandedErrorPage({
+    status: 500,
+    title: 'Error Loading Profile',
+    message: 'Something went wrong. Please try again later.',
+    icon: 'question',
+    theme: 'dark',
+    headers: { 'Cache-Control': 'no-cache' },
   });
 }
 
@@ -318,7 +167,9 @@ function renderErrorPage(username, domain, errorType) {
  * Render v1-style fallback profile page for private/non-existent profiles
  * This shows a generic "view in app" page without revealing whether the profile exists
  */
-function renderFallbackProfilePage(safeUsername, domain) {
+function renderFallbackProfilePage(username, domain) {
+  const safeUsername = escapeHtml(username);
+
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -827,6 +678,9 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
     <meta property="og:image:height" content="630">
     <meta property="og:url" content="https://{{DOMAIN}}/u/{{USERNAME}}">
 
+    <!-- oEmbed discovery -->
+    <link rel="alternate" type="application/json+oembed" href="https://{{DOMAIN}}/api/oembed?url=https%3A%2F%2F{{DOMAIN}}%2Fu%2F{{USERNAME}}&amp;format=json" title="@{{USERNAME}}'s Watch Collection on tickIQ">
+
     <!-- Twitter -->
     <meta name="twitter:card" content="summary_large_image">
     <meta name="twitter:title" content="@{{USERNAME}}'s Watch Collection on tickIQ">
@@ -1480,6 +1334,22 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
             object-fit: cover;
         }
 
+        /* BlurHash placeholder behind the image (replaces the shimmer), image fades in over it */
+        .watch-grid-thumbnail.has-placeholder,
+        .watch-image-container.has-placeholder {
+            background-size: cover;
+            background-position: center;
+        }
+
+        img.blur-up {
+            opacity: 0;
+            transition: opacity 0.5s ease;
+        }
+
+        img.blur-up.loaded {
+            opacity: 1;
+        }
+
         .watch-image-placeholder {
             width: 100%;
             height: 100%;
@@ -2369,10 +2239,17 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
 
     <!-- Load shared components -->
     <script src="/js/components.js"></script>
+    <!-- Timestamps in the viewer's locale and timezone -->
+    <script src="/js/relative-time.js"></script>
 
     <script>
         // Client-side rendering (will be hydrated with server-side data)
         (function() {
+            // Responsive widths requested from the image proxy (/api/img/[token]?w=...)
+            // Must be widths allowed by lib/image-variants.js
+            const GRID_IMAGE_WIDTHS = [256, 384, 512];
+            const SECTION_IMAGE_WIDTHS = [512, 768, 1024, 1536];
+
             // Check if data was injected server-side
             const profileData = window.__PROFILE_DATA__;
 
@@ -2396,11 +2273,15 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                     const usernameEl = document.getElementById('username');
                     usernameEl.innerHTML = \`@\${escapeHtml(data.profile.username)}<span class="apostrophe">'s</span>\`;
 
-                    // Format and set join date with logo
+                    // Join date with logo - month and year in the viewer's locale and timezone (relative-time.js)
                     const joinDate = new Date(data.profile.created_at);
-                    const monthYear = joinDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+                    const monthYear = isNaN(joinDate.getTime())
+                        ? ''
+                        : \`<time datetime="\${joinDate.toISOString()}" data-format="month-year">\${joinDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</time>\`;
                     const logoSvg = \`<svg class="join-date-logo" viewBox="0 0 256 101" fill="none" xmlns="http://www.w3.org/2000/svg"><g clip-path="url(#clip0_join)"><path d="M30.507 82.008C22.499 82.008 18.495 77.332 18.495 67.98V40.68H14.463V39.588C16.815 38.356 19.251 36.704 21.771 34.632C24.347 32.56 26.559 30.404 28.407 28.164L29.583 28.752V39.084L40.671 38.916V41.016L35.127 40.848C32.551 40.736 30.703 40.68 29.583 40.68V64.62C29.583 68.932 30.059 71.956 31.011 73.692C32.019 75.372 33.587 76.212 35.715 76.212C36.667 76.212 37.591 76.016 38.487 75.624C39.383 75.176 40.111 74.616 40.671 73.944L41.763 74.784C40.755 76.856 39.243 78.592 37.227 79.992C35.211 81.336 32.971 82.008 30.507 82.008ZM43.5237 79.74C45.0917 79.46 46.3237 78.872 47.2197 77.976C48.1157 77.08 48.5637 75.988 48.5637 74.7V49.584C48.5637 48.184 48.1717 47.064 47.3877 46.224C46.6037 45.384 45.3157 44.852 43.5237 44.628V43.368L58.6437 38.16L59.6517 38.916V74.7C59.6517 76.044 60.1277 77.164 61.0797 78.06C62.0317 78.956 63.3197 79.516 64.9437 79.74V81H43.5237V79.74ZM46.8837 25.392C46.8837 23.6 47.5277 22.06 48.8157 20.772C50.1597 19.428 51.7277 18.756 53.5197 18.756C55.3117 18.756 56.8517 19.428 58.1397 20.772C59.4837 22.06 60.1557 23.6 60.1557 25.392C60.1557 27.184 59.4837 28.752 58.1397 30.096C56.8517 31.384 55.3117 32.028 53.5197 32.028C51.7277 32.028 50.1597 31.384 48.8157 30.096C47.5277 28.752 46.8837 27.184 46.8837 25.392ZM87.5705 81.84C83.9865 81.84 80.6545 80.972 77.5745 79.236C74.4945 77.444 72.0305 74.84 70.1825 71.424C68.3905 67.952 67.4945 63.864 67.4945 59.16C67.4945 54.68 68.3905 50.844 70.1825 47.652C71.9745 44.404 74.3825 41.968 77.4065 40.344C80.4305 38.664 83.7625 37.824 87.4025 37.824C90.6505 37.824 93.4785 38.272 95.8865 39.168C98.2945 40.064 100.115 41.24 101.347 42.696C102.579 44.152 103.195 45.748 103.195 47.484C103.195 48.884 102.803 50.032 102.019 50.928C101.235 51.824 100.115 52.272 98.6585 52.272C96.9785 52.272 95.7465 51.74 94.9625 50.676C94.2345 49.612 93.5065 47.988 92.7785 45.804C92.1065 43.676 91.3785 42.08 90.5945 41.016C89.8665 39.896 88.6345 39.336 86.8985 39.336C84.3785 39.336 82.4745 40.876 81.1865 43.956C79.8985 47.036 79.2545 51.46 79.2545 57.228C79.2545 63.444 80.4585 68.176 82.8665 71.424C85.3305 74.616 88.4385 76.212 92.1905 76.212C96.0545 76.212 99.2745 74.672 101.851 71.592L102.943 72.264C101.431 75.344 99.3585 77.724 96.7265 79.404C94.1505 81.028 91.0985 81.84 87.5705 81.84ZM130.313 79.74C131.377 79.628 132.133 79.404 132.581 79.068C133.085 78.676 133.337 78.144 133.337 77.472C133.337 76.52 132.805 75.036 131.741 73.02L127.205 64.872C126.141 62.912 125.217 61.596 124.433 60.924C123.649 60.252 122.865 59.916 122.081 59.916H121.913V74.7C121.913 76.044 122.389 77.164 123.341 78.06C124.293 78.956 125.581 79.516 127.205 79.74V81H105.785V79.74C107.353 79.46 108.585 78.872 109.481 77.976C110.377 77.08 110.825 75.988 110.825 74.7V26.316C110.825 24.748 110.433 23.572 109.649 22.788C108.865 21.948 107.577 21.416 105.785 21.192V19.932L120.905 15.396L121.913 16.152V58.236C123.201 58.18 125.161 57.032 127.793 54.792C130.425 52.552 132.861 49.976 135.101 47.064C136.109 45.776 136.613 44.656 136.613 43.704C136.613 42.752 136.137 41.968 135.185 41.352C134.289 40.736 132.917 40.372 131.069 40.26V39H150.137V40.26C147.561 40.764 145.321 41.52 143.417 42.528C141.569 43.48 139.581 45.104 137.453 47.4L132.665 52.608L144.593 73.02C145.825 75.26 147.113 76.884 148.457 77.892C149.801 78.9 151.397 79.516 153.245 79.74V81H130.313V79.74ZM155.34 79.74C157.58 79.46 159.204 78.9 160.212 78.06C161.22 77.164 161.724 75.792 161.724 73.944V26.904C161.724 25.056 161.22 23.712 160.212 22.872C159.204 21.976 157.58 21.388 155.34 21.108V19.848H180.288V21.108C177.992 21.332 176.312 21.892 175.248 22.788C174.184 23.684 173.652 25.056 173.652 26.904V73.944C173.652 75.792 174.184 77.164 175.248 78.06C176.312 78.956 177.992 79.516 180.288 79.74V81H155.34V79.74ZM235.909 94.944C232.885 94.944 230.169 94.524 227.761 93.684C225.353 92.9 223.281 91.948 221.545 90.828C219.865 89.764 217.989 88.364 215.917 86.628C213.845 85.004 212.221 83.828 211.045 83.1C209.925 82.428 208.721 82.008 207.433 81.84C202.841 81.392 198.725 79.768 195.085 76.968C191.501 74.112 188.701 70.388 186.685 65.796C184.669 61.204 183.661 56.08 183.661 50.424C183.661 44.096 184.809 38.552 187.105 33.792C189.457 29.032 192.677 25.364 196.765 22.788C200.853 20.212 205.445 18.924 210.541 18.924C215.637 18.924 220.201 20.212 224.233 22.788C228.265 25.308 231.429 28.92 233.725 33.624C236.021 38.328 237.169 43.788 237.169 50.004C237.169 56.668 235.937 62.492 233.473 67.476C231.009 72.46 227.621 76.184 223.309 78.648C227.901 82.176 231.765 84.752 234.901 86.376C238.093 88 240.893 88.812 243.301 88.812C245.149 88.812 247.025 88.336 248.929 87.384L249.601 88.644C247.137 90.996 244.869 92.62 242.797 93.516C240.725 94.468 238.429 94.944 235.909 94.944ZM196.513 49.836C196.513 59.468 197.773 66.972 200.293 72.348C202.869 77.668 206.677 80.328 211.717 80.328C215.861 80.328 218.997 77.836 221.125 72.852C223.253 67.812 224.317 60.7 224.317 51.516C224.317 41.716 223.113 34.156 220.705 28.836C218.353 23.516 214.769 20.856 209.953 20.856C205.417 20.856 202.029 23.376 199.789 28.416C197.605 33.4 196.513 40.54 196.513 49.836Z" fill="currentColor"/><path d="M221 40.1052C220.674 40.4827 219.466 41.78 219.371 42.1345C219.282 42.4715 219.372 42.8291 219.375 42.8406L212.981 49.2341L212.459 49.1414L211.372 50.1804L210.757 49.5652L211.847 48.53L211.754 48.0076L218.147 41.614C218.147 41.614 218.545 41.723 218.904 41.6179C219.301 41.5016 220.886 39.9998 220.886 39.9998L221 40.1052Z" fill="currentColor"/><path d="M203.101 42.6697C203.477 42.9971 204.773 44.2068 205.122 44.3064C205.46 44.402 205.814 44.3162 205.814 44.3162L209.6 48.0037L209.519 48.5134L210.559 49.5994L209.968 50.1902L208.932 49.1003L208.421 49.1814L204.636 45.4949C204.636 45.4949 204.735 45.1065 204.625 44.7527C204.502 44.3611 203 42.7791 203 42.7791L203.101 42.6697Z" fill="currentColor"/><path d="M210.648 49.437C211.128 49.437 211.517 49.8259 211.517 50.3052C211.516 50.7843 211.128 51.1724 210.648 51.1724C210.169 51.1723 209.78 50.7843 209.78 50.3052C209.78 49.8259 210.169 49.4371 210.648 49.437ZM210.647 49.8726C210.408 49.8727 210.214 50.0666 210.214 50.3062C210.214 50.5456 210.408 50.7396 210.647 50.7397C210.887 50.7397 211.082 50.5457 211.082 50.3062C211.082 50.0665 210.887 49.8726 210.647 49.8726Z" fill="currentColor"/></g><clipPath id="clip0_join"><rect width="256" height="101" fill="white"/></clipPath></svg>\`;
-                    document.getElementById('join-date').innerHTML = \`Tracking with \${logoSvg} since \${monthYear}\`;
+                    const joinDateEl = document.getElementById('join-date');
+                    joinDateEl.innerHTML = monthYear ? \`Tracking with \${logoSvg} since \${monthYear}\` : \`Tracking with \${logoSvg}\`;
+                    window.tickiqTimes.update(joinDateEl);
 
                     // Set stats
                     document.getElementById('watch-count').textContent = data.stats.watch_count;
@@ -2442,6 +2323,12 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
 
                         // Initialize scroll animations
                         initScrollAnimations();
+
+                        // Links from posts (/u/<username>#watch-<id>) - sections didn't exist when the browser looked for the anchor
+                        scrollToLinkedWatch();
+
+                        // Swap in fresh tokens when images fail (e.g. tab left open past token expiry)
+                        initImageRecovery(data.profile.username);
                     } else {
                         // Hide birds eye view and show empty state
                         document.getElementById('birds-eye-view').classList.add('hidden');
@@ -2495,19 +2382,16 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                     const watchName = [watch.make, watch.model].filter(Boolean).join(' ') || 'Watch';
                     const rank = index + 1;
 
-                    // Image or placeholder
+                    // Image or placeholder (grid cells are at most 240px wide, ~45vw on phones)
+                    const placeholder = watch.thumbnail_url ? watch.image_placeholder : null;
                     const imageHtml = watch.thumbnail_url
-                        ? \`<img src="/api/img/\${escapeHtml(watch.thumbnail_url)}" alt="\${escapeHtml(watchName)}" width="512" height="512">\`
-                        : \`<div class="watch-grid-placeholder">
-                            <svg class="placeholder-icon" viewBox="0 0 26 26" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                <circle cx="13" cy="13" r="12" fill="white" opacity="0.15"/>
-                                <path d="M13 6C11.3431 6 10 7.34315 10 9V11H9C8.44772 11 8 11.4477 8 12V18C8 18.5523 8.44772 19 9 19H17C17.5523 19 18 18.5523 18 18V12C18 11.4477 17.5523 11 17 11H16V9C16 7.34315 14.6569 6 13 6ZM11.5 9C11.5 8.17157 12.1716 7.5 13 7.5C13.8284 7.5 14.5 8.17157 14.5 9V11H11.5V9Z" fill="white" opacity="0.4"/>
-                            </svg>
-                            <div class="placeholder-text">NOT AVAILABLE</div>
-                        </div>\`;
-
-                    // Add has-image class only when there's an actual image
-                    const thumbnailClass = watch.thumbnail_url ? 'watch-grid-thumbnail has-image' : 'watch-grid-thumbnail';
+                        ? \`<img src="\${buildImageUrl(watch.thumbnail_url, 512)}" srcset="\${buildImageSrcset(watch.thumbnail_url, GRID_IMAGE_WIDTHS)}" sizes="(max-width: 480px) 45vw, 240px" alt="\${escapeHtml(watchName)}" width="512" height="512" data-watch-id="\${escapeHtml(String(watch.id))}" data-image-kind="thumbnail"\${buildBlurUpAttributes(placeholder)}>\`
+                        : renderUnavailablePlaceholder('watch-grid-placeholder');
+
+                    // Add has-image class only when there's an actual image (shimmer unless a placeholder is shown)
+                    const thumbnailClass = watch.thumbnail_url
+                        ? \`watch-grid-thumbnail \${placeholder ? 'has-placeholder' : 'has-image'}\`
+                        : 'watch-grid-thumbnail';
 
                     // Rotation percentage
                     const percentage = watch.percentage_of_rotation || 0;
@@ -2525,7 +2409,7 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                     return \`
                         <a href="#watch-\${watch.id}" class="watch-grid-item" data-watch-id="\${watch.id}">
                             <div class="watch-grid-rank">#\${rank}</div>
-                            <div class="\${thumbnailClass}">
+                            <div class="\${thumbnailClass}"\${buildPlaceholderStyle(placeholder)}>
                                 \${imageHtml}
                             </div>
                             <div class="watch-grid-name">\${escapeHtml(watchName)}</div>
@@ -2555,18 +2439,15 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
 
                 // Image or placeholder - use full image for scrollytelling
                 const imageUrl = watch.full_image_url || watch.thumbnail_url;
+                const placeholder = imageUrl ? watch.image_placeholder : null;
                 const imageHtml = imageUrl
-                    ? \`<img src="/api/img/\${escapeHtml(imageUrl)}" alt="\${escapeHtml(watchName)}" class="watch-image" width="1024" height="1024" loading="lazy">\`
-                    : \`<div class="watch-image-placeholder">
-                        <svg class="placeholder-icon" viewBox="0 0 26 26" fill="none" xmlns="http://www.w3.org/2000/svg">
-                            <circle cx="13" cy="13" r="12" fill="white" opacity="0.15"/>
-                            <path d="M13 6C11.3431 6 10 7.34315 10 9V11H9C8.44772 11 8 11.4477 8 12V18C8 18.5523 8.44772 19 9 19H17C17.5523 19 18 18.5523 18 18V12C18 11.4477 17.5523 11 17 11H16V9C16 7.34315 14.6569 6 13 6ZM11.5 9C11.5 8.17157 12.1716 7.5 13 7.5C13.8284 7.5 14.5 8.17157 14.5 9V11H11.5V9Z" fill="white" opacity="0.4"/>
-                        </svg>
-                        <div class="placeholder-text">NOT AVAILABLE</div>
-                    </div>\`;
+                    ? \`<img src="\${buildImageUrl(imageUrl, 1024)}" srcset="\${buildImageSrcset(imageUrl, SECTION_IMAGE_WIDTHS)}" sizes="(max-width: 768px) 100vw, 700px" alt="\${escapeHtml(watchName)}" class="watch-image\${placeholder ? ' blur-up' : ''}" width="1024" height="1024" loading="lazy" data-watch-id="\${escapeHtml(String(watch.id))}" data-image-kind="full"\${placeholder ? \` onload="this.classList.add('loaded')"\` : ''}>\`
+                    : renderUnavailablePlaceholder('watch-image-placeholder');
 
-                // Add has-image class only when there's an actual image
-                const imageContainerClass = imageUrl ? 'watch-image-container has-image' : 'watch-image-container';
+                // Add has-image class only when there's an actual image (shimmer unless a placeholder is shown)
+                const imageContainerClass = imageUrl
+                    ? \`watch-image-container \${placeholder ? 'has-placeholder' : 'has-image'}\`
+                    : 'watch-image-container';
 
                 // Prepare measurement data for stats grid
                 // Use 30-day average rate to match iOS WatchCardCell display
@@ -2674,7 +2555,7 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                     <section class="watch-section" id="watch-\${watch.id}" data-watch-id="\${watch.id}">
                         <div class="watch-section-inner">
                             <div class="watch-image-side">
-                                <div class="\${imageContainerClass}">
+                                <div class="\${imageContainerClass}"\${buildPlaceholderStyle(placeholder)}>
                                     \${imageHtml}
                                 </div>
                             </div>
@@ -2689,6 +2570,96 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                 \`;
             }
 
+            function buildImageUrl(token, width) {
+                return \`/api/img/\${escapeHtml(token)}?w=\${width}\`;
+            }
+
+            function buildImageSrcset(token, widths) {
+                return widths.map(width => \`\${buildImageUrl(token, width)} \${width}w\`).join(', ');
+            }
+
+            // Inline style painting the server-rendered placeholder - BlurHash or LQIP, the latter
+            // without a colour unless the photo is a JPEG (see lib/image-placeholder.js, lib/image-lqip.js)
+            function buildPlaceholderStyle(placeholder) {
+                if (!placeholder) return '';
+                const background = placeholder.color ? \`background-color: \${escapeHtml(placeholder.color)}; \` : '';
+                return \` style="\${background}background-image: url('\${escapeHtml(placeholder.dataUrl)}');"\`;
+            }
+
+            // Fade the image in over its placeholder once loaded
+            function buildBlurUpAttributes(placeholder) {
+                if (!placeholder) return '';
+                return \` class="blur-up" onload="this.classList.add('loaded')"\`;
+            }
+
+            function renderUnavailablePlaceholder(className) {
+                return \`<div class="\${className}">
+                        <svg class="placeholder-icon" viewBox="0 0 26 26" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <circle cx="13" cy="13" r="12" fill="white" opacity="0.15"/>
+                            <path d="M13 6C11.3431 6 10 7.34315 10 9V11H9C8.44772 11 8 11.4477 8 12V18C8 18.5523 8.44772 19 9 19H17C17.5523 19 18 18.5523 18 18V12C18 11.4477 17.5523 11 17 11H16V9C16 7.34315 14.6569 6 13 6ZM11.5 9C11.5 8.17157 12.1716 7.5 13 7.5C13.8284 7.5 14.5 8.17157 14.5 9V11H11.5V9Z" fill="white" opacity="0.4"/>
+                        </svg>
+                        <div class="placeholder-text">NOT AVAILABLE</div>
+                    </div>\`;
+            }
+
+            // Image tokens expire after 45 minutes. When an image fails to load,
+            // fetch fresh tokens for the whole profile (one request shared by all
+            // failing images) and retry once; otherwise show NOT AVAILABLE.
+            function initImageRecovery(username) {
+                // Failures within this window reuse the same refresh (and count as a failed retry)
+                const REFRESH_REUSE_MS = 5 * 60 * 1000;
+                let refresh = null;
+
+                const getFreshTokens = () => {
+                    if (!refresh || Date.now() - refresh.startedAt > REFRESH_REUSE_MS) {
+                        const startedAt = Date.now();
+                        refresh = {
+                            startedAt,
+                            promise: fetch(\`/api/image-tokens?profile=\${encodeURIComponent(username)}\`)
+                                .then(response => response.ok ? response.json() : Promise.reject(new Error(\`HTTP \${response.status}\`))),
+                        };
+                    }
+                    return refresh;
+                };
+
+                const showImageUnavailable = (img) => {
+                    const container = img.parentElement;
+                    const isThumbnail = img.dataset.imageKind === 'thumbnail';
+                    container.classList.remove('has-image', 'has-placeholder');
+                    container.removeAttribute('style');
+                    img.outerHTML = renderUnavailablePlaceholder(isThumbnail ? 'watch-grid-placeholder' : 'watch-image-placeholder');
+                };
+
+                // Load errors do not bubble - listen in the capture phase
+                document.addEventListener('error', (event) => {
+                    const img = event.target;
+                    if (!(img instanceof HTMLImageElement) || !img.dataset.imageKind) return;
+
+                    const current = getFreshTokens();
+                    if (img.dataset.refreshedAt === String(current.startedAt)) {
+                        // Already retried with these tokens
+                        showImageUnavailable(img);
+                        return;
+                    }
+                    img.dataset.refreshedAt = String(current.startedAt);
+
+                    current.promise
+                        .then(({ watches }) => {
+                            const watch = watches.find(w => String(w.id) === img.dataset.watchId);
+                            const isThumbnail = img.dataset.imageKind === 'thumbnail';
+                            const token = watch && (isThumbnail ? watch.thumbnail_url : (watch.full_image_url || watch.thumbnail_url));
+                            if (!token) throw new Error('Watch image no longer available');
+
+                            img.srcset = buildImageSrcset(token, isThumbnail ? GRID_IMAGE_WIDTHS : SECTION_IMAGE_WIDTHS);
+                            img.src = buildImageUrl(token, isThumbnail ? 512 : 1024);
+                        })
+                        .catch(error => {
+                            console.warn('Could not refresh watch image:', error);
+                            showImageUnavailable(img);
+                        });
+                }, true);
+            }
+
             function initScrollAnimations() {
                 const observerOptions = {
                     root: null,
@@ -2738,6 +2709,16 @@ const PROFILE_V2_HTML_TEMPLATE = `<!DOCTYPE html>
                 }
             }
 
+            function scrollToLinkedWatch() {
+                if (!location.hash.startsWith('#watch-')) return;
+                const watchSection = document.getElementById(location.hash.slice(1));
+                if (!watchSection) return;
+                watchSection.classList.add('visible');
+                requestAnimationFrame(() => {
+                    watchSection.scrollIntoView({ block: 'center' });
+                });
+            }
+
             function showError() {
                 document.getElementById('loading').classList.add('hidden');
                 document.getElementById('profile').classList.add('hidden');
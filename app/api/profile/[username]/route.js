@@ -0,0 +1,49 @@
+/**
+ * Public Profile JSON - /api/profile/[username].json
+ *
+ * Returns the sanitised collection (see lib/public-profile.js for the fields)
+ * for the <tickiq-collection> widget and other tools.
+ *
+ * CORS: any origin
+ * Caching: 5min edge cache, 10min stale-while-revalidate (same as the profile page)
+ */
+
+import {
+  USERNAME_PATTERN,
+  fetchPublicProfile,
+  toPublicProfile,
+  publicProfileJsonResponse,
+} from '../../../../lib/public-profile.js';
+
+export const runtime = 'edge';
+
+export async function GET(request, { params }) {
+  const { username: segment } = await params;
+
+  // The dynamic segment includes the extension: <username>.json
+  const username = segment.endsWith('.json') ? segment.slice(0, -'.json'.length) : null;
+
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return publicProfileJsonResponse({ error: 'Not found' }, 404);
+  }
+
+  try {
+    const { status, data } = await fetchPublicProfile(username, process.env);
+
+    if (!data) {
+      // Private and non-existent profiles look the same
+      if (status === 404) {
+        console.log(`[PROFILE-JSON] Profile not found: @${username}`);
+        return publicProfileJsonResponse({ error: 'Not found' }, 404);
+      }
+      console.error(`[PROFILE-JSON] Supabase error for @${username}:`, status);
+      return publicProfileJsonResponse({ error: 'Failed to load profile' }, 502);
+    }
+
+    return publicProfileJsonResponse(toPublicProfile(data, username, new URL(request.url).origin), 200);
+
+  } catch (error) {
+    console.error('[PROFILE-JSON] Failed to fetch profile data:', error);
+    return publicProfileJsonResponse({ error: 'Failed to load profile' }, 502);
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Video Proxy - Next.js App Router
+ *
+ * Decrypts encrypted video tokens and streams post videos from Supabase Storage.
+ * Same tokens, keys and access rules as the image proxy (/api/img/[token]).
+ *
+ * URL format: /api/video/[ENCRYPTED-TOKEN]
+ *
+ * Streaming:
+ * - Range requests are forwarded, so players can seek and Safari can start
+ *   playback (it probes with Range: bytes=0-1). 206 / 416 and Content-Range
+ *   are passed back unchanged.
+ * - Bytes are served untouched (unlike images, no metadata stripping), so
+ *   upstream offsets and ETags stay valid - If-Range works as well.
+ *   The app exports post videos without location metadata.
+ * - If-None-Match / If-Modified-Since are forwarded, 304 responses are returned without a body
+ * - HEAD is supported (upstream is queried with HEAD as well)
+ *
+ * Security:
+ * - Token decryption and purpose/origin/profile checks as for images
+ *   (see lib/crypto.js, lib/image-access.js) - image purpose tokens ('thumbnail',
+ *   'full', 'og') are refused here
+ * - Upstream validation (see lib/image-upstream.js): 403 URL outside Supabase
+ *   Storage, 421 upstream redirect (never followed), 415 non-video Content-Type
+ *
+ * Caching:
+ * - Full responses: edge and browser caching for the token lifetime, like images
+ * - 206 / 416: no-store - responses do not vary by Range, so a cached slice
+ *   would be served for other ranges
+ */
+
+import { decryptImageToken, getImageTokenKeys } from '../../../../lib/crypto.js';
+import { checkImageAccess } from '../../../../lib/image-access.js';
+import { isAllowedUpstreamUrl, isAllowedVideoContentType } from '../../../../lib/image-upstream.js';
+
+export const runtime = 'edge';
+
+// Client request headers forwarded upstream (ranges and conditional GET)
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+// Upstream response headers passed back to the client
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'etag',
+  'last-modified',
+];
+
+// stable: set by /api/video/post/[postId], which serves tokens for a permanent URL
+export async function GET(request, { params, stable = false }) {
+  return handleVideoRequest(request, params, stable);
+}
+
+export async function HEAD(request, { params, stable = false }) {
+  return handleVideoRequest(request, params, stable);
+}
+
+/**
+ * Shared GET/HEAD handler
+ */
+async function handleVideoRequest(request, params, stable) {
+  const { token } = await params;
+  const isHead = request.method === 'HEAD';
+
+  if (!token || token.trim() === '') {
+    return textResponse(400, 'Token required');
+  }
+
+  try {
+    let keys;
+    try {
+      keys = getImageTokenKeys(process.env);
+    } catch (configError) {
+      console.error('[VIDEO-PROXY] Invalid image token key configuration:', configError.message);
+      keys = [];
+    }
+
+    if (keys.length === 0) {
+      console.error('[VIDEO-PROXY] Missing IMAGE_TOKEN_SECRETS / IMAGE_TOKEN_SECRET environment variable');
+      return textResponse(500, 'Server configuration error');
+    }
+
+    let videoData;
+    try {
+      videoData = await decryptImageToken(token, keys);
+    } catch (decryptError) {
+      console.error('[VIDEO-PROXY] Decryption failed:', decryptError.message);
+      return decryptError.message === 'Token expired'
+        ? textResponse(410, 'Video URL expired')
+        : textResponse(400, 'Invalid token');
+    }
+
+    const { url: signedUrl, exp, version, keyId, claims } = videoData;
+    const tokenInfo = { exp, keyLabel: `v${version}:${keyId}`, bound: Boolean(claims) };
+
+    const access = checkImageAccess(claims, request, { route: 'video', stable });
+    if (!access.allowed) {
+      console.log(`[VIDEO-PROXY] Access denied (${access.reason}) for referrer: ${request.headers.get('referer') || request.headers.get('origin')}`);
+      return textResponse(access.status, access.reason, { 'Cache-Control': 'no-store' });
+    }
+
+    // SSRF guard - only ever fetch from our own Supabase Storage
+    const supabaseUrl = process.env.SUPABASE_URL;
+    if (!supabaseUrl) {
+      console.error('[VIDEO-PROXY] Missing SUPABASE_URL environment variable');
+      return textResponse(500, 'Server configuration error');
+    }
+
+    if (!isAllowedUpstreamUrl(signedUrl, supabaseUrl)) {
+      console.error('[VIDEO-PROXY] Rejected upstream URL outside Supabase Storage');
+      return textResponse(403, 'Video source not allowed', { 'Cache-Control': 'no-store' });
+    }
+
+    const forwarded = pickHeaders(request.headers, FORWARDED_REQUEST_HEADERS);
+    console.log(`[VIDEO-PROXY] ${request.method} video${forwarded['range'] ? ` (${forwarded['range']})` : ''} (expires: ${new Date(exp * 1000).toISOString()})`);
+
+    const videoResponse = await fetch(signedUrl, {
+      method: isHead ? 'HEAD' : 'GET',
+      headers: forwarded,
+      redirect: 'manual',
+    });
+
+    if (videoResponse.type === 'opaqueredirect' || (videoResponse.status >= 300 && videoResponse.status < 400 && videoResponse.status !== 304)) {
+      console.error(`[VIDEO-PROXY] Upstream redirect not followed (${videoResponse.status} -> ${videoResponse.headers.get('location')})`);
+      return textResponse(421, 'Upstream redirect not followed', { 'Cache-Control': 'no-store' });
+    }
+
+    if (videoResponse.status === 304) {
+      return new Response(null, {
+        status: 304,
+        headers: {
+          ...pickHeaders(videoResponse.headers, ['etag', 'last-modified']),
+          ...buildCacheHeaders(tokenInfo),
+        },
+      });
+    }
+
+    // Unsatisfiable range - tell the player the real size (Content-Range: bytes */size)
+    if (videoResponse.status === 416) {
+      await videoResponse.body?.cancel();
+      return new Response(null, {
+        status: 416,
+        headers: {
+          ...pickHeaders(videoResponse.headers, ['content-range']),
+          'Accept-Ranges': 'bytes',
+          'Cache-Control': 'no-store',
+        },
+      });
+    }
+
+    if (!videoResponse.ok) {
+      console.error(`[VIDEO-PROXY] Failed to fetch video: ${videoResponse.status} ${videoResponse.statusText}`);
+      await videoResponse.body?.cancel();
+
+      if (videoResponse.status === 404) {
+        return textResponse(404, 'Video not found');
+      }
+
+      if (videoResponse.status === 403 || videoResponse.status === 401) {
+        return textResponse(410, 'Video URL expired or invalid');
+      }
+
+      return textResponse(502, 'Failed to fetch video');
+    }
+
+    const headers = {
+      ...pickHeaders(videoResponse.headers, PASSTHROUGH_RESPONSE_HEADERS),
+      ...buildCacheHeaders(tokenInfo),
+      'Accept-Ranges': 'bytes',
+    };
+
+    // The URL does not vary by Range - a stored slice would be served for other ranges
+    if (videoResponse.status === 206) {
+      headers['Cache-Control'] = 'no-store';
+    }
+
+    if (!isAllowedVideoContentType(headers['content-type'])) {
+      console.error(`[VIDEO-PROXY] Rejected upstream content type: ${headers['content-type']}`);
+      await videoResponse.body?.cancel();
+      return textResponse(415, 'Upstream is not a video', { 'Cache-Control': 'no-store' });
+    }
+
+    console.log(`[VIDEO-PROXY] Streaming video (${videoResponse.status}, ${headers['content-range'] || `${headers['content-length'] || 'unknown'} bytes`}, ${headers['content-type']})`);
+
+    return new Response(isHead ? null : videoResponse.body, {
+      status: videoResponse.status,
+      headers,
+    });
+
+  } catch (error) {
+    console.error('[VIDEO-PROXY] Unexpected error:', error);
+    return textResponse(500, 'Internal server error');
+  }
+}
+
+/**
+ * Cache and CORS headers shared by every successful response (see the image proxy)
+ * Partial responses replace Cache-Control with no-store.
+ */
+function buildCacheHeaders(tokenInfo) {
+  const now = Math.floor(Date.now() / 1000);
+  const maxAge = Math.max(0, tokenInfo.exp - now);
+
+  const headers = {
+    'Cache-Control': `public, max-age=${maxAge}, s-maxage=${maxAge}, immutable`,
+    'X-Content-Type-Options': 'nosniff',
+    'Access-Control-Allow-Origin': '*',
+    'X-Image-Token-Key': tokenInfo.keyLabel,
+  };
+
+  if (tokenInfo.bound) {
+    headers['Vary'] = 'Origin, Referer';
+  }
+
+  return headers;
+}
+
+function textResponse(status, message, extraHeaders = {}) {
+  return new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain', ...extraHeaders },
+  });
+}
+
+/**
+ * Copy the listed headers (lowercase names) that are present on a Headers object
+ */
+function pickHeaders(source, names) {
+  const picked = {};
+  for (const name of names) {
+    const value = source.get(name);
+    if (value !== null) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
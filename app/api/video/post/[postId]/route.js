@@ -0,0 +1,124 @@
+/**
+ * Stable Post Video - /api/video/post/[postId]
+ *
+ * Permanent video URL for video posts (post page player, og:video, embeds).
+ * Resolves a fresh video token from get-public-post-web and streams it through
+ * the video proxy - same ranges, conditional GET and access checks as
+ * /api/video/[token].
+ *
+ * Players send a Range request for every seek, so the resolved token is kept
+ * per isolate for RESOLVED_TOKEN_TTL_MS (tokens live 45 minutes) instead of
+ * asking get-public-post-web each time.
+ *
+ * Caching:
+ * - Full responses: same policy as /api/img/post/[postId]
+ * - 206 / 416: no-store (see applyResolverCachePolicy)
+ * - Missing posts and photo posts are cached for a minute
+ */
+
+import { GET as serveVideoToken } from '../../[token]/route.js';
+import { fetchPublicFunction, applyResolverCachePolicy } from '../../../../../lib/image-resolver.js';
+import { UUID_PATTERN, POST_CACHE_CONTROL, getPostVideo } from '../../../../../lib/public-post.js';
+
+export const runtime = 'edge';
+
+// Same as /api/img/post/[postId] - never longer than the post page
+const CACHE_CONTROL = `public, max-age=600, ${POST_CACHE_CONTROL}`;
+
+// How long a resolved video token is reused, and how many posts are remembered per isolate
+const RESOLVED_TOKEN_TTL_MS = 5 * 60 * 1000;
+const RESOLVED_TOKEN_MAX_ENTRIES = 500;
+
+// postId -> { token, expiresAt } (Map order = insertion order, oldest first)
+const resolvedTokens = new Map();
+
+export async function GET(request, { params }) {
+  return resolvePostVideo(request, params);
+}
+
+export async function HEAD(request, { params }) {
+  return resolvePostVideo(request, params);
+}
+
+/**
+ * Shared GET/HEAD handler
+ */
+async function resolvePostVideo(request, params) {
+  const { postId } = await params;
+
+  if (!postId || !UUID_PATTERN.test(postId)) {
+    return new Response('Invalid post ID', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+
+  let token = getResolvedToken(postId);
+  if (!token) {
+    let post;
+    try {
+      const { status, data } = await fetchPublicFunction(`get-public-post-web/${postId}`, process.env);
+      if (!data) {
+        console.log(`[VIDEO-RESOLVER] Post not found or not accessible: ${postId} (status: ${status})`);
+        return notFound('Post not found');
+      }
+      post = data;
+    } catch (error) {
+      console.error('[VIDEO-RESOLVER] Failed to fetch post data:', error);
+      return new Response('Failed to resolve video', {
+        status: 502,
+        headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+      });
+    }
+
+    const video = getPostVideo(post);
+    if (!video) {
+      console.log(`[VIDEO-RESOLVER] Post has no video: ${postId}`);
+      return notFound('Video not found');
+    }
+
+    token = video.token;
+    rememberResolvedToken(postId, token);
+  }
+
+  const response = await serveVideoToken(request, { params: Promise.resolve({ token }), stable: true });
+
+  // Token rejected (expired early, key rotated out) - resolve again next time
+  if (response.status === 400 || response.status === 410) {
+    resolvedTokens.delete(postId);
+  }
+
+  return applyResolverCachePolicy(response, CACHE_CONTROL);
+}
+
+function getResolvedToken(postId) {
+  const cached = resolvedTokens.get(postId);
+  if (!cached) return null;
+
+  if (cached.expiresAt <= Date.now()) {
+    resolvedTokens.delete(postId);
+    return null;
+  }
+  return cached.token;
+}
+
+function rememberResolvedToken(postId, token) {
+  resolvedTokens.delete(postId);
+  resolvedTokens.set(postId, { token, expiresAt: Date.now() + RESOLVED_TOKEN_TTL_MS });
+
+  // Drop the oldest entries once over the limit
+  for (const oldestId of resolvedTokens.keys()) {
+    if (resolvedTokens.size <= RESOLVED_TOKEN_MAX_ENTRIES) break;
+    resolvedTokens.delete(oldestId);
+  }
+}
+
+function notFound(message) {
+  return new Response(message, {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'public, s-maxage=60',
+    },
+  });
+}
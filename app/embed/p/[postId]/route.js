@@ -0,0 +1,12 @@
+/**
+ * Post Embed Route - /embed/p/[postId]
+ *
+ * Wrapper that imports from /api/embed/post and passes the postId via params.
+ * This allows the route to work with Next.js App Router's param extraction.
+ */
+
+export const runtime = 'edge';
+
+// Re-export the GET handler from api/embed/post
+// The URL will be /embed/p/[postId] so the handler can extract postId from pathname
+export { GET } from '../../../api/embed/post/route.js';
@@ -0,0 +1,12 @@
+/**
+ * Post Comment Thread Route - /p/[postId]/comments
+ *
+ * Wrapper that imports from /api/post-comments and passes the postId via params.
+ * This allows the route to work with Next.js App Router's param extraction.
+ */
+
+export const runtime = 'edge';
+
+// Re-export the GET handler from api/post-comments
+// The URL will be /p/[postId]/comments so the handler can extract postId from pathname
+export { GET } from '../../../api/post-comments/route.js';
@@ -0,0 +1,169 @@
+/**
+ * Post Captions
+ *
+ * Server-side caption formatting for the post pages and the OG generator:
+ * - formatCaptionHtml: escaped caption with line breaks, @mentions linked to
+ *   /u/<username>, #hashtags linked to a web search of tickIQ posts with the
+ *   tag (HASHTAG_SEARCH_URL - the site has no tag index of its own) and bare
+ *   URLs as rel="nofollow ugc noopener" links with shortened display text
+ * - truncateText: length-limited text that never splits a grapheme
+ *   (emoji, flags, combining accents) or an HTML entity
+ *
+ * Everything outside the generated tags is escaped with escapeHtml, and
+ * hrefs are only ever built from http(s) URLs or the patterns below.
+ */
+
+import { escapeHtml } from './post-html.js';
+
+// Same characters as tickIQ usernames (USERNAME_PATTERN)
+// Not preceded by a word character, so emails (bob@example.com) stay plain text
+const MENTION_PATTERN = String.raw`(?<![\p{L}\p{N}_@.\/-])@([a-zA-Z0-9_-]+)`;
+
+// Letters, digits and underscores in any script; not inside words or URLs (a#b, /#anchor)
+const HASHTAG_PATTERN = String.raw`(?<![\p{L}\p{N}_&#\/])#([\p{L}\p{N}_]+)`;
+
+// http(s) URLs and bare www. hosts, up to the next whitespace or markup character
+const URL_PATTERN = String.raw`\b(?:https?:\/\/|www\.)[^\s<>"]+`;
+
+// Search for posts with a hashtag, scoped to the post pages (/p/) - the public
+// functions cannot list posts by tag, so a search engine answers the query
+const HASHTAG_SEARCH_URL = 'https://duckduckgo.com/';
+const HASHTAG_SEARCH_SCOPE = 'site:tickiq.app/p';
+
+const CAPTION_TOKEN_REGEX = new RegExp(`(${URL_PATTERN})|${MENTION_PATTERN}|${HASHTAG_PATTERN}|(\\r\\n|\\r|\\n)`, 'gu');
+
+// Punctuation that ends a sentence rather than the URL ("see example.com.")
+const TRAILING_URL_PUNCTUATION = /[.,!?;:'"\]}]+$/;
+
+// Longest URL text shown in a caption (the full URL stays in href)
+const MAX_URL_DISPLAY_LENGTH = 32;
+
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Format a caption as HTML (line breaks, mentions, hashtags and links)
+ *
+ * @param {string} caption - Caption as written (plain text, not HTML-escaped)
+ * @param {{links?: boolean}} [options] - links: false keeps mentions, hashtags and
+ *   URLs as text (for captions that sit inside another link, e.g. the embed card)
+ * @returns {string} HTML safe to place inside a <p>
+ */
+export function formatCaptionHtml(caption, { links = true } = {}) {
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of caption.matchAll(CAPTION_TOKEN_REGEX)) {
+    const [token, url, username, tag, lineBreak] = match;
+    html += escapeHtml(caption.slice(lastIndex, match.index));
+    lastIndex = match.index + token.length;
+
+    if (lineBreak) {
+      html += '<br>';
+    } else if (!links) {
+      html += escapeHtml(token);
+    } else if (url) {
+      const { linkHtml, rest } = renderUrlLink(url);
+      html += linkHtml + escapeHtml(rest);
+    } else if (username) {
+      html += `<a class="caption-mention" href="/u/${encodeURIComponent(username)}">@${escapeHtml(username)}</a>`;
+    } else if (/^\p{N}+$/u.test(tag)) {
+      // #1, #2024 - numbers, not tags
+      html += escapeHtml(token);
+    } else {
+      html += `<a class="caption-hashtag" href="${escapeHtml(getHashtagSearchUrl(tag))}" rel="nofollow noopener" target="_blank">#${escapeHtml(tag)}</a>`;
+    }
+  }
+
+  return html + escapeHtml(caption.slice(lastIndex));
+}
+
+/**
+ * Search URL for posts with a hashtag
+ *
+ * @param {string} tag - Tag without the leading #
+ * @returns {string}
+ */
+function getHashtagSearchUrl(tag) {
+  const url = new URL(HASHTAG_SEARCH_URL);
+  url.searchParams.set('q', `"#${tag}" ${HASHTAG_SEARCH_SCOPE}`);
+  return url.href;
+}
+
+/**
+ * Link for a URL found in a caption
+ * Trailing punctuation is left outside the link; unparseable URLs stay text
+ *
+ * @returns {{linkHtml: string, rest: string}} Link markup and the text after it (unescaped)
+ */
+function renderUrlLink(rawUrl) {
+  let url = rawUrl.replace(TRAILING_URL_PUNCTUATION, '');
+  // Closing parenthesis belongs to the sentence unless the URL opened one
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1);
+  }
+  const rest = rawUrl.slice(url.length);
+
+  let href;
+  try {
+    href = new URL(url.startsWith('www.') ? `https://${url}` : url);
+  } catch {
+    return { linkHtml: escapeHtml(url), rest };
+  }
+  if (href.protocol !== 'http:' && href.protocol !== 'https:') {
+    return { linkHtml: escapeHtml(url), rest };
+  }
+
+  const display = truncateText(url.replace(/^https?:\/\//i, '').replace(/^www\./i, ''), MAX_URL_DISPLAY_LENGTH, { ellipsis: '…', wordBoundary: false });
+
+  return {
+    linkHtml: `<a class="caption-link" href="${escapeHtml(href.href)}" rel="nofollow ugc noopener" target="_blank">${escapeHtml(display)}</a>`,
+    rest,
+  };
+}
+
+/**
+ * Truncate text to a number of user-perceived characters
+ *
+ * Counts graphemes (an emoji with skin tone or a flag is one character) and
+ * treats HTML entities (&amp;, &#39;) as one character, so neither is ever
+ * cut in half. Prefers to break at a space in the second half of the text.
+ *
+ * @param {string|null|undefined} text - Plain or HTML-escaped text
+ * @param {number} maxLength - Maximum characters before the ellipsis
+ * @param {{ellipsis?: string, wordBoundary?: boolean}} [options] - Ellipsis (default '...')
+ *   and whether to break at the last space (default true)
+ * @returns {string} Text, with the ellipsis appended if it was shortened
+ */
+export function truncateText(text, maxLength, { ellipsis = '...', wordBoundary = true } = {}) {
+  if (!text) return '';
+
+  const units = splitTextUnits(text);
+  if (units.length <= maxLength) return text;
+
+  const kept = units.slice(0, maxLength);
+  if (wordBoundary) {
+    const lastSpace = kept.lastIndexOf(' ');
+    if (lastSpace > maxLength * 0.5) {
+      return kept.slice(0, lastSpace).join('') + ellipsis;
+    }
+  }
+  return kept.join('') + ellipsis;
+}
+
+/**
+ * Split text into graphemes, keeping each HTML entity as one unit
+ */
+function splitTextUnits(text) {
+  const units = [];
+  // Odd indices are the captured entities
+  text.split(/(&(?:#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/i).forEach((part, index) => {
+    if (index % 2 === 1) {
+      units.push(part);
+      return;
+    }
+    for (const { segment } of graphemeSegmenter.segment(part)) {
+      units.push(segment);
+    }
+  });
+  return units;
+}
@@ -1,56 +1,436 @@
 /**
- * Image Token Decryption Utilities
- * Uses Web Crypto API (available in Vercel Edge Runtime)
+ * Image Token Encryption/Decryption Utilities
+ * Uses Web Crypto API (available in Vercel Edge Runtime and Node 20+)
  *
  * Decrypts encrypted image tokens to reveal signed Supabase Storage URLs.
+ * Encryption mirrors the Supabase function so tokens can be minted locally
+ * for tests, fixtures and debugging (see scripts/image-token.js).
+ *
+ * Token format (v2, bound):
+ *   [version: 1 byte = 0x02][key ID: 1 byte][claims length: 2 bytes BE][claims: UTF-8 JSON]
+ *   [IV: 12 bytes][AES-256-GCM ciphertext + tag]
+ *   - Claims are readable but authenticated: the whole header is GCM additional data
+ *   - Claims: { p: 'thumbnail'|'full'|'og'|'video', o: ['https://tickiq.app', ...], u: 'username' }
+ *     (purpose, allowed referrer origins, owning profile - all optional)
+ *
+ * Token format (v1, unbound):
+ *   [version: 1 byte = 0x01][key ID: 1 byte][IV: 12 bytes][AES-256-GCM ciphertext + tag]
+ *
+ * For v1 and v2 the AES key is derived from the secret with HKDF-SHA256
+ * (info binds version + key ID).
+ *
+ * Legacy format (v0, no header):
+ *   [IV: 12 bytes][ciphertext + tag], key = secret padded/truncated to 32 chars
+ *   Still accepted so links minted before the v1 rollout keep working until they expire.
+ *
+ * Key rotation:
+ *   IMAGE_TOKEN_SECRETS="2:new-secret,1:old-secret" (key ID 0-255 : secret)
+ *   The first entry is the current key, the rest are still accepted for decryption.
+ *   IMAGE_TOKEN_SECRET (single secret, key ID 0) is used when IMAGE_TOKEN_SECRETS is unset.
+ */
+
+export const TOKEN_VERSION = 2
+
+// Versioned formats that carry a [version][key ID] header
+const VERSIONED_FORMATS = [1, 2]
+
+const IV_LENGTH = 12
+const HKDF_SALT = 'tickiq-image-token'
+
+// Derived CryptoKeys, cached per secret/key ID for the lifetime of the isolate
+const derivedKeyCache = new Map()
+
+/**
+ * Read the active image token keys from the environment
+ *
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Array<{id: number, secret: string}>} Keys, current key first (empty if unconfigured)
+ * @throws {Error} if IMAGE_TOKEN_SECRETS is malformed
+ */
+export function getImageTokenKeys(env) {
+  if (env.IMAGE_TOKEN_SECRETS) {
+    return env.IMAGE_TOKEN_SECRETS
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':')
+        const id = Number(entry.substring(0, separator))
+        const secret = entry.substring(separator + 1)
+
+        if (separator < 1 || !Number.isInteger(id) || id < 0 || id > 255 || !secret) {
+          throw new Error('Malformed IMAGE_TOKEN_SECRETS entry (expected "keyId:secret")')
+        }
+
+        return { id, secret }
+      })
+  }
+
+  if (env.IMAGE_TOKEN_SECRET) {
+    return [{ id: 0, secret: env.IMAGE_TOKEN_SECRET }]
+  }
+
+  return []
+}
+
+/**
+ * Encrypt a signed image URL into a token
+ *
+ * Produces a v2 (bound) token when claims are given, a v1 (unbound) token otherwise.
+ *
+ * @param {string} url - Signed Supabase Storage URL
+ * @param {number} exp - Expiration (unix seconds)
+ * @param {string|{id: number, secret: string}|Array<{id: number, secret: string}>} secret -
+ *   Secret string (key ID 0), a single key, or active keys (the first/current key is used)
+ * @param {{purpose?: string, origins?: string[], profile?: string}} [claims] - Claims to bind
+ * @returns {Promise<string>} Base64 URL-safe encoded token
  */
+export async function encryptImageToken(url, exp, secret, claims) {
+  const encoder = new TextEncoder()
+  const [entry] = normalizeKeys(secret)
+
+  if (!entry) {
+    throw new Error('Encryption secret required')
+  }
+
+  const header = claims ? buildTokenHeader(entry.id, claims) : new Uint8Array([1, entry.id])
+  const version = header[0]
+
+  // Generate random IV (12 bytes for GCM)
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+
+  // Encrypt the data, authenticating the header
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    await deriveTokenKey(entry, version),
+    encoder.encode(JSON.stringify({ url, exp }))
+  )
+
+  // Combine header + IV + encrypted data
+  const combined = new Uint8Array(header.length + iv.length + encrypted.byteLength)
+  combined.set(header)
+  combined.set(iv, header.length)
+  combined.set(new Uint8Array(encrypted), header.length + iv.length)
+
+  // Base64 URL-safe encode
+  return base64UrlEncode(combined)
+}
 
 /**
  * Decrypt an image token back to signed URL
  *
  * @param {string} token - Base64 URL-safe encoded encrypted token
- * @param {string} secret - 32-byte encryption secret (IMAGE_TOKEN_SECRET)
- * @returns {Promise<{url: string, exp: number}>} Decrypted image token with URL and expiration
+ * @param {string|Array<{id: number, secret: string}>} keys - Active keys (see getImageTokenKeys),
+ *   or a single secret string (treated as key ID 0)
+ * @param {{ignoreExpiry?: boolean}} [options] - ignoreExpiry: return expired tokens (inspection only)
+ * @returns {Promise<{url: string, exp: number, version: number, keyId: number, claims: ImageTokenClaims|null}>}
+ *   Decrypted image token with URL, expiration, token version, the ID of the key that
+ *   decrypted it and the bound claims (null for unbound v0/v1 tokens)
  * @throws {Error} if token is invalid or expired
  */
-export async function decryptImageToken(token, secret) {
-  const encoder = new TextEncoder()
+export async function decryptImageToken(token, keys, options = {}) {
   const decoder = new TextDecoder()
+  const keyring = normalizeKeys(keys)
 
   // Decode base64 URL
   const combined = base64UrlDecode(token)
 
-  // Extract IV and encrypted data
-  const iv = combined.slice(0, 12)
-  const encrypted = combined.slice(12)
+  let decrypted = null
+  let version = null
+  let keyId = null
+  let claims = null
+
+  // Versioned token - key ID tells us exactly which key to use
+  const header = parseTokenHeader(combined)
+  if (header) {
+    const entry = keyring.find(k => k.id === header.keyId)
+    if (entry) {
+      decrypted = await tryDecrypt(
+        await deriveTokenKey(entry, header.version),
+        combined.slice(header.length, header.length + IV_LENGTH),
+        combined.slice(header.length + IV_LENGTH),
+        combined.slice(0, header.length)
+      )
+      if (decrypted) {
+        version = header.version
+        keyId = entry.id
+        claims = header.claims
+      }
+    }
+  }
+
+  // Legacy token (no header) - try every active secret
+  if (!decrypted) {
+    for (const entry of keyring) {
+      decrypted = await tryDecrypt(
+        await importLegacyKey(entry.secret),
+        combined.slice(0, IV_LENGTH),
+        combined.slice(IV_LENGTH)
+      )
+      if (decrypted) {
+        version = 0
+        keyId = entry.id
+        break
+      }
+    }
+  }
+
+  if (!decrypted) {
+    throw new Error('Invalid token')
+  }
+
+  // Parse JSON
+  const data = JSON.parse(decoder.decode(decrypted))
+
+  // Verify expiration
+  const now = Math.floor(Date.now() / 1000)
+  if (data.exp && data.exp < now && !options.ignoreExpiry) {
+    throw new Error('Token expired')
+  }
+
+  return { ...data, version, keyId, claims }
+}
+
+/**
+ * Sign a token for an internal fetch through the proxy (see "Internal fetch grants")
+ *
+ * @param {string} token - Image token being resized
+ * @param {string|Array<{id: number, secret: string}>} keys - Active keys (the current key signs)
+ * @returns {Promise<string>} Base64 URL-safe grant
+ */
+export async function signInternalFetchGrant(token, keys) {
+  const [entry] = normalizeKeys(keys)
+  if (!entry) {
+    throw new Error('Signing secret required')
+  }
+
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await deriveGrantKey(entry),
+    new TextEncoder().encode(token)
+  )
+  return base64UrlEncode(new Uint8Array(signature))
+}
+
+/**
+ * Check an internal fetch grant against every active key
+ *
+ * @param {string} token - Image token the grant was presented with
+ * @param {string} grant - Grant from the proxy URL
+ * @param {string|Array<{id: number, secret: string}>} keys - Active keys (see getImageTokenKeys)
+ * @returns {Promise<boolean>} true if one of the active keys signed it
+ */
+export async function verifyInternalFetchGrant(token, grant, keys) {
+  let signature
+  try {
+    signature = base64UrlDecode(grant)
+  } catch {
+    return false
+  }
+
+  const data = new TextEncoder().encode(token)
+  for (const entry of normalizeKeys(keys)) {
+    if (await crypto.subtle.verify('HMAC', await deriveGrantKey(entry), signature, data)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * @typedef {Object} ImageTokenClaims
+ * @property {string|null} purpose - 'thumbnail' | 'full' | 'og' | 'video'
+ * @property {string[]} origins - Origins allowed to embed the image (empty = any)
+ * @property {string|null} profile - Username of the owning profile
+ */
 
-  // Import decryption key (pad/trim to 32 bytes for AES-256)
+/**
+ * Parse the cleartext header of a versioned token
+ *
+ * @returns {{version: number, keyId: number, claims: ImageTokenClaims|null, length: number}|null}
+ *   Header, or null if the bytes do not look like a versioned token (legacy v0)
+ */
+function parseTokenHeader(combined) {
+  const version = combined[0]
+  if (!VERSIONED_FORMATS.includes(version) || combined.length < 2) {
+    return null
+  }
+
+  if (version === 1) {
+    return combined.length > 2 + IV_LENGTH
+      ? { version, keyId: combined[1], claims: null, length: 2 }
+      : null
+  }
+
+  // v2: claims block follows the key ID
+  if (combined.length < 4) {
+    return null
+  }
+  const claimsLength = (combined[2] << 8) | combined[3]
+  const length = 4 + claimsLength
+  if (combined.length <= length + IV_LENGTH) {
+    return null
+  }
+
+  try {
+    const raw = JSON.parse(new TextDecoder().decode(combined.slice(4, length)))
+    return {
+      version,
+      keyId: combined[1],
+      claims: {
+        purpose: typeof raw.p === 'string' ? raw.p : null,
+        origins: Array.isArray(raw.o) ? raw.o.filter(o => typeof o === 'string') : [],
+        profile: typeof raw.u === 'string' ? raw.u : null,
+      },
+      length,
+    }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build the cleartext v2 header carrying the bound claims
+ */
+function buildTokenHeader(keyId, { purpose, origins, profile }) {
+  const raw = {}
+  if (purpose) raw.p = purpose
+  if (origins && origins.length > 0) raw.o = origins
+  if (profile) raw.u = profile
+
+  const claimsBytes = new TextEncoder().encode(JSON.stringify(raw))
+  if (claimsBytes.length > 0xffff) {
+    throw new Error('Token claims too large')
+  }
+
+  const header = new Uint8Array(4 + claimsBytes.length)
+  header.set([2, keyId, claimsBytes.length >> 8, claimsBytes.length & 0xff])
+  header.set(claimsBytes, 4)
+  return header
+}
+
+/**
+ * Accept a plain secret string (key ID 0) or a single key as shorthand for a keyring
+ */
+function normalizeKeys(keys) {
+  if (typeof keys === 'string') {
+    return [{ id: 0, secret: keys }]
+  }
+  if (keys && !Array.isArray(keys)) {
+    return [keys]
+  }
+  return keys || []
+}
+
+/**
+ * Derive the AES-256-GCM key for a versioned token with HKDF-SHA256
+ */
+async function deriveTokenKey({ id, secret }, version) {
+  const cacheKey = `${version}:${id}:${secret}`
+  if (derivedKeyCache.has(cacheKey)) {
+    return derivedKeyCache.get(cacheKey)
+  }
+
+  const encoder = new TextEncoder()
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    'HKDF',
+    false,
+    ['deriveKey']
+  )
+
+  const key = await crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(HKDF_SALT),
+      info: encoder.encode(`image-token:v${version}:${id}`),
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+
+  derivedKeyCache.set(cacheKey, key)
+  return key
+}
+
+/**
+ * Derive the HMAC-SHA256 key for internal fetch grants with HKDF-SHA256
+ */
+async function deriveGrantKey({ id, secret }) {
+  const cacheKey = `grant:${id}:${secret}`
+  if (derivedKeyCache.has(cacheKey)) {
+    return derivedKeyCache.get(cacheKey)
+  }
+
+  const encoder = new TextEncoder()
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    'HKDF',
+    false,
+    ['deriveKey']
+  )
+
+  const key = await crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(HKDF_SALT),
+      info: encoder.encode(`image-internal-fetch:${id}`),
+    },
+    baseKey,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign', 'verify']
+  )
+
+  derivedKeyCache.set(cacheKey, key)
+  return key
+}
+
+/**
+ * Import a legacy (v0) key: secret padded/truncated to 32 bytes
+ */
+async function importLegacyKey(secret) {
+  const encoder = new TextEncoder()
   const keyData = encoder.encode(secret.padEnd(32, '0').substring(0, 32))
-  const key = await crypto.subtle.importKey(
+  return crypto.subtle.importKey(
     'raw',
     keyData,
     { name: 'AES-GCM' },
     false,
     ['decrypt']
   )
+}
 
-  // Decrypt
-  const decrypted = await crypto.subtle.decrypt(
-    { name: 'AES-GCM', iv },
-    key,
-    encrypted
-  )
-
-  // Parse JSON
-  const data = JSON.parse(decoder.decode(decrypted))
+/**
+ * AES-GCM decrypt, returning null instead of throwing on authentication failure
+ */
+async function tryDecrypt(key, iv, encrypted, additionalData) {
+  const algorithm = additionalData
+    ? { name: 'AES-GCM', iv, additionalData }
+    : { name: 'AES-GCM', iv }
 
-  // Verify expiration
-  const now = Math.floor(Date.now() / 1000)
-  if (data.exp && data.exp < now) {
-    throw new Error('Token expired')
+  try {
+    return await crypto.subtle.decrypt(algorithm, key, encrypted)
+  } catch {
+    return null
   }
+}
 
-  return data
+/**
+ * Base64 URL-safe encoding (no padding)
+ */
+function base64UrlEncode(buffer) {
+  const base64 = btoa(String.fromCharCode(...buffer))
+  return base64
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '')
 }
 
 /**
@@ -0,0 +1,254 @@
+/**
+ * Branded Error Pages
+ *
+ * One renderer for every full-page error on the site (posts, comment threads,
+ * profiles): shared header/footer from components.js, an icon, a title and
+ * a message, in the light (posts) or dark (profiles) theme.
+ */
+
+// Icon glyphs drawn on a filled circle - fg is the glyph colour
+const ICONS = {
+  // Photo with a slash (post missing)
+  'photo-slash': (fg) => `
+                <rect x="20" y="24" width="24" height="18" rx="2" stroke="${fg}" stroke-width="2" fill="none"/>
+                <path d="M20 38L26 32L30 36L38 28L44 34V40C44 41.1 43.1 42 42 42H22C20.9 42 20 41.1 20 40V38Z" fill="${fg}"/>
+                <circle cx="38" cy="29" r="2.5" fill="${fg}"/>
+                <line x1="18" y1="46" x2="46" y2="18" stroke="${fg}" stroke-width="2.5" stroke-linecap="round"/>`,
+
+  // Question mark (questionmark.circle.fill)
+  'question': (fg) => `
+                <path d="M32 44.5C33.1 44.5 34 43.6 34 42.5C34 41.4 33.1 40.5 32 40.5C30.9 40.5 30 41.4 30 42.5C30 43.6 30.9 44.5 32 44.5Z" fill="${fg}"/>
+                <path d="M32 18C27.05 18 23 22.05 23 27H27C27 24.25 29.25 22 32 22C34.75 22 37 24.25 37 27C37 29.75 34.75 32 32 32C30.9 32 30 32.9 30 34V38H34V35.5C37.95 34.45 41 30.95 41 27C41 22.05 36.95 18 32 18Z" fill="${fg}"/>`,
+
+  // Trash can (deleted)
+  'trash': (fg) => `
+                <path d="M22 24H42" stroke="${fg}" stroke-width="2.5" stroke-linecap="round"/>
+                <path d="M28 24V21.5C28 20.67 28.67 20 29.5 20H34.5C35.33 20 36 20.67 36 21.5V24" stroke="${fg}" stroke-width="2" fill="none"/>
+                <path d="M24.5 27H39.5L38.2 42.2C38.1 43.2 37.3 44 36.2 44H27.8C26.7 44 25.9 43.2 25.8 42.2L24.5 27Z" fill="${fg}"/>`,
+
+  // Circular arrow (try again)
+  'retry': (fg) => `
+                <path d="M42 32C42 37.52 37.52 42 32 42C26.48 42 22 37.52 22 32C22 26.48 26.48 22 32 22C35.1 22 37.87 23.41 39.7 25.63" stroke="${fg}" stroke-width="2.5" stroke-linecap="round" fill="none"/>
+                <path d="M41 19V26.5H33.5" stroke="${fg}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" fill="none"/>`,
+};
+
+const THEMES = {
+  light: {
+    circle: '#000000',
+    glyph: '#FFFFFF',
+    css: `
+        body {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            background: #FFFFFF;
+            color: #000000;
+            min-height: 100vh;
+        }
+
+        .error-icon {
+            opacity: 0.25;
+        }
+
+        .error-title {
+            color: #000000;
+        }
+
+        .error-message {
+            color: #666666;
+        }`,
+  },
+  dark: {
+    circle: 'white',
+    glyph: '#1A1612',
+    css: `
+        body {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            background: linear-gradient(to bottom, #1A1612 0%, #000000 100%);
+            color: #FFFFFF;
+            min-height: 100vh;
+        }
+
+        /* Header - white nav links, logo and hamburger, inverted "Get the app" button in expanded state */
+        #header:not(.collapsed) .nav-link {
+            color: rgba(255, 255, 255, 0.7) !important;
+        }
+
+        #header:not(.collapsed) .header-logo {
+            filter: brightness(0) invert(1) !important;
+        }
+
+        #header:not(.collapsed) .get-app-button {
+            background: #FFFFFF !important;
+            color: #000000 !important;
+            border: 1px solid #FFFFFF !important;
+        }
+
+        #header:not(.collapsed) .get-app-button .apple-icon {
+            color: #000000 !important;
+        }
+
+        #header:not(.collapsed) .hamburger,
+        #header:not(.collapsed) .menu-icon,
+        #header:not(.collapsed) .mobile-menu-toggle,
+        #header:not(.collapsed) .hamburger-icon {
+            filter: brightness(0) invert(1) !important;
+        }
+
+        #header:not(.collapsed) .hamburger span,
+        #header:not(.collapsed) .menu-icon span,
+        #header:not(.collapsed) .mobile-menu-toggle span,
+        #header:not(.collapsed) .hamburger-icon span {
+            background: #FFFFFF !important;
+        }
+
+        .error-icon {
+            opacity: 0.3;
+        }
+
+        .error-title {
+            color: rgba(255, 255, 255, 0.9);
+        }
+
+        .error-message {
+            color: rgba(255, 255, 255, 0.6);
+        }`,
+  },
+};
+
+/**
+ * Render a full-page error as a Response
+ *
+ * @param {Object} options
+ * @param {number} options.status - HTTP status
+ * @param {string} options.title - Page heading (trusted text - inserted as-is)
+ * @param {string} options.message - Explanation below the heading (trusted text - inserted as-is)
+ * @param {'photo-slash'|'question'|'trash'|'retry'} options.icon - Icon above the heading
+ * @param {'light'|'dark'} [options.theme] - Page theme (default light)
+ * @param {Object<string, string>} [options.headers] - Extra headers (Cache-Control, Retry-After, ...)
+ * @returns {Response}
+ */
+export function renderBrandedErrorPage({ status, title, message, icon, theme = 'light', headers = {} }) {
+  const { circle, glyph, css } = THEMES[theme];
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex,nofollow">
+    <title>${title} - tickIQ</title>
+
+    <!-- Favicons -->
+    <link rel="icon" href="/favicon.ico" sizes="any">
+    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
+    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
+
+    <!-- Fonts -->
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+
+    <!-- Main site styles -->
+    <link rel="stylesheet" href="/css/styles.css">
+
+    <style>${css}
+
+        .error-container {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 12rem 2rem 10rem 2rem;
+            text-align: center;
+        }
+
+        .error-content {
+            animation: fadeIn 0.6s ease;
+        }
+
+        @keyframes fadeIn {
+            from {
+                opacity: 0;
+                transform: translateY(20px);
+            }
+            to {
+                opacity: 1;
+                transform: translateY(0);
+            }
+        }
+
+        /* Icon - matches iOS .font(.system(size: 64)) */
+        .error-icon {
+            width: 64px;
+            height: 64px;
+            margin: 0 auto 24px;
+            display: block;
+        }
+
+        /* Title + message - matches iOS VStack(spacing: 12) */
+        .error-text {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+
+        /* Title - matches iOS .title2 .semibold */
+        .error-title {
+            font-size: 1.375rem;
+            font-weight: 600;
+            margin: 0;
+        }
+
+        /* Message - matches iOS .body */
+        .error-message {
+            font-size: 1.0625rem;
+            line-height: 1.5;
+            padding: 0 40px;
+            margin: 0;
+        }
+
+        @media (max-width: 768px) {
+            .error-container {
+                padding: 10rem 1.5rem 8rem 1.5rem;
+                min-height: 100vh;
+            }
+
+            .error-message {
+                padding: 0 20px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <!-- Header will be injected by components.js -->
+    <header></header>
+
+    <div class="error-container">
+        <div class="error-content">
+            <svg class="error-icon" width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">
+                <circle cx="32" cy="32" r="28" fill="${circle}"/>${ICONS[icon](glyph)}
+            </svg>
+
+            <div class="error-text">
+                <h1 class="error-title">${title}</h1>
+                <p class="error-message">${message}</p>
+            </div>
+        </div>
+    </div>
+
+    <!-- Footer will be injected by components.js -->
+    <footer></footer>
+
+    <!-- Load shared components -->
+    <script src="/js/components.js"></script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      ...headers,
+    },
+  });
+}
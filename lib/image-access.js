@@ -0,0 +1,169 @@
+/**
+ * Image Access Policy
+ *
+ * Enforces the claims bound into v2 image tokens (see lib/crypto.js):
+ * - purpose: which proxy route and variants the token is good for (PURPOSE_POLICIES)
+ * - origins: sites allowed to embed the image (checked against Origin/Referer)
+ * - profile: owning profile - the token only works on that member's /u/ page
+ *
+ * Rules:
+ * - Unbound tokens (legacy v0/v1) are allowed until they expire
+ * - 'video' tokens only work on /api/video/[token], the image purposes only on
+ *   /api/img/[token] (tokens without a purpose on either); 'thumbnail' variants
+ *   are capped at THUMBNAIL_MAX_WIDTH
+ * - The deployment's own origin is always allowed (preview deployments)
+ * - Tokens bound to origins or a profile need to know where they are used.
+ *   Without Origin/Referer (referrerpolicy="no-referrer", strict policies) the
+ *   browser's Sec-Fetch-Site decides: same-origin / none (opened directly) is
+ *   allowed, same-site / cross-site is refused. Requests without either header
+ *   are not from a current browser and are refused, except:
+ *   - internal fetches (the image optimizer, the OG image generator), which
+ *     carry a grant only the server can mint (context.internal, see
+ *     signInternalFetchGrant in lib/crypto.js)
+ *   - stable resolver URLs (context.stable, lib/image-resolver.js) - those are
+ *     public by design and re-fetched by crawlers days later
+ *   - social crawlers fetching 'og' / 'video' tokens (link previews, og:video).
+ *     Only honoured without Sec-Fetch-Site: browsers always send it and a page
+ *     cannot change the User-Agent of the <img> loads it triggers.
+ * - Embeddable purposes skip the origin and profile checks on stable resolver
+ *   URLs: 'thumbnail' (the collection widget on members' own sites, capped at
+ *   THUMBNAIL_MAX_WIDTH) and 'video' (og:video, played inline by link previews
+ *   on other sites). Token URLs stay bound.
+ */
+
+export const IMAGE_PURPOSES = ['thumbnail', 'full', 'og', 'video'];
+
+// Largest variant served for thumbnail tokens (profile grid, collection widget)
+export const THUMBNAIL_MAX_WIDTH = 512;
+
+// Proxy route ('image' = /api/img/[token], 'video' = /api/video/[token]), variant limits and
+// whether stable URLs may be embedded on any site, per purpose
+const PURPOSE_POLICIES = {
+  thumbnail: { route: 'image', maxWidth: THUMBNAIL_MAX_WIDTH, embeddable: true },
+  full: { route: 'image' },
+  og: { route: 'image', crawlers: true },
+  video: { route: 'video', crawlers: true, embeddable: true },
+};
+
+// Link preview crawlers allowed to fetch OG images regardless of origin
+const SOCIAL_CRAWLER_PATTERN = /facebookexternalhit|facebookcatalog|Facebot|Twitterbot|Slackbot|LinkedInBot|WhatsApp|TelegramBot|Discordbot|Applebot|Pinterest|redditbot|SkypeUriPreview|vkShare|Embedly|Iframely|Mastodon|Bluesky/i;
+
+/**
+ * Check whether a request may use an image token
+ *
+ * @param {import('./crypto.js').ImageTokenClaims|null} claims - Claims decrypted from the token
+ * @param {Request} request - Incoming proxy request
+ * @param {{route?: 'image'|'video', internal?: boolean, stable?: boolean}} [context] -
+ *   route: proxy serving the request (default 'image');
+ *   internal: an internal fetch with a verified grant;
+ *   stable: served for a resolver URL (/api/img/post/..., /api/video/post/...)
+ * @returns {{allowed: true}|{allowed: false, status: number, reason: string}}
+ */
+export function checkImageAccess(claims, request, context = {}) {
+  // Unbound token - nothing to enforce
+  if (!claims) {
+    return { allowed: true };
+  }
+
+  const route = context.route || 'image';
+  const policy = claims.purpose ? PURPOSE_POLICIES[claims.purpose] : null;
+
+  if (claims.purpose && !policy) {
+    return { allowed: false, status: 403, reason: 'Unknown token purpose' };
+  }
+
+  // An OG image token is not a video token and vice versa
+  if (policy && route !== policy.route) {
+    return { allowed: false, status: 403, reason: 'Token not valid for this resource' };
+  }
+
+  // Stable thumbnail and video URLs are public by design (collection widget, og:video)
+  if (policy && policy.embeddable && context.stable) {
+    return { allowed: true };
+  }
+
+  const fetchSite = request.headers.get('sec-fetch-site');
+
+  // OG images and videos are meant to be fetched by link preview crawlers
+  const userAgent = request.headers.get('user-agent') || '';
+  if (policy && policy.crawlers && !fetchSite && SOCIAL_CRAWLER_PATTERN.test(userAgent)) {
+    return { allowed: true };
+  }
+
+  const isBound = claims.origins.length > 0 || Boolean(claims.profile);
+  const referrer = getRequestReferrer(request);
+
+  // No Origin/Referer - cannot tell where the image is embedded
+  if (!referrer) {
+    if (!isBound || context.internal) {
+      return { allowed: true };
+    }
+    if (fetchSite === 'same-origin' || fetchSite === 'none') {
+      return { allowed: true };
+    }
+    if (fetchSite) {
+      return { allowed: false, status: 403, reason: 'Image not available on this site' };
+    }
+    return context.stable
+      ? { allowed: true }
+      : { allowed: false, status: 403, reason: 'Image requires a referrer' };
+  }
+
+  const selfOrigin = new URL(request.url).origin;
+  const allowedOrigins = claims.origins.length > 0
+    ? [...claims.origins, selfOrigin]
+    : null;
+
+  if (allowedOrigins && !allowedOrigins.includes(referrer.origin)) {
+    return { allowed: false, status: 403, reason: 'Image not available on this site' };
+  }
+
+  // Profile-bound token used on another member's profile page
+  if (claims.profile && referrer.origin === selfOrigin) {
+    const profileMatch = referrer.pathname.match(/^\/u\/([^/]+)/);
+    if (profileMatch && profileMatch[1].toLowerCase() !== claims.profile.toLowerCase()) {
+      return { allowed: false, status: 403, reason: 'Image not available on this profile' };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Cap a requested variant at what the token's purpose allows
+ *
+ * Thumbnail tokens requested wider (e.g. the profile section srcset when a
+ * watch has no full image) get the largest thumbnail width instead.
+ *
+ * @param {import('./crypto.js').ImageTokenClaims|null} claims - Claims decrypted from the token
+ * @param {{width: number}|null} variant - Parsed variant (see lib/image-variants.js)
+ * @returns {{width: number}|null} The variant, narrowed if needed
+ */
+export function limitVariantForPurpose(claims, variant) {
+  const policy = claims && claims.purpose ? PURPOSE_POLICIES[claims.purpose] : null;
+  if (!variant || !policy || !policy.maxWidth || variant.width <= policy.maxWidth) {
+    return variant;
+  }
+  return { ...variant, width: policy.maxWidth };
+}
+
+/**
+ * Resolve the embedding page from Referer (preferred, has the path) or Origin
+ *
+ * @returns {{origin: string, pathname: string}|null}
+ */
+function getRequestReferrer(request) {
+  const candidates = [request.headers.get('referer'), request.headers.get('origin')];
+
+  for (const candidate of candidates) {
+    if (!candidate || candidate === 'null') continue;
+    try {
+      const parsed = new URL(candidate);
+      return { origin: parsed.origin, pathname: parsed.pathname };
+    } catch {
+      // Malformed header - try the next one
+    }
+  }
+
+  return null;
+}
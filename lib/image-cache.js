@@ -0,0 +1,265 @@
+/**
+ * Content-Addressed Image Cache
+ *
+ * Every profile render mints fresh tokens, so HTTP caches keyed on the token
+ * URL almost never hit. This cache sits behind token verification and is
+ * keyed on the storage object instead: once a token has been decrypted and
+ * its access checks pass, the cached bytes are served whichever token was
+ * presented.
+ *
+ * Key: SHA-256 of the storage object identity - bucket/path plus any version
+ * or transform parameters (v, width, quality...), with the signature dropped
+ * and signed/public URLs treated alike.
+ *
+ * Backends (IMAGE_CACHE_BACKEND):
+ * - 'memory': per-isolate LRU (local development, and a small hot set in production)
+ * - 'kv':     Redis REST API (Vercel KV / Upstash - KV_REST_API_URL + KV_REST_API_TOKEN)
+ * - 'none':   disabled
+ * Default: 'kv' when KV credentials are configured, 'memory' otherwise.
+ *
+ * Entries expire after IMAGE_CACHE_TTL seconds (default 1 day) so a photo
+ * replaced in place without a version parameter is picked up eventually.
+ */
+
+import { base64Encode } from './image-placeholder.js';
+
+const DEFAULT_TTL_SECONDS = 86400;
+
+// In-memory budget per isolate
+const MEMORY_MAX_BYTES = 50 * 1024 * 1024;
+const MEMORY_MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+// Redis REST requests are capped around 1 MB; bodies are stored base64 encoded (+33%)
+const KV_MAX_ENTRY_BYTES = 700 * 1024;
+// v2: entries hold sanitised bytes (metadata stripped, see lib/image-metadata.js)
+const KV_KEY_PREFIX = 'img:v2:';
+
+// Storage URL prefixes collapsed into the object identity (signed and public serve the same bytes)
+const STORAGE_PREFIX_PATTERN = /^\/storage\/v1\/(object|render\/image)\/(?:sign|public)\//;
+
+/**
+ * @typedef {Object} CachedImage
+ * @property {Uint8Array} body - Image bytes
+ * @property {string} contentType - Content-Type of the original
+ * @property {string|null} etag - Upstream ETag
+ * @property {string|null} lastModified - Upstream Last-Modified
+ * @property {string|null} [color] - Average colour (LQIP entries only, see lib/image-lqip.js)
+ */
+
+/**
+ * @typedef {Object} ImageCacheBackend
+ * @property {string} name - Backend name (reported in X-Image-Cache)
+ * @property {number} maxEntryBytes - Largest body the backend will store
+ * @property {(key: string) => Promise<CachedImage|null>} get
+ * @property {(key: string, entry: CachedImage, ttlSeconds: number) => Promise<void>} put
+ */
+
+let sharedCache;
+
+/**
+ * Get the image cache configured for this deployment (created once per isolate)
+ *
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {{backend: ImageCacheBackend, ttl: number}|null} Cache, or null when disabled
+ * @throws {Error} if IMAGE_CACHE_BACKEND is unknown or 'kv' lacks credentials
+ */
+export function getImageCache(env) {
+  if (sharedCache !== undefined) {
+    return sharedCache;
+  }
+
+  const hasKv = Boolean(env.KV_REST_API_URL && env.KV_REST_API_TOKEN);
+  const backendName = env.IMAGE_CACHE_BACKEND || (hasKv ? 'kv' : 'memory');
+  const configuredTtl = parseInt(env.IMAGE_CACHE_TTL, 10);
+  const ttl = Number.isInteger(configuredTtl) && configuredTtl > 0 ? configuredTtl : DEFAULT_TTL_SECONDS;
+
+  if (backendName === 'none') {
+    sharedCache = null;
+  } else if (backendName === 'memory') {
+    sharedCache = { backend: createMemoryImageCache(), ttl };
+  } else if (backendName === 'kv') {
+    if (!hasKv) {
+      throw new Error('IMAGE_CACHE_BACKEND=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    sharedCache = { backend: createKvImageCache(env.KV_REST_API_URL, env.KV_REST_API_TOKEN), ttl };
+  } else {
+    throw new Error(`Unknown IMAGE_CACHE_BACKEND: ${backendName}`);
+  }
+
+  return sharedCache;
+}
+
+/**
+ * Derive the cache key for the storage object behind a signed URL
+ *
+ * @param {string} signedUrl - Upstream URL decrypted from the token
+ * @returns {Promise<string>} Hex SHA-256 of the object identity
+ */
+export async function getStorageObjectKey(signedUrl) {
+  const url = new URL(signedUrl);
+
+  // Drop the signature; keep version/transform parameters in a stable order
+  const params = [...url.searchParams]
+    .filter(([name]) => name !== 'token')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const identity = `${url.pathname.replace(STORAGE_PREFIX_PATTERN, '$1/')}?${new URLSearchParams(params)}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(identity));
+
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Per-isolate LRU cache bounded by total bytes
+ *
+ * @param {{maxBytes?: number, maxEntryBytes?: number}} [options]
+ * @returns {ImageCacheBackend}
+ */
+export function createMemoryImageCache({ maxBytes = MEMORY_MAX_BYTES, maxEntryBytes = MEMORY_MAX_ENTRY_BYTES } = {}) {
+  // Map iteration order doubles as LRU order (oldest first)
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const existing = entries.get(key);
+    if (existing) {
+      totalBytes -= existing.entry.body.byteLength;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+    maxEntryBytes,
+
+    async get(key) {
+      const cached = entries.get(key);
+      if (!cached) return null;
+
+      if (cached.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, cached);
+      return cached.entry;
+    },
+
+    async put(key, entry, ttlSeconds) {
+      if (entry.body.byteLength > maxEntryBytes) return;
+
+      remove(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+      totalBytes += entry.body.byteLength;
+
+      // Evict least recently used entries until back under budget
+      for (const oldestKey of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        remove(oldestKey);
+      }
+    },
+  };
+}
+
+/**
+ * Redis REST cache (Vercel KV / Upstash)
+ *
+ * Entries are stored as JSON with the body base64 encoded.
+ *
+ * @param {string} restUrl - KV_REST_API_URL
+ * @param {string} restToken - KV_REST_API_TOKEN
+ * @returns {ImageCacheBackend}
+ */
+export function createKvImageCache(restUrl, restToken) {
+  async function command(args) {
+    const response = await fetch(restUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${restToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV ${args[0]} failed: ${response.status}`);
+    }
+
+    const { result } = await response.json();
+    return result;
+  }
+
+  return {
+    name: 'kv',
+    maxEntryBytes: KV_MAX_ENTRY_BYTES,
+
+    async get(key) {
+      const stored = await command(['GET', KV_KEY_PREFIX + key]);
+      if (!stored) return null;
+
+      const { body, contentType, etag, lastModified, color = null } = JSON.parse(stored);
+      return { body: base64Decode(body), contentType, etag, lastModified, color };
+    },
+
+    async put(key, entry, ttlSeconds) {
+      if (entry.body.byteLength > KV_MAX_ENTRY_BYTES) return;
+
+      const stored = JSON.stringify({
+        body: base64Encode(entry.body),
+        contentType: entry.contentType,
+        etag: entry.etag,
+        lastModified: entry.lastModified,
+        color: entry.color ?? null,
+      });
+      await command(['SET', KV_KEY_PREFIX + key, stored, 'EX', ttlSeconds]);
+    },
+  };
+}
+
+/**
+ * Read a stream fully into memory, giving up once it exceeds maxBytes
+ *
+ * @param {ReadableStream<Uint8Array>} stream - Body to collect
+ * @param {number} maxBytes - Byte limit
+ * @returns {Promise<Uint8Array|null>} Bytes, or null if the stream was too large or failed
+ */
+export async function collectStream(stream, maxBytes) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let received = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      received += value.byteLength;
+      if (received > maxBytes) {
+        await reader.cancel();
+        return null;
+      }
+      chunks.push(value);
+    }
+  } catch {
+    return null;
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+function base64Decode(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
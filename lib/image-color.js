@@ -0,0 +1,376 @@
+/**
+ * Average Colour of a JPEG
+ *
+ * The Edge Runtime cannot decode images, but the average colour of a JPEG
+ * only needs the DC coefficient of each 8x8 block (the block's mean, see
+ * ITU T.81 A.3.1): Huffman-decode the DC values, skip everything else and
+ * convert the mean Y/Cb/Cr to RGB. Used for the placeholder the image proxy
+ * renders (lib/image-lqip.js) - a 16px image is a handful of blocks.
+ *
+ * Supports baseline and progressive Huffman JPEGs with 1 (greyscale) or 3
+ * (YCbCr) components - what the image optimizer writes. Anything else
+ * (arithmetic coding, lossless, CMYK) has no colour.
+ */
+
+// Frame markers: baseline, extended sequential, progressive (all Huffman)
+const SOF_BASELINE = 0xc0;
+const SOF_EXTENDED = 0xc1;
+const SOF_PROGRESSIVE = 0xc2;
+// Other SOFn (lossless, arithmetic coding) - not supported
+const SOF_MARKERS = [0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+const DHT = 0xc4;
+const DQT = 0xdb;
+const DRI = 0xdd;
+const SOS = 0xda;
+const EOI = 0xd9;
+const RST0 = 0xd0;
+const RST7 = 0xd7;
+
+/**
+ * Average colour of a JPEG
+ *
+ * Never throws - malformed or unsupported images simply have no colour.
+ *
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {string|null} Hex colour (e.g. '#1a2b3c'), or null
+ */
+export function getJpegAverageColor(bytes) {
+  try {
+    const means = decodeDcMeans(bytes);
+    if (!means) return null;
+
+    if (means.length === 1) {
+      return toHexColor(means[0], means[0], means[0]);
+    }
+
+    // JFIF YCbCr -> RGB
+    const [y, cb, cr] = means;
+    return toHexColor(
+      y + 1.402 * (cr - 128),
+      y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+      y + 1.772 * (cb - 128)
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mean sample value (0-255) of every component, from the DC coefficients
+ *
+ * @returns {number[]|null} One mean per component, or null if unsupported
+ */
+function decodeDcMeans(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  const quantization = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    offset += 2;
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset--;
+      continue;
+    }
+    if (marker === EOI) break;
+
+    const length = (bytes[offset] << 8) | bytes[offset + 1];
+    const segment = bytes.subarray(offset + 2, offset + length);
+
+    if (marker === SOF_BASELINE || marker === SOF_EXTENDED || marker === SOF_PROGRESSIVE) {
+      frame = readFrame(segment, marker === SOF_PROGRESSIVE);
+      if (!frame) return null;
+    } else if (SOF_MARKERS.includes(marker)) {
+      return null;
+    } else if (marker === DHT) {
+      readHuffmanTables(segment, dcTables, acTables);
+    } else if (marker === DQT) {
+      readQuantizationTables(segment, quantization);
+    } else if (marker === DRI) {
+      restartInterval = (segment[0] << 8) | segment[1];
+    } else if (marker === SOS) {
+      if (!frame) return null;
+      offset = decodeScan(bytes, offset + length, segment, frame, dcTables, acTables, restartInterval);
+      if (offset < 0) return null;
+      continue;
+    }
+
+    offset += length;
+  }
+
+  if (!frame || frame.components.some(component => component.blocks === 0)) return null;
+
+  return frame.components.map(component => {
+    const dcQuantization = quantization[component.quantizationTable];
+    if (dcQuantization === undefined) throw new Error('Missing quantization table');
+    // DC = 8 x (mean - 128) / quantization step
+    return (component.dcSum / component.blocks) * dcQuantization / 8 + 128;
+  });
+}
+
+/**
+ * SOFn: size and components (sampling factors, quantization table)
+ */
+function readFrame(segment, progressive) {
+  const height = (segment[1] << 8) | segment[2];
+  const width = (segment[3] << 8) | segment[4];
+  const count = segment[5];
+  if (segment[0] !== 8 || !width || !height || (count !== 1 && count !== 3)) return null;
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const base = 6 + i * 3;
+    components.push({
+      id: segment[base],
+      h: segment[base + 1] >> 4,
+      v: segment[base + 1] & 15,
+      quantizationTable: segment[base + 2],
+      dcSum: 0,
+      blocks: 0,
+      // Whether the DC values were decoded (progressive images send them once, then refine)
+      done: false,
+    });
+  }
+
+  return {
+    width,
+    height,
+    progressive,
+    components,
+    maxH: Math.max(...components.map(component => component.h)),
+    maxV: Math.max(...components.map(component => component.v)),
+  };
+}
+
+/**
+ * DHT: canonical Huffman tables (ITU T.81 C.2 / F.2.2.3)
+ */
+function readHuffmanTables(segment, dcTables, acTables) {
+  let offset = 0;
+  while (offset < segment.length) {
+    const tableClass = segment[offset] >> 4;
+    const tableId = segment[offset] & 15;
+    const counts = segment.subarray(offset + 1, offset + 17);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const symbols = segment.subarray(offset + 17, offset + 17 + total);
+
+    const minCode = new Int32Array(17);
+    const maxCode = new Int32Array(17).fill(-1);
+    const valuePointer = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+      const count = counts[length - 1];
+      if (count > 0) {
+        valuePointer[length] = index;
+        minCode[length] = code;
+        code += count;
+        index += count;
+        maxCode[length] = code - 1;
+      }
+      code <<= 1;
+    }
+
+    (tableClass === 0 ? dcTables : acTables)[tableId] = { minCode, maxCode, valuePointer, symbols };
+    offset += 17 + total;
+  }
+}
+
+/**
+ * DQT: only the DC step (first entry) of each table is needed
+ */
+function readQuantizationTables(segment, quantization) {
+  let offset = 0;
+  while (offset < segment.length) {
+    const wide = segment[offset] >> 4;
+    const tableId = segment[offset] & 15;
+    quantization[tableId] = wide ? (segment[offset + 1] << 8) | segment[offset + 2] : segment[offset + 1];
+    offset += 1 + (wide ? 128 : 64);
+  }
+}
+
+/**
+ * Decode the DC values of one scan into the components' sums
+ *
+ * Sequential scans carry DC and AC (AC is decoded and discarded); progressive
+ * images are only read in their first DC scans - AC and refinement scans are skipped.
+ *
+ * @returns {number} Offset of the marker after the scan, or -1 if the data is malformed
+ */
+function decodeScan(bytes, dataOffset, header, frame, dcTables, acTables, restartInterval) {
+  const count = header[0];
+  const scanComponents = [];
+  for (let i = 0; i < count; i++) {
+    const component = frame.components.find(candidate => candidate.id === header[1 + i * 2]);
+    if (!component) return -1;
+    scanComponents.push({
+      component,
+      dcTable: dcTables[header[2 + i * 2] >> 4],
+      acTable: acTables[header[2 + i * 2] & 15],
+      predictor: 0,
+    });
+  }
+
+  const base = 1 + count * 2;
+  const spectralStart = header[base];
+  const successiveHigh = header[base + 2] >> 4;
+  const successiveLow = header[base + 2] & 15;
+
+  const decodesDc = spectralStart === 0 && successiveHigh === 0 &&
+    scanComponents.every(({ component, dcTable }) => !component.done && dcTable);
+  const reader = createBitReader(bytes, dataOffset);
+
+  if (decodesDc) {
+    // Interleaved scans code h x v blocks per component per MCU; single-component scans one block per MCU
+    let mcus;
+    if (count === 1) {
+      const { h, v } = scanComponents[0].component;
+      mcus = Math.ceil(Math.ceil(frame.width * h / frame.maxH) / 8) *
+        Math.ceil(Math.ceil(frame.height * v / frame.maxV) / 8);
+    } else {
+      mcus = Math.ceil(frame.width / (8 * frame.maxH)) * Math.ceil(frame.height / (8 * frame.maxV));
+    }
+
+    for (let mcu = 0; mcu < mcus; mcu++) {
+      if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+        reader.restart();
+        for (const scanComponent of scanComponents) scanComponent.predictor = 0;
+      }
+
+      for (const scanComponent of scanComponents) {
+        const blocks = count === 1 ? 1 : scanComponent.component.h * scanComponent.component.v;
+        for (let block = 0; block < blocks; block++) {
+          const size = reader.decode(scanComponent.dcTable);
+          if (size === null) return -1;
+          scanComponent.predictor += size ? extend(reader.receive(size), size) : 0;
+          scanComponent.component.dcSum += scanComponent.predictor << successiveLow;
+          scanComponent.component.blocks++;
+
+          if (!frame.progressive && !skipAcCoefficients(reader, scanComponent.acTable)) return -1;
+        }
+      }
+    }
+
+    for (const { component } of scanComponents) component.done = true;
+  }
+
+  return findNextMarker(bytes, dataOffset);
+}
+
+/**
+ * Decode and discard the 63 AC coefficients of a sequential block
+ */
+function skipAcCoefficients(reader, acTable) {
+  if (!acTable) return false;
+
+  for (let k = 1; k < 64; k++) {
+    const symbol = reader.decode(acTable);
+    if (symbol === null) return false;
+
+    const run = symbol >> 4;
+    const size = symbol & 15;
+    if (size === 0) {
+      // End of block, or 16 zeros (ZRL)
+      if (run !== 15) return true;
+      k += 15;
+    } else {
+      k += run;
+      reader.receive(size);
+    }
+  }
+  return true;
+}
+
+/**
+ * Bit reader over entropy-coded data (0xFF00 stuffing removed, stops at markers)
+ */
+function createBitReader(bytes, start) {
+  let offset = start;
+  let current = 0;
+  let bitsLeft = 0;
+
+  function readBit() {
+    if (bitsLeft === 0) {
+      current = bytes[offset];
+      if (current === 0xff) {
+        // A marker ends the data - pad with zeros like libjpeg
+        if (bytes[offset + 1] !== 0x00) {
+          current = 0;
+        } else {
+          offset += 2;
+        }
+      } else {
+        offset++;
+      }
+      bitsLeft = 8;
+    }
+    bitsLeft--;
+    return (current >> bitsLeft) & 1;
+  }
+
+  return {
+    receive(size) {
+      let value = 0;
+      for (let i = 0; i < size; i++) value = (value << 1) | readBit();
+      return value;
+    },
+
+    decode(table) {
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (table.maxCode[length] >= code && code >= table.minCode[length] && table.maxCode[length] !== -1) {
+          return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+        }
+      }
+      return null;
+    },
+
+    // Byte-align and step over the RSTn marker
+    restart() {
+      bitsLeft = 0;
+      while (offset < bytes.length && !(bytes[offset] === 0xff && bytes[offset + 1] >= RST0 && bytes[offset + 1] <= RST7)) {
+        offset++;
+      }
+      offset += 2;
+    },
+  };
+}
+
+/**
+ * First marker after entropy-coded data (skips stuffed 0xFF00 and RSTn)
+ */
+function findNextMarker(bytes, offset) {
+  while (offset < bytes.length - 1) {
+    if (bytes[offset] === 0xff) {
+      const next = bytes[offset + 1];
+      if (next !== 0x00 && next !== 0xff && !(next >= RST0 && next <= RST7)) {
+        return offset;
+      }
+    }
+    offset++;
+  }
+  return bytes.length;
+}
+
+/**
+ * Sign-extend a received value (ITU T.81 F.2.2.1, EXTEND)
+ */
+function extend(value, size) {
+  return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+}
+
+function toHexColor(red, green, blue) {
+  return `#${[red, green, blue]
+    .map(value => Math.min(255, Math.max(0, Math.round(value))).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
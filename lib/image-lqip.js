@@ -0,0 +1,127 @@
+/**
+ * Image Placeholders from the Photo (LQIP)
+ *
+ * Images without a BlurHash from the Supabase functions (see
+ * lib/image-placeholder.js) get a low-quality image placeholder instead: a
+ * 16px image rendered by the Next.js image optimizer from the original and
+ * stored in the image cache next to it (key: <storage object key>:lqip,
+ * see lib/image-cache.js), together with its average colour.
+ *
+ * - The image proxy renders it in the background the first time a browser
+ *   loads the image (never for internal fetches - the placeholder's own
+ *   optimizer fetch is one, so it cannot trigger itself)
+ * - Pages look it up while rendering and inline it as a data URL
+ *
+ * Pages and the proxy run as separate functions, so placeholders are only
+ * shared through the 'kv' backend; with 'memory' they stay in one isolate
+ * (local development). Until the proxy has seen an image, pages render without
+ * a placeholder, as before.
+ *
+ * The placeholder keeps the original's format (JPEG for camera photos) rather
+ * than WebP: the Edge Runtime cannot decode images, but the average colour of
+ * a JPEG can be read from its DC coefficients (lib/image-color.js). PNG or
+ * WebP originals get a placeholder without a colour.
+ */
+
+import { decryptImageToken, getImageTokenKeys } from './crypto.js';
+import { getImageCache, getStorageObjectKey, collectStream } from './image-cache.js';
+import { getJpegAverageColor } from './image-color.js';
+import { base64Encode } from './image-placeholder.js';
+import { buildOptimizerRequest, LQIP_WIDTH } from './image-variants.js';
+
+// Source format (see above) - the optimizer answers Accept: image/* with it
+const LQIP_VARIANT = { width: LQIP_WIDTH, quality: 50, format: 'original' };
+
+// A 16px image is a few hundred bytes - anything larger is not a placeholder
+const LQIP_MAX_BYTES = 4096;
+
+// Types inlined into data URLs (style attributes) - anything else is ignored
+const LQIP_CONTENT_TYPES = ['image/webp', 'image/avif', 'image/jpeg', 'image/png'];
+
+// Inlined into style attributes and theme-color
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+/**
+ * Render and store the placeholder for an image unless it is already cached
+ *
+ * Never throws - failures are logged and the image simply has no placeholder.
+ *
+ * @param {{backend: import('./image-cache.js').ImageCacheBackend, ttl: number}} imageCache - From getImageCache
+ * @param {string} cacheKey - Storage object key of the original
+ * @param {{origin: string, token: string, grant: string}} source - Deployment origin, image token
+ *   and its internal fetch grant (the optimizer fetches the original through the proxy)
+ * @returns {Promise<void>}
+ */
+export async function ensureImageLqip(imageCache, cacheKey, { origin, token, grant }) {
+  const lqipKey = getLqipCacheKey(cacheKey);
+
+  try {
+    if (await imageCache.backend.get(lqipKey)) {
+      return;
+    }
+
+    const optimizerRequest = buildOptimizerRequest(origin, token, LQIP_VARIANT, grant);
+    const response = await fetch(optimizerRequest.url, {
+      headers: { 'Accept': optimizerRequest.accept },
+    });
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!response.ok || !LQIP_CONTENT_TYPES.includes(contentType)) {
+      console.error(`[LQIP] Optimizer returned ${response.status} (${contentType || 'no type'})`);
+      await response.body?.cancel();
+      return;
+    }
+
+    const bytes = await collectStream(response.body, LQIP_MAX_BYTES);
+    if (!bytes) {
+      console.error(`[LQIP] Placeholder over ${LQIP_MAX_BYTES} bytes - not stored`);
+      return;
+    }
+
+    const color = contentType === 'image/jpeg' ? getJpegAverageColor(bytes) : null;
+
+    await imageCache.backend.put(lqipKey, { body: bytes, contentType, etag: null, lastModified: null, color }, imageCache.ttl);
+    console.log(`[LQIP] Stored ${bytes.byteLength} byte placeholder, colour ${color || 'none'} (${imageCache.backend.name})`);
+  } catch (error) {
+    console.error('[LQIP] Failed to render placeholder:', error.message);
+  }
+}
+
+/**
+ * Look up the stored placeholder for an image token
+ *
+ * Never throws - no cache, an invalid token or a miss all mean no placeholder.
+ *
+ * @param {unknown} token - Image token from the Supabase function
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{dataUrl: string, color: string|null}|null>} Same shape as buildImagePlaceholder
+ */
+export async function findImageLqip(token, env) {
+  if (typeof token !== 'string' || token === '') {
+    return null;
+  }
+
+  try {
+    const imageCache = getImageCache(env);
+    if (!imageCache) return null;
+
+    // Expired tokens still identify the storage object
+    const { url } = await decryptImageToken(token, getImageTokenKeys(env), { ignoreExpiry: true });
+    const cached = await imageCache.backend.get(getLqipCacheKey(await getStorageObjectKey(url)));
+    if (!cached || !LQIP_CONTENT_TYPES.includes(cached.contentType)) {
+      return null;
+    }
+
+    return {
+      dataUrl: `data:${cached.contentType};base64,${base64Encode(cached.body)}`,
+      color: HEX_COLOR_PATTERN.test(cached.color) ? cached.color : null,
+    };
+  } catch (error) {
+    console.error('[LQIP] Placeholder lookup failed:', error.message);
+    return null;
+  }
+}
+
+function getLqipCacheKey(cacheKey) {
+  return `${cacheKey}:lqip`;
+}
@@ -0,0 +1,388 @@
+/**
+ * Image Metadata Stripping
+ *
+ * Members photograph watches at home - GPS coordinates, device serials and
+ * capture times must not reach the public. The proxy pipes original images
+ * through these strippers before serving them:
+ *
+ * - JPEG (streamed): drops APP1 (EXIF, XMP), APP13 (IPTC / Photoshop), COM and
+ *   non-ICC APP2 segments, plus anything after EOI (appended MPF images / gain
+ *   maps carry their own EXIF). The EXIF orientation is kept as a minimal APP1
+ *   so photos are not displayed rotated. ICC profiles (APP2), JFIF (APP0) and
+ *   Adobe (APP14) segments are kept - they affect how the image renders.
+ * - PNG (streamed): drops eXIf, tEXt, zTXt, iTXt (XMP) and tIME chunks.
+ * - WebP (buffered - the RIFF size must be rewritten): drops EXIF and XMP
+ *   chunks and clears the matching VP8X flags.
+ *
+ * Other formats (GIF, AVIF, HEIC) are passed through unchanged.
+ *
+ * `npm run check:metadata` runs GPS-tagged JPEG, PNG and WebP fixtures through
+ * these strippers (scripts/check-image-metadata.js).
+ */
+
+export const SANITIZED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const EMPTY = new Uint8Array(0);
+
+// JPEG markers
+const JPEG_SOI = 0xd8;
+const JPEG_EOI = 0xd9;
+const JPEG_SOS = 0xda;
+const JPEG_APP1 = 0xe1;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP13 = 0xed;
+const JPEG_COM = 0xfe;
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+const WEBP_VP8X_EXIF_FLAG = 0x08;
+const WEBP_VP8X_XMP_FLAG = 0x04;
+
+/**
+ * Create a stream that strips metadata from an image of the given type
+ *
+ * @param {string|null} contentType - Upstream Content-Type
+ * @returns {TransformStream<Uint8Array, Uint8Array>|null} Stripper, or null if the type is not sanitised
+ */
+export function createMetadataStripper(contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (mimeType === 'image/jpeg') return createJpegStripper();
+  if (mimeType === 'image/png') return createPngStripper();
+  if (mimeType === 'image/webp') return createWebpStripper();
+  return null;
+}
+
+/**
+ * Strip metadata from a complete image (CLI round-trip checks, fixtures)
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - Original image
+ * @param {string|null} contentType - Image Content-Type
+ * @returns {Promise<Uint8Array>} Sanitised bytes (unchanged if the type is not sanitised)
+ */
+export async function stripImageMetadata(bytes, contentType) {
+  const stripper = createMetadataStripper(contentType);
+  const input = new Uint8Array(bytes);
+  if (!stripper) return input;
+
+  const stripped = new Response(new Blob([input]).stream().pipeThrough(stripper));
+  return new Uint8Array(await stripped.arrayBuffer());
+}
+
+/**
+ * JPEG: parse marker segments up to each scan, pass entropy-coded data through
+ */
+function createJpegStripper() {
+  let state = 'start';
+  let pending = EMPTY;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const data = concat(pending, chunk);
+      let offset = 0;
+
+      while (offset < data.length) {
+        if (state === 'start') {
+          if (data.length - offset < 2) break;
+          // Not a JPEG after all - leave it alone
+          state = data[offset] === 0xff && data[offset + 1] === JPEG_SOI ? 'marker' : 'passthrough';
+          if (state === 'marker') {
+            controller.enqueue(data.subarray(offset, offset + 2));
+            offset += 2;
+          }
+          continue;
+        }
+
+        if (state === 'marker') {
+          if (data.length - offset < 2) break;
+
+          // Corrupt stream - stop interpreting, keep the bytes
+          if (data[offset] !== 0xff) {
+            state = 'passthrough';
+            continue;
+          }
+
+          const marker = data[offset + 1];
+
+          // Fill byte before a marker
+          if (marker === 0xff) {
+            offset += 1;
+            continue;
+          }
+
+          // Markers without a length (TEM, RSTn, EOI)
+          if (marker === 0x01 || (marker >= 0xd0 && marker <= JPEG_EOI)) {
+            controller.enqueue(data.subarray(offset, offset + 2));
+            offset += 2;
+            if (marker === JPEG_EOI) state = 'done';
+            continue;
+          }
+
+          // Wait for the whole segment (at most 64 KB)
+          if (data.length - offset < 4) break;
+          const length = (data[offset + 2] << 8) | data[offset + 3];
+          if (data.length - offset < 2 + length) break;
+
+          const segment = data.subarray(offset, offset + 2 + length);
+          offset += 2 + length;
+
+          if (marker === JPEG_APP1) {
+            // Keep only the orientation so the photo still displays upright
+            const orientation = readExifOrientation(segment);
+            if (orientation && orientation !== 1) {
+              controller.enqueue(buildOrientationSegment(orientation));
+            }
+          } else if (!isJpegMetadataSegment(marker, segment)) {
+            controller.enqueue(segment);
+          }
+
+          if (marker === JPEG_SOS) state = 'scan';
+          continue;
+        }
+
+        if (state === 'scan') {
+          // Entropy-coded data ends at the next real marker (FF00 is stuffing, FFD0-D7 are restarts)
+          let end = offset;
+          while (end < data.length) {
+            if (data[end] === 0xff) {
+              if (end + 1 >= data.length) break;
+              const next = data[end + 1];
+              if (next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) {
+                state = 'marker';
+                break;
+              }
+              end += 2;
+            } else {
+              end += 1;
+            }
+          }
+
+          if (end > offset) {
+            controller.enqueue(data.subarray(offset, end));
+          }
+          offset = end;
+
+          // Trailing 0xFF at the chunk boundary - decide once the next byte arrives
+          if (state === 'scan') break;
+          continue;
+        }
+
+        if (state === 'passthrough') {
+          controller.enqueue(data.subarray(offset));
+        }
+
+        // 'done': everything after EOI is dropped
+        offset = data.length;
+      }
+
+      pending = data.slice(offset);
+    },
+
+    flush(controller) {
+      if (pending.length > 0 && state !== 'done') {
+        controller.enqueue(pending);
+      }
+    },
+  });
+}
+
+/**
+ * JPEG segments that only carry metadata
+ */
+function isJpegMetadataSegment(marker, segment) {
+  if (marker === JPEG_APP13 || marker === JPEG_COM) {
+    return true;
+  }
+
+  // APP2 holds ICC profiles (kept) but also FlashPix / MPF data
+  if (marker === JPEG_APP2) {
+    return !startsWithAscii(segment, 4, 'ICC_PROFILE\0');
+  }
+
+  return false;
+}
+
+/**
+ * Read the Orientation tag from an EXIF APP1 segment
+ *
+ * @returns {number|null} Orientation (1-8), or null if absent or not EXIF
+ */
+function readExifOrientation(segment) {
+  // FF E1 [length] "Exif\0\0" [TIFF header]
+  if (!startsWithAscii(segment, 4, 'Exif\0\0')) return null;
+
+  const tiff = 10;
+  if (segment.length < tiff + 8) return null;
+
+  const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+  const littleEndian = segment[tiff] === 0x49; // 'II'
+  const ifdOffset = tiff + view.getUint32(tiff + 4, littleEndian);
+  if (ifdOffset + 2 > segment.length) return null;
+
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > segment.length) return null;
+
+    if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Minimal EXIF APP1 segment carrying only the Orientation tag
+ */
+function buildOrientationSegment(orientation) {
+  return new Uint8Array([
+    0xff, JPEG_APP1, 0x00, 0x22, // marker, length 34
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header, IFD0 at 8
+    0x00, 0x01, // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00, // Orientation, SHORT, 1
+    0x00, 0x00, 0x00, 0x00, // no next IFD
+  ]);
+}
+
+/**
+ * PNG: walk chunk headers, streaming chunk bodies through or skipping them
+ */
+function createPngStripper() {
+  let state = 'signature';
+  let pending = EMPTY;
+  let remaining = 0; // bytes left in the current chunk body + CRC
+  let keep = true;
+  let lastChunk = false;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const data = concat(pending, chunk);
+      let offset = 0;
+
+      while (offset < data.length) {
+        if (state === 'signature') {
+          if (data.length - offset < 8) break;
+          state = PNG_SIGNATURE.every((byte, i) => data[offset + i] === byte) ? 'header' : 'passthrough';
+          if (state === 'header') {
+            controller.enqueue(data.subarray(offset, offset + 8));
+            offset += 8;
+          }
+          continue;
+        }
+
+        if (state === 'header') {
+          if (data.length - offset < 8) break;
+
+          const view = new DataView(data.buffer, data.byteOffset + offset, 8);
+          const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+          keep = !PNG_METADATA_CHUNKS.includes(type);
+          lastChunk = type === 'IEND';
+          remaining = view.getUint32(0) + 4;
+
+          if (keep) controller.enqueue(data.subarray(offset, offset + 8));
+          offset += 8;
+          state = 'body';
+          continue;
+        }
+
+        if (state === 'body') {
+          const length = Math.min(remaining, data.length - offset);
+          if (keep) controller.enqueue(data.subarray(offset, offset + length));
+          offset += length;
+          remaining -= length;
+          if (remaining === 0) state = lastChunk ? 'done' : 'header';
+          continue;
+        }
+
+        if (state === 'passthrough') {
+          controller.enqueue(data.subarray(offset));
+        }
+
+        // 'done': everything after IEND is dropped
+        offset = data.length;
+      }
+
+      pending = data.slice(offset);
+    },
+
+    flush(controller) {
+      if (pending.length > 0 && state === 'passthrough') {
+        controller.enqueue(pending);
+      }
+    },
+  });
+}
+
+/**
+ * WebP: buffer the file, drop metadata chunks and rewrite the RIFF header
+ */
+function createWebpStripper() {
+  const chunks = [];
+
+  return new TransformStream({
+    transform(chunk) {
+      chunks.push(chunk);
+    },
+
+    flush(controller) {
+      controller.enqueue(stripWebpMetadata(concat(...chunks)));
+    },
+  });
+}
+
+function stripWebpMetadata(data) {
+  if (data.length < 12 || !startsWithAscii(data, 0, 'RIFF') || !startsWithAscii(data, 8, 'WEBP')) {
+    return data;
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const kept = [data.slice(0, 12)];
+  let offset = 12;
+
+  while (offset + 8 <= data.length) {
+    const type = String.fromCharCode(...data.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    const end = Math.min(data.length, offset + 8 + size + (size % 2));
+
+    if (!WEBP_METADATA_CHUNKS.includes(type)) {
+      const chunk = data.slice(offset, end);
+      // Extended header advertises which metadata chunks follow
+      if (type === 'VP8X' && chunk.length > 8) {
+        chunk[8] &= ~(WEBP_VP8X_EXIF_FLAG | WEBP_VP8X_XMP_FLAG);
+      }
+      kept.push(chunk);
+    }
+
+    offset = end;
+  }
+
+  const output = concat(...kept);
+  new DataView(output.buffer).setUint32(4, output.length - 8, true);
+  return output;
+}
+
+function startsWithAscii(bytes, offset, text) {
+  if (bytes.length < offset + text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function concat(...arrays) {
+  const total = arrays.reduce((sum, array) => sum + array.length, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const array of arrays) {
+    output.set(array, offset);
+    offset += array.length;
+  }
+  return output;
+}
@@ -0,0 +1,281 @@
+/**
+ * Image Placeholders (BlurHash)
+ *
+ * The Supabase functions return a BlurHash next to each image token
+ * (post.image_blurhash, watch.image_blurhash). The Edge Runtime cannot decode
+ * photos, but a BlurHash is tiny and cheap to render, so the pages inline:
+ * - a small PNG data URL decoded from the hash (blurred and upscaled with CSS)
+ * - the average colour (the hash's DC component), used as background and theme-color
+ *
+ * The PNG is written with stored (uncompressed) deflate blocks - the Edge
+ * Runtime has no CompressionStream and 16px of RGB is under 1 KB anyway.
+ * Images without a hash fall back to the LQIP the image proxy renders
+ * (lib/image-lqip.js), with the average colour of its JPEG.
+ *
+ * Spec: https://github.com/woltapp/blurhash/blob/master/Algorithm.md
+ */
+
+const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Decoded placeholder size - small enough to inline, CSS blur hides the pixels
+const DEFAULT_PLACEHOLDER_SIZE = 16;
+
+// Largest stored deflate block
+const MAX_STORED_BLOCK_BYTES = 65535;
+
+let crcTable;
+
+/**
+ * Check that a string is a well-formed BlurHash
+ *
+ * @param {unknown} hash - Candidate hash
+ * @returns {boolean}
+ */
+export function isValidBlurHash(hash) {
+  if (typeof hash !== 'string' || hash.length < 6) return false;
+  if ([...hash].some(char => !BASE83_CHARS.includes(char))) return false;
+
+  const sizeFlag = decode83(hash[0]);
+  const numX = (sizeFlag % 9) + 1;
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  return hash.length === 4 + 2 * numX * numY;
+}
+
+/**
+ * Average colour of a BlurHash (its DC component)
+ *
+ * @param {string} hash - Valid BlurHash
+ * @returns {string} Hex colour (e.g. '#1a2b3c')
+ */
+export function getBlurHashAverageColor(hash) {
+  const value = decode83(hash.substring(2, 6));
+  return `#${value.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Decode a BlurHash into RGB pixels
+ *
+ * @param {string} hash - Valid BlurHash
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Uint8Array} width * height * 3 bytes, row-major RGB
+ */
+export function decodeBlurHash(hash, width, height) {
+  const sizeFlag = decode83(hash[0]);
+  const numX = (sizeFlag % 9) + 1;
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const maxValue = (decode83(hash[1]) + 1) / 166;
+
+  const colors = [];
+  for (let i = 0; i < numX * numY; i++) {
+    if (i === 0) {
+      const value = decode83(hash.substring(2, 6));
+      colors.push([value >> 16, (value >> 8) & 255, value & 255].map(srgbToLinear));
+    } else {
+      const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+      colors.push([
+        Math.floor(value / (19 * 19)),
+        Math.floor(value / 19) % 19,
+        value % 19,
+      ].map(quantised => signPow((quantised - 9) / 9, 2) * maxValue));
+    }
+  }
+
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      const offset = (y * width + x) * 3;
+      pixels[offset] = linearToSrgb(r);
+      pixels[offset + 1] = linearToSrgb(g);
+      pixels[offset + 2] = linearToSrgb(b);
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Build the inline placeholder for an image
+ *
+ * Never throws - a missing or malformed hash simply means no placeholder.
+ *
+ * @param {unknown} hash - BlurHash from the Supabase function
+ * @param {number} [width] - Placeholder width in pixels (match the image's aspect ratio)
+ * @param {number} [height] - Placeholder height in pixels
+ * @returns {Promise<{dataUrl: string, color: string}|null>}
+ */
+export async function buildImagePlaceholder(hash, width = DEFAULT_PLACEHOLDER_SIZE, height = DEFAULT_PLACEHOLDER_SIZE) {
+  if (!isValidBlurHash(hash)) {
+    return null;
+  }
+
+  try {
+    const png = encodePng(decodeBlurHash(hash, width, height), width, height);
+    return {
+      dataUrl: `data:image/png;base64,${base64Encode(png)}`,
+      color: getBlurHashAverageColor(hash),
+    };
+  } catch (error) {
+    console.error('[PLACEHOLDER] Failed to render BlurHash:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Encode RGB pixels as a PNG (8-bit truecolour, no filtering)
+ */
+function encodePng(pixels, width, height) {
+  // Each scanline is prefixed with filter type 0 (none)
+  const raw = new Uint8Array(height * (width * 3 + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+
+  const compressed = zlibStore(raw);
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8); // bit depth, colour type RGB, compression, filter, interlace
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', new Uint8Array(0)),
+  ];
+
+  const png = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return png;
+}
+
+/**
+ * zlib stream with stored (uncompressed) deflate blocks
+ *
+ * CompressionStream is not available in the Edge Runtime. Placeholders are a
+ * few hundred bytes, so skipping compression costs little:
+ * [CMF/FLG][per block: final flag, LEN, NLEN, bytes][Adler-32]
+ */
+function zlibStore(data) {
+  const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK_BYTES));
+  const out = new Uint8Array(2 + blockCount * 5 + data.length + 4);
+  const view = new DataView(out.buffer);
+
+  out.set([0x78, 0x01]); // deflate, 32K window, no preset dictionary, fastest
+  let offset = 2;
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * MAX_STORED_BLOCK_BYTES;
+    const length = Math.min(MAX_STORED_BLOCK_BYTES, data.length - start);
+    out[offset] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE 00 (stored)
+    view.setUint16(offset + 1, length, true);
+    view.setUint16(offset + 3, ~length & 0xffff, true);
+    out.set(data.subarray(start, start + length), offset + 5);
+    offset += 5 + length;
+  }
+
+  view.setUint32(offset, adler32(data));
+  return out;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * PNG chunk: [length][type][data][CRC32 of type + data]
+ */
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([...type].map(char => char.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function decode83(str) {
+  let value = 0;
+  for (const char of str) {
+    value = value * 83 + BASE83_CHARS.indexOf(char);
+  }
+  return value;
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * Base64-encode bytes (data URLs, KV entries)
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+export function base64Encode(bytes) {
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
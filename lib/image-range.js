@@ -0,0 +1,81 @@
+/**
+ * Byte Ranges for Proxied Images
+ *
+ * Stripped images (see lib/image-metadata.js) no longer match the byte
+ * offsets in storage, so Range is never forwarded upstream. The proxy answers
+ * it itself from the bytes it serves - a cached entry or the freshly
+ * sanitised original (at most IMAGE_PROXY_MAX_BYTES, buffered).
+ *
+ * Only single ranges are served (bytes=0-99, bytes=100-, bytes=-100); a
+ * multi-range request gets the whole image, as HTTP allows. Partial responses
+ * are never stored by shared caches (Cache-Control: no-store) - the 200 for
+ * the same URL is.
+ */
+
+/**
+ * Byte range the client asked for
+ *
+ * If-Range is honoured with a Last-Modified date only: the proxy's ETags are
+ * weak (bytes differ from storage) and If-Range requires a strong match, so
+ * an ETag in If-Range always means "send the whole image".
+ *
+ * @param {Request} request - Incoming proxy request
+ * @param {number} size - Size of the served image in bytes
+ * @param {string|null} lastModified - Last-Modified of the served image
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} Inclusive range,
+ *   'unsatisfiable' for 416, or null to serve the full image
+ */
+export function getRequestedRange(request, size, lastModified) {
+  const range = request.headers.get('range');
+  if (!range || request.method === 'HEAD') return null;
+
+  const ifRange = request.headers.get('if-range');
+  if (ifRange && (!lastModified || ifRange.trim() !== lastModified)) return null;
+
+  const match = range.trim().match(/^bytes=(\d*)-(\d*)$/i);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  // Suffix range - the last N bytes
+  if (match[1] === '') {
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - suffixLength), end: size - 1 };
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+
+  return { start, end };
+}
+
+/**
+ * 206 / 416 response for a range of the served bytes
+ *
+ * @param {Uint8Array} bytes - Full image as served (sanitised)
+ * @param {{start: number, end: number}|'unsatisfiable'} range - From getRequestedRange
+ * @param {Object<string, string>} headers - Headers of the full response (type, validators, CORS)
+ * @returns {Response}
+ */
+export function buildRangeResponse(bytes, range, headers) {
+  const partialHeaders = { ...headers, 'Cache-Control': 'no-store', 'Accept-Ranges': 'bytes' };
+  delete partialHeaders['content-length'];
+
+  if (range === 'unsatisfiable') {
+    return new Response(null, {
+      status: 416,
+      headers: { ...partialHeaders, 'Content-Range': `bytes */${bytes.byteLength}` },
+    });
+  }
+
+  const { start, end } = range;
+  return new Response(bytes.subarray(start, end + 1), {
+    status: 206,
+    headers: {
+      ...partialHeaders,
+      'Content-Range': `bytes ${start}-${end}/${bytes.byteLength}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Stable Image Resolver Utilities
+ *
+ * Image tokens expire after 45 minutes, which breaks og:image links that
+ * crawlers re-scrape days later. The resolver routes give images permanent
+ * URLs instead:
+ *
+ *   /api/img/post/[postId]                  -> get-public-post-web
+ *   /api/img/watch/[opaqueId]/[variant]     -> get-public-watch-image-web
+ *   /api/img/profile/[username]/[watchId]/[variant] -> get-public-profile-web (until image_id ships)
+ *   /api/video/post/[postId]                -> get-public-post-web (video proxy)
+ *
+ * Every request asks the public Supabase function for a fresh token and
+ * serves it through the regular image proxy (/api/img/[token]), so variants,
+ * conditional GET and access checks behave exactly the same - except that
+ * requests without Origin/Referer or Sec-Fetch-Site (crawlers re-scraping
+ * og:image) are allowed for bound tokens, and thumbnails and post videos
+ * (og:video) can be embedded on other sites (stable: true, see lib/image-access.js).
+ * The resolver then replaces the token-lifetime cache headers with its own policy.
+ *
+ * get-public-watch-image-web and the image_id field are new upstream - see
+ * _docs/20261019_PUBLIC_FUNCTION_CONTRACT.md for the contract.
+ */
+
+/**
+ * Stable image path for a watch from get-public-profile-web
+ *
+ * @param {{id?: string, image_id?: string, thumbnail_url?: string, full_image_url?: string}} watch - Watch entry
+ * @param {string} username - Owner of the profile (validated against USERNAME_PATTERN)
+ * @returns {string|null} /api/img/watch/<image_id>/<variant> (thumbnail preferred), else
+ *   /api/img/profile/<username>/<watch id>/<variant>; null if the watch has no image
+ */
+export function getStableWatchImagePath(watch, username) {
+  if (!(watch.thumbnail_url || watch.full_image_url)) {
+    return null;
+  }
+
+  const variant = watch.thumbnail_url ? 'thumbnail' : 'full';
+  if (watch.image_id) {
+    return `/api/img/watch/${encodeURIComponent(watch.image_id)}/${variant}`;
+  }
+  if (watch.id) {
+    return `/api/img/profile/${encodeURIComponent(username)}/${encodeURIComponent(String(watch.id))}/${variant}`;
+  }
+  return null;
+}
+
+/**
+ * Fetch JSON from a public Supabase function
+ *
+ * @param {string} functionPath - Function name and path (e.g. 'get-public-post-web/<id>')
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{status: number, data: Object|null}>} Upstream status and parsed body (null unless 2xx)
+ * @throws {Error} if SUPABASE_URL / SUPABASE_ANON_KEY are missing
+ */
+export async function fetchPublicFunction(functionPath, env) {
+  const supabaseUrl = env.SUPABASE_URL;
+  const supabaseAnonKey = env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseAnonKey) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_ANON_KEY');
+  }
+
+  const response = await fetch(`${supabaseUrl}/functions/v1/${functionPath}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${supabaseAnonKey}`,
+      'apikey': supabaseAnonKey,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  if (!response.ok) {
+    return { status: response.status, data: null };
+  }
+
+  return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Re-issue a proxy response under the resolver's cache policy
+ *
+ * 200 and 304 responses get the resolver's Cache-Control (the proxy's
+ * max-age is tied to the short-lived token, not to the stable URL).
+ * Partial responses (206, 416) are never stored by shared caches - the stable
+ * URL does not vary by Range, so a cached slice would be served as the whole file.
+ * Errors are never cached - the next request fetches a fresh token anyway.
+ *
+ * @param {Response} response - Response from the image proxy
+ * @param {string} cacheControl - Cache-Control for the stable URL
+ * @returns {Response}
+ */
+export function applyResolverCachePolicy(response, cacheControl) {
+  const headers = new Headers(response.headers);
+  const cacheable = response.status === 200 || response.status === 304;
+
+  headers.set('Cache-Control', cacheable ? cacheControl : 'no-store');
+
+  return new Response(response.body, {
+    status: response.status,
+    headers,
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Image Upstream Validation
+ *
+ * Guards the image proxy against becoming an open fetcher if the token
+ * secret ever leaks:
+ * - Decrypted URLs must point at Supabase Storage on SUPABASE_URL's host
+ *   (https only, storage object/render paths only)
+ * - Upstream Content-Type must be a raster image type (no SVG - scriptable),
+ *   or a video type for the video proxy
+ * - Upstream bodies are capped at IMAGE_PROXY_MAX_BYTES (default 10 MB)
+ */
+
+// Storage paths a token may point at (signed and public objects, image transforms)
+const ALLOWED_PATH_PREFIXES = [
+  '/storage/v1/object/sign/',
+  '/storage/v1/object/public/',
+  '/storage/v1/render/image/sign/',
+  '/storage/v1/render/image/public/',
+];
+
+const ALLOWED_CONTENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+  'image/heic',
+  'image/heif',
+];
+
+// Post videos (/api/video/[token]) - the app uploads H.264 MP4
+const ALLOWED_VIDEO_CONTENT_TYPES = [
+  'video/mp4',
+  'video/quicktime',
+  'video/webm',
+];
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Check that a decrypted URL points at our Supabase Storage
+ *
+ * @param {string} url - URL decrypted from the token
+ * @param {string} supabaseUrl - SUPABASE_URL (e.g. https://xyz.supabase.co)
+ * @returns {boolean}
+ */
+export function isAllowedUpstreamUrl(url, supabaseUrl) {
+  let target;
+  let storage;
+  try {
+    target = new URL(url);
+    storage = new URL(supabaseUrl);
+  } catch {
+    return false;
+  }
+
+  if (target.protocol !== 'https:' || target.username || target.password) {
+    return false;
+  }
+
+  // Exact host match (including port) - no subdomains, no lookalikes
+  if (target.host !== storage.host) {
+    return false;
+  }
+
+  // Reject dot segments that could escape the storage prefix once normalised upstream
+  if (/(^|\/)\.\.?(\/|$)|%2e|%2f/i.test(target.pathname)) {
+    return false;
+  }
+
+  return ALLOWED_PATH_PREFIXES.some(prefix => target.pathname.startsWith(prefix));
+}
+
+/**
+ * Check that the upstream Content-Type is a raster image we are willing to serve
+ *
+ * @param {string|null} contentType - Upstream Content-Type header
+ * @returns {boolean}
+ */
+export function isAllowedImageContentType(contentType) {
+  if (!contentType) return false;
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return ALLOWED_CONTENT_TYPES.includes(mimeType);
+}
+
+/**
+ * Check that the upstream Content-Type is a video we are willing to serve
+ *
+ * @param {string|null} contentType - Upstream Content-Type header
+ * @returns {boolean}
+ */
+export function isAllowedVideoContentType(contentType) {
+  if (!contentType) return false;
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return ALLOWED_VIDEO_CONTENT_TYPES.includes(mimeType);
+}
+
+/**
+ * Maximum upstream body size in bytes (IMAGE_PROXY_MAX_BYTES)
+ *
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {number}
+ */
+export function getMaxImageBytes(env) {
+  const configured = parseInt(env.IMAGE_PROXY_MAX_BYTES, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Pass a body stream through, aborting it once more than maxBytes have been read
+ *
+ * Used when upstream does not announce a Content-Length. The status line has
+ * already been sent at that point, so the client sees a truncated response.
+ *
+ * @param {ReadableStream<Uint8Array>} body - Upstream body
+ * @param {number} maxBytes - Byte limit
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function limitStreamSize(body, maxBytes) {
+  let received = 0;
+
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (received > maxBytes) {
+        controller.error(new Error(`Image exceeds ${maxBytes} bytes`));
+        return;
+      }
+      controller.enqueue(chunk);
+    },
+  }));
+}
@@ -0,0 +1,122 @@
+/**
+ * Image Variant Utilities
+ *
+ * Parses the resize/format query parameters accepted by the image proxy
+ * (/api/img/[token]?w=256&q=75&fmt=avif) and negotiates modern formats
+ * from the Accept header.
+ *
+ * The Edge Runtime cannot decode or encode images, so resizing is delegated
+ * to the Next.js image optimizer (/_next/image). The widths and qualities
+ * below are also registered in next.config.js - the optimizer rejects
+ * anything it was not configured for.
+ */
+
+// Allowed output widths (requested widths snap up to the next entry)
+export const IMAGE_WIDTHS = [128, 256, 384, 512, 768, 1024, 1536, 2048];
+
+// Allowed output qualities (requested qualities snap to the nearest entry)
+export const IMAGE_QUALITIES = [50, 75, 90];
+
+export const DEFAULT_IMAGE_QUALITY = 75;
+
+// Placeholder (LQIP) width - requested from the optimizer internally, never via ?w=
+// (see lib/image-lqip.js)
+export const LQIP_WIDTH = 16;
+
+// Output formats that can be requested explicitly via ?fmt=
+// 'original' keeps the upstream format (JPEG/PNG) while still resizing
+const FORMAT_MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  original: null,
+};
+
+/**
+ * Parse variant parameters from the proxy URL
+ *
+ * @param {URLSearchParams} searchParams - Query parameters of the proxy request
+ * @param {string|null} acceptHeader - Accept header sent by the client
+ * @returns {{width: number, quality: number, format: string, negotiated: boolean}|null}
+ *   Variant to render, or null when no variant parameters were given (serve original bytes)
+ * @throws {Error} if a parameter is malformed
+ */
+export function parseImageVariant(searchParams, acceptHeader) {
+  const rawWidth = searchParams.get('w');
+  const rawQuality = searchParams.get('q');
+  const rawFormat = searchParams.get('fmt');
+
+  // No parameters - keep serving the untouched original (OG crawlers, legacy links)
+  if (rawWidth === null && rawQuality === null && rawFormat === null) {
+    return null;
+  }
+
+  let width = IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+  if (rawWidth !== null) {
+    const requested = parseInt(rawWidth, 10);
+    if (!/^\d+$/.test(rawWidth) || requested <= 0) {
+      throw new Error('Invalid width');
+    }
+    width = IMAGE_WIDTHS.find(w => w >= requested) || width;
+  }
+
+  let quality = DEFAULT_IMAGE_QUALITY;
+  if (rawQuality !== null) {
+    const requested = parseInt(rawQuality, 10);
+    if (!/^\d+$/.test(rawQuality) || requested < 1 || requested > 100) {
+      throw new Error('Invalid quality');
+    }
+    quality = IMAGE_QUALITIES.reduce((closest, q) =>
+      Math.abs(q - requested) < Math.abs(closest - requested) ? q : closest
+    );
+  }
+
+  // Explicit format wins; 'auto' (or no fmt) negotiates from Accept
+  if (rawFormat !== null && rawFormat !== 'auto') {
+    if (!(rawFormat in FORMAT_MIME_TYPES)) {
+      throw new Error('Invalid format');
+    }
+    return { width, quality, format: rawFormat, negotiated: false };
+  }
+
+  return { width, quality, format: negotiateImageFormat(acceptHeader), negotiated: true };
+}
+
+/**
+ * Pick the best output format the client advertises (AVIF > WebP > original)
+ *
+ * @param {string|null} acceptHeader - Accept header sent by the client
+ * @returns {'avif'|'webp'|'original'}
+ */
+export function negotiateImageFormat(acceptHeader) {
+  const accept = acceptHeader || '';
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return 'original';
+}
+
+/**
+ * Build the Next.js image optimizer request for a variant
+ *
+ * The optimizer fetches the original through the proxy itself
+ * (/api/img/[token].[grant] without parameters) and re-encodes it in the format
+ * selected by the Accept header we send. Its fetch carries no request headers,
+ * so the grant is what lets it past the origin checks (see lib/image-access.js).
+ *
+ * @param {string} origin - Origin of the current deployment (e.g. https://tickiq.app)
+ * @param {string} token - Encrypted image token
+ * @param {{width: number, quality: number, format: string}} variant - Parsed variant
+ * @param {string} grant - Internal fetch grant for the token (see signInternalFetchGrant in lib/crypto.js)
+ * @returns {{url: string, accept: string}} Optimizer URL and Accept header to send
+ */
+export function buildOptimizerRequest(origin, token, variant, grant) {
+  const params = new URLSearchParams({
+    url: `/api/img/${token}.${grant}`,
+    w: String(variant.width),
+    q: String(variant.quality),
+  });
+
+  return {
+    url: `${origin}/_next/image?${params.toString()}`,
+    accept: FORMAT_MIME_TYPES[variant.format] || 'image/*',
+  };
+}
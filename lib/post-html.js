@@ -0,0 +1,173 @@
+/**
+ * Post Page HTML Helpers
+ *
+ * Shared by the post page (/p/<postId>), the comment thread
+ * (/p/<postId>/comments) and the post embed (/embed/p/<postId>) so all three
+ * escape, format and fail the same way.
+ */
+
+import { renderBrandedErrorPage } from './error-page.js';
+import { POST_ERRORS } from './public-post.js';
+
+/**
+ * Escape HTML to prevent XSS
+ *
+ * @param {string} text - Untrusted text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  const map = {
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&#39;',
+  };
+  return text.replace(/[<>&"']/g, (char) => map[char]);
+}
+
+/**
+ * Format timestamp as relative time (e.g., "2h ago", "3d ago")
+ *
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string}
+ */
+export function formatRelativeTime(isoString) {
+  const date = new Date(isoString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+  const diffWeeks = Math.floor(diffDays / 7);
+
+  if (diffMins < 1) return 'just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  if (diffWeeks < 4) return `${diffWeeks}w ago`;
+  // iOS shows "Xmo ago" for months, but we use absolute date for clarity on web
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Relative timestamp as a <time> element
+ *
+ * The text is the server-side fallback (en-US, as of render time);
+ * public/js/relative-time.js re-renders it in the viewer's locale and
+ * keeps it current on cached pages.
+ *
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} <time> markup, empty for an unparseable timestamp
+ */
+export function renderRelativeTimeHtml(isoString) {
+  const date = new Date(isoString);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  return `<time datetime="${date.toISOString()}" data-format="relative">${formatRelativeTime(isoString)}</time>`;
+}
+
+/**
+ * Format count with K/M suffix for large numbers
+ *
+ * @param {number} count - Non-negative count
+ * @returns {string}
+ */
+export function formatCount(count) {
+  if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'm';
+  if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+  return String(count);
+}
+
+/**
+ * @typedef {Object} PostStatsText
+ * @property {string} like_count_text - Like count as shown (formatCount)
+ * @property {string} comment_count_text - Comment count as shown (formatCount)
+ * @property {string} cta_text - Label of the "open in app" button
+ * @property {string} engagement_text - Line above the buttons
+ */
+
+/**
+ * Counts and engagement wording for the post page
+ * Used for the HTML and by /api/post/[postId]/stats, which the page polls
+ *
+ * @param {import('./public-post.js').PublicPostStats} stats - Live counts
+ * @returns {PostStatsText}
+ */
+export function formatPostStats({ like_count, comment_count }) {
+  const text = {
+    like_count_text: formatCount(like_count),
+    comment_count_text: formatCount(comment_count),
+    cta_text: 'View Full Post',
+    engagement_text: 'Shared from the tickIQ community',
+  };
+
+  if (comment_count > 0) {
+    text.cta_text = comment_count === 1 ? 'See 1 Comment' : `See ${comment_count} Comments`;
+    text.engagement_text = comment_count === 1
+      ? '1 person commented on this post'
+      : `${comment_count} people commented on this post`;
+  }
+
+  return text;
+}
+
+/**
+ * Render one read-only comment (author, relative time, text)
+ * Styled by .post-comment rules in post.html and post-comments.html
+ *
+ * @param {import('./public-comments.js').PublicComment} comment - Sanitised comment
+ * @returns {string} <li> markup
+ */
+export function renderCommentHtml(comment) {
+  const author = comment.author_username
+    ? `<span class="post-comment-author">@${escapeHtml(comment.author_username)}</span>`
+    : '<span class="post-comment-author">tickIQ member</span>';
+  const timeHtml = comment.created_at ? renderRelativeTimeHtml(comment.created_at) : '';
+  const time = timeHtml
+    ? `<span class="post-comment-time">· ${timeHtml}</span>`
+    : '';
+
+  return `<li class="post-comment">
+    <div class="post-comment-header">${author}${time}</div>
+    <p class="post-comment-text">${escapeHtml(comment.text)}</p>
+</li>`;
+}
+
+// Title, message and icon for each POST_ERRORS kind
+const POST_ERROR_PAGES = {
+  'not-found': {
+    title: 'Post Not Found',
+    message: 'This post doesn\'t exist or is no longer available.',
+    icon: 'photo-slash',
+  },
+  gone: {
+    title: 'Post Deleted',
+    message: 'This post was deleted and is no longer available.',
+    icon: 'trash',
+  },
+  unavailable: {
+    title: 'Post Temporarily Unavailable',
+    message: 'We couldn\'t load this post right now. Please try again in a moment.',
+    icon: 'retry',
+  },
+};
+
+/**
+ * Error page for a post that can't be shown
+ * Missing, private and blocked posts all get the same 'not-found' page
+ *
+ * @param {'not-found'|'gone'|'unavailable'} kind - Key of POST_ERRORS (see getPostErrorKind)
+ * @param {Object<string, string>} [extraHeaders] - e.g. Vary when negotiated
+ * @returns {Response}
+ */
+export function renderPostErrorPage(kind, extraHeaders = {}) {
+  const { status, cacheControl, headers } = POST_ERRORS[kind];
+
+  return renderBrandedErrorPage({
+    ...POST_ERROR_PAGES[kind],
+    status,
+    headers: { 'Cache-Control': cacheControl, ...headers, ...extraHeaders },
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * Measurement Posts
+ *
+ * Members can opt in to sharing timing measurements as posts
+ * (kind 'post_measurement', see _docs/20251014_POST_CONTENT_IMPLEMENTATION_PLAN.md).
+ * get-public-post-web then includes the reading:
+ *
+ *   measurement: { rate, amplitude, beat_error, beat_rate, position, measured_at, movement }
+ *
+ * rate in seconds/day, amplitude in degrees, beat_error in milliseconds,
+ * beat_rate in beats/hour, position as a code (e.g. 'dial_up'), movement as
+ * shown to members (e.g. "Rolex 3235"). Any field may be missing.
+ */
+
+const POSITION_LABELS = {
+  dial_up: 'Dial Up',
+  dial_down: 'Dial Down',
+  crown_up: 'Crown Up',
+  crown_down: 'Crown Down',
+  crown_left: 'Crown Left',
+  crown_right: 'Crown Right',
+  wrist: 'On Wrist',
+};
+
+/**
+ * @typedef {Object} PostMeasurement
+ * @property {number|null} rate - Seconds per day (positive = gaining)
+ * @property {number|null} amplitude - Degrees
+ * @property {number|null} beatError - Milliseconds
+ * @property {number|null} beatRate - Beats per hour
+ * @property {string|null} position - Human-readable position (e.g. "Dial Up")
+ * @property {string|null} measuredAt - ISO 8601 timestamp
+ * @property {string|null} movement - Movement or watch name (e.g. "Rolex 3235")
+ */
+
+/**
+ * Measurement shown by a measurement post, or null for photo posts
+ *
+ * @param {Object} data - Raw response from get-public-post-web
+ * @returns {PostMeasurement|null} null unless the post is a measurement post with a rate
+ */
+export function getPostMeasurement(data) {
+  const measurement = data.measurement;
+  if (data.kind !== 'post_measurement' || !measurement || typeof measurement !== 'object') {
+    return null;
+  }
+
+  const rate = finiteOrNull(measurement.rate);
+  if (rate === null) {
+    return null;
+  }
+
+  const position = typeof measurement.position === 'string' && measurement.position !== ''
+    ? POSITION_LABELS[measurement.position] || measurement.position
+    : null;
+
+  return {
+    rate,
+    amplitude: finiteOrNull(measurement.amplitude),
+    beatError: finiteOrNull(measurement.beat_error),
+    beatRate: finiteOrNull(measurement.beat_rate),
+    position,
+    measuredAt: typeof measurement.measured_at === 'string' ? measurement.measured_at : null,
+    movement: typeof measurement.movement === 'string' && measurement.movement !== '' ? measurement.movement : null,
+  };
+}
+
+/**
+ * Format rate with sign and one decimal (e.g. "+2.1", "-0.4", "0.0")
+ *
+ * @param {number} rate - Seconds per day
+ * @returns {string}
+ */
+export function formatRate(rate) {
+  const rounded = Math.round(rate * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded === 0 ? '0.0' : rounded.toFixed(1)}`;
+}
+
+/**
+ * Format amplitude (e.g. "285°")
+ */
+export function formatAmplitude(amplitude) {
+  return `${Math.round(amplitude)}°`;
+}
+
+/**
+ * Format beat error (e.g. "0.3 ms")
+ */
+export function formatBeatError(beatError) {
+  return `${beatError.toFixed(1)} ms`;
+}
+
+/**
+ * Format beat rate (e.g. "28,800 bph")
+ */
+export function formatBeatRate(beatRate) {
+  return `${Math.round(beatRate).toLocaleString('en-US')} bph`;
+}
+
+/**
+ * Headline for titles and previews (e.g. "+2.1 s/d on a Rolex 3235")
+ *
+ * @param {PostMeasurement} measurement - Measurement
+ * @param {string|null} fallbackWatchName - Watch name when the movement is unknown
+ * @returns {string} Plain text (not HTML-escaped)
+ */
+export function buildMeasurementHeadline(measurement, fallbackWatchName) {
+  const rate = `${formatRate(measurement.rate)} s/d`;
+  const watchName = measurement.movement || fallbackWatchName;
+  if (!watchName) {
+    return rate;
+  }
+  const article = /^[aeiou]/i.test(watchName) ? 'an' : 'a';
+  return `${rate} on ${article} ${watchName}`;
+}
+
+/**
+ * Secondary readings for descriptions (e.g. "Amplitude 285° · Beat error 0.3 ms · 28,800 bph · Dial Up")
+ *
+ * @param {PostMeasurement} measurement - Measurement
+ * @returns {string} Plain text, empty if only the rate is known
+ */
+export function buildMeasurementSummary(measurement) {
+  return [
+    measurement.amplitude !== null ? `Amplitude ${formatAmplitude(measurement.amplitude)}` : null,
+    measurement.beatError !== null ? `Beat error ${formatBeatError(measurement.beatError)}` : null,
+    measurement.beatRate !== null ? formatBeatRate(measurement.beatRate) : null,
+    measurement.position,
+  ].filter(Boolean).join(' · ');
+}
+
+function finiteOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
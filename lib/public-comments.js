@@ -0,0 +1,74 @@
+/**
+ * Public Post Comments
+ *
+ * Read-only comments for public posts, shown on the post page (top comments)
+ * and the full thread at /p/<postId>/comments.
+ *
+ * get-public-post-comments-web/<postId>?sort=&limit=&offset= returns
+ * { comments: [{ id, author_username, text, created_at, like_count }], has_more }
+ * and 404 for missing or private posts. Callers still check the post itself
+ * first so comments follow exactly the same visibility rules as the post page.
+ */
+
+import { fetchPublicFunction } from './image-resolver.js';
+
+// Comments under the image on the post page
+export const TOP_COMMENTS_LIMIT = 3;
+
+// Comments per page on /p/<postId>/comments
+export const COMMENTS_PAGE_SIZE = 20;
+
+/**
+ * @typedef {Object} PublicComment
+ * @property {string} id - Comment ID
+ * @property {string|null} author_username - Author's username (without @)
+ * @property {string} text - Comment text as written (plain text, not HTML-escaped)
+ * @property {string|null} created_at - ISO 8601 timestamp
+ * @property {number} like_count - Number of likes
+ */
+
+/**
+ * Fetch a page of comments from the public Supabase function
+ *
+ * @param {string} postId - Post ID (validated UUID)
+ * @param {{sort: 'top'|'oldest', limit: number, offset?: number}} options - Order and page
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{status: number, comments: PublicComment[], hasMore: boolean}>}
+ *   Upstream status, sanitised comments (empty for 404) and whether more pages exist
+ * @throws {Error} on any other upstream error (5xx, 429, ...) - an outage must not
+ *   look like a post without comments
+ */
+export async function fetchPublicComments(postId, { sort, limit, offset = 0 }, env) {
+  const query = new URLSearchParams({ sort, limit: String(limit), offset: String(offset) });
+  const { status, data } = await fetchPublicFunction(`get-public-post-comments-web/${postId}?${query}`, env);
+
+  if (!data && status !== 404) {
+    throw new Error(`Comments unavailable (status: ${status})`);
+  }
+
+  if (!data || !Array.isArray(data.comments)) {
+    return { status, comments: [], hasMore: false };
+  }
+
+  return {
+    status,
+    comments: data.comments.filter(isDisplayableComment).map(toPublicComment),
+    hasMore: data.has_more === true,
+  };
+}
+
+function isDisplayableComment(comment) {
+  return comment && typeof comment.text === 'string' && comment.text.trim() !== '';
+}
+
+function toPublicComment(comment) {
+  return {
+    id: String(comment.id),
+    author_username: typeof comment.author_username === 'string' && comment.author_username !== ''
+      ? comment.author_username
+      : null,
+    text: comment.text,
+    created_at: typeof comment.created_at === 'string' ? comment.created_at : null,
+    like_count: Number.isInteger(comment.like_count) && comment.like_count > 0 ? comment.like_count : 0,
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Public Post Data
+ *
+ * Sanitised post object served as JSON to community tools and bots:
+ *   GET /api/post/<postId>.json
+ *   GET /p/<postId> with Accept: application/json
+ *   GET /api/post/<postId>/stats (like and comment counts only)
+ *
+ * Only whitelisted fields from get-public-post-web are exposed - never image
+ * tokens (they expire) or internal IDs. Images use the stable resolver URL.
+ */
+
+import { fetchPublicFunction } from './image-resolver.js';
+
+// Same caching as the post page: 10min edge cache, 15min stale-while-revalidate
+export const POST_CACHE_CONTROL = 's-maxage=600, stale-while-revalidate=900';
+
+// Counts change faster than the rest of a post: 15s edge cache, 30s stale-while-revalidate
+export const POST_STATS_CACHE_CONTROL = 's-maxage=15, stale-while-revalidate=30';
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Most images shown for one post (carousel, og:image, /api/img/post/<id>/<n>)
+export const MAX_POST_IMAGES = 10;
+
+// Ask clients to retry after an outage (Retry-After, seconds)
+export const POST_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Why a post can't be shown, with the status and caching every post route uses
+ * - not-found: missing, private or blocked - deliberately indistinguishable
+ * - gone: deleted by its author (permanent, cached longer)
+ * - unavailable: upstream outage - retry hint and a short cache so it recovers quickly
+ */
+export const POST_ERRORS = {
+  'not-found': { status: 404, cacheControl: 'no-cache', headers: {} },
+  gone: { status: 410, cacheControl: 'public, s-maxage=3600', headers: {} },
+  unavailable: {
+    status: 503,
+    cacheControl: 'public, s-maxage=10',
+    headers: { 'Retry-After': String(POST_RETRY_AFTER_SECONDS) },
+  },
+};
+
+/**
+ * @typedef {Object} PublicPost
+ * @property {string} id - Post ID (UUID)
+ * @property {string} url - Share page (https://tickiq.app/p/<id>)
+ * @property {string|null} caption - Caption as written (plain text, not HTML-escaped)
+ * @property {string|null} author_username - Author's username (without @)
+ * @property {string|null} watch_display_name - Watch shown in the post (e.g. "Rolex Submariner")
+ * @property {number} like_count - Number of likes
+ * @property {number} comment_count - Number of comments
+ * @property {string|null} created_at - ISO 8601 timestamp
+ * @property {string|null} image_url - Stable image URL (/api/img/post/<id>, never expires;
+ *   accepts ?w=&q=&fmt= like the image proxy), null if the post has no image
+ * @property {string[]} image_urls - Stable URLs of all images in order, cover first
+ *   (/api/img/post/<id>, /api/img/post/<id>/2, ...)
+ * @property {string|null} video_url - Stable video URL (/api/video/post/<id>, range-capable MP4)
+ *   for video posts, null otherwise. image_url is then the poster frame.
+ */
+
+/**
+ * Fetch a post from the public Supabase function
+ *
+ * get-public-post-web answers 404 for missing posts, 410 for deleted posts
+ * and 403 for private or blocked posts (see getPostErrorKind).
+ *
+ * @param {string} postId - Post ID
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{status: number, data: Object|null}>} Upstream status and raw post (null unless 2xx)
+ */
+export async function fetchPublicPost(postId, env) {
+  return fetchPublicFunction(`get-public-post-web/${postId}`, env);
+}
+
+/**
+ * Classify a failed get-public-post-web response
+ *
+ * @param {number} status - Upstream status (non-2xx)
+ * @returns {'not-found'|'gone'|'unavailable'} Key of POST_ERRORS
+ */
+export function getPostErrorKind(status) {
+  if (status === 410) {
+    return 'gone';
+  }
+  // Private and blocked posts look exactly like missing ones
+  if (status === 400 || status === 403 || status === 404) {
+    return 'not-found';
+  }
+  // 5xx, rate limiting, auth misconfiguration - not the visitor's fault
+  return 'unavailable';
+}
+
+/**
+ * Fetch the author's other recent public posts, relative to a post
+ *
+ * get-public-author-posts-web/<postId>?limit= returns
+ * { author_username, profile_public, previous_post_id, next_post_id,
+ *   posts: [{ id, caption, image_token, image_blurhash }] }
+ * where previous/next are the author's neighbouring public posts (older/newer)
+ * and posts are the most recent ones, possibly including postId itself.
+ *
+ * @param {string} postId - Post ID
+ * @param {number} limit - Maximum number of recent posts
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{status: number, data: Object|null}>} Upstream status and raw response (null unless 2xx)
+ */
+export async function fetchAuthorPosts(postId, limit, env) {
+  return fetchPublicFunction(`get-public-author-posts-web/${postId}?limit=${limit}`, env);
+}
+
+/**
+ * Images of a post in display order, cover first
+ *
+ * Multi-image posts list them in `images`; older payloads only have the
+ * single top-level image_token / image_blurhash.
+ *
+ * @param {Object} data - Raw response from get-public-post-web
+ * @returns {Array<{token: string, blurhash: string|null}>} At most MAX_POST_IMAGES entries
+ */
+export function getPostImages(data) {
+  const images = Array.isArray(data.images)
+    ? data.images
+    : [{ image_token: data.image_token, image_blurhash: data.image_blurhash }];
+
+  return images
+    .filter(image => image && typeof image.image_token === 'string' && image.image_token !== '')
+    .slice(0, MAX_POST_IMAGES)
+    .map(image => ({
+      token: image.image_token,
+      blurhash: typeof image.image_blurhash === 'string' ? image.image_blurhash : null,
+    }));
+}
+
+/**
+ * Stable URL of one post image
+ *
+ * @param {string} origin - Origin for absolute URLs ('' for a root-relative path)
+ * @param {string} postId - Post ID
+ * @param {number} position - 1-based position (1 is the cover)
+ * @returns {string}
+ */
+export function getPostImageUrl(origin, postId, position) {
+  const path = `/api/img/post/${encodeURIComponent(postId)}`;
+  return `${origin}${position === 1 ? path : `${path}/${position}`}`;
+}
+
+/**
+ * Video of a video post
+ *
+ * get-public-post-web includes `video: { video_token, width, height, duration_seconds }`
+ * for video posts; the post's image is the poster frame.
+ *
+ * @param {Object} data - Raw response from get-public-post-web
+ * @returns {{token: string, width: number|null, height: number|null, duration: number|null}|null}
+ *   null for photo posts
+ */
+export function getPostVideo(data) {
+  const video = data.video;
+  if (!video || typeof video.video_token !== 'string' || video.video_token === '') {
+    return null;
+  }
+
+  const dimension = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+  return {
+    token: video.video_token,
+    width: dimension(video.width),
+    height: dimension(video.height),
+    duration: typeof video.duration_seconds === 'number' && video.duration_seconds > 0 ? video.duration_seconds : null,
+  };
+}
+
+/**
+ * Stable URL of a post's video
+ *
+ * @param {string} origin - Origin for absolute URLs ('' for a root-relative path)
+ * @param {string} postId - Post ID
+ * @returns {string}
+ */
+export function getPostVideoUrl(origin, postId) {
+  return `${origin}/api/video/post/${encodeURIComponent(postId)}`;
+}
+
+/**
+ * Reduce raw post data to the documented public shape
+ *
+ * @param {Object} data - Raw response from get-public-post-web
+ * @param {string} postId - Post ID
+ * @param {string} origin - Origin for absolute URLs (e.g. https://tickiq.app)
+ * @returns {PublicPost}
+ */
+export function toPublicPost(data, postId, origin) {
+  const imageUrls = getPostImages(data).map((image, index) => getPostImageUrl(origin, postId, index + 1));
+
+  return {
+    id: postId,
+    url: `${origin}/p/${postId}`,
+    caption: stringOrNull(data.caption),
+    author_username: stringOrNull(data.author_username),
+    watch_display_name: stringOrNull(data.watch_display_name),
+    like_count: countOrZero(data.like_count),
+    comment_count: countOrZero(data.comment_count),
+    created_at: stringOrNull(data.created_at),
+    image_url: imageUrls[0] || null,
+    image_urls: imageUrls,
+    video_url: getPostVideo(data) ? getPostVideoUrl(origin, postId) : null,
+  };
+}
+
+/**
+ * @typedef {Object} PublicPostStats
+ * @property {number} like_count - Number of likes
+ * @property {number} comment_count - Number of comments
+ */
+
+/**
+ * Reduce raw post data to its live counts (refreshed by the cached post page)
+ *
+ * @param {Object} data - Raw response from get-public-post-web
+ * @returns {PublicPostStats}
+ */
+export function toPublicPostStats(data) {
+  return {
+    like_count: countOrZero(data.like_count),
+    comment_count: countOrZero(data.comment_count),
+  };
+}
+
+/**
+ * JSON response with CORS and the post page's caching rules
+ *
+ * @param {PublicPost|PublicPostStats|{error: string}} body - Response body
+ * @param {number} status - HTTP status
+ * @param {Object<string, string>} [extraHeaders] - e.g. Vary when negotiated
+ * @returns {Response}
+ */
+export function publicPostJsonResponse(body, status, extraHeaders = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': status === 200 ? POST_CACHE_CONTROL : 'no-cache',
+      ...extraHeaders,
+    },
+  });
+}
+
+/**
+ * JSON error for a post that can't be shown (same status and caching as the HTML page)
+ *
+ * @param {'not-found'|'gone'|'unavailable'} kind - Key of POST_ERRORS
+ * @param {Object<string, string>} [extraHeaders] - e.g. Vary when negotiated
+ * @returns {Response}
+ */
+export function publicPostErrorJsonResponse(kind, extraHeaders = {}) {
+  const messages = { 'not-found': 'Not found', gone: 'Gone', unavailable: 'Temporarily unavailable' };
+  const { status, cacheControl, headers } = POST_ERRORS[kind];
+
+  return publicPostJsonResponse({ error: messages[kind] }, status, {
+    'Cache-Control': cacheControl,
+    ...headers,
+    ...extraHeaders,
+  });
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value !== '' ? value : null;
+}
+
+function countOrZero(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
@@ -0,0 +1,134 @@
+/**
+ * Public Profile Data
+ *
+ * Sanitised collection served as JSON to the <tickiq-collection> widget
+ * (public/js/collection-widget.js) and other tools:
+ *   GET /api/profile/<username>.json
+ *
+ * Only whitelisted fields from get-public-profile-web are exposed - never image
+ * tokens (they expire). Private and non-existent profiles get the same 404,
+ * so the endpoint does not reveal whether a username exists.
+ */
+
+import { fetchPublicFunction, getStableWatchImagePath } from './image-resolver.js';
+
+// Same caching as the profile page: 5min edge cache, 10min stale-while-revalidate
+export const PROFILE_CACHE_CONTROL = 's-maxage=300, stale-while-revalidate=600';
+
+// tickIQ usernames are alphanumeric, dash, underscore
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * @typedef {Object} PublicProfileWatch
+ * @property {number} rank - Position in the collection (1-based, most worn first)
+ * @property {string} name - Make and model (e.g. "Rolex Submariner")
+ * @property {string|null} image_url - Stable thumbnail URL (/api/img/watch/<image_id>/thumbnail
+ *   or /api/img/profile/<username>/<watch id>/thumbnail, accepts ?w=&q=&fmt=), null if the
+ *   watch has no thumbnail. Embeddable on any site (capped at 512px wide)
+ * @property {number|null} rotation_percentage - Share of wrist time (0-100), null unless the
+ *   owner has rotation insights
+ */
+
+/**
+ * @typedef {Object} PublicProfile
+ * @property {string} username - Username (without @)
+ * @property {string} url - Profile page (https://tickiq.app/u/<username>)
+ * @property {number} watch_count - Number of watches in the collection
+ * @property {PublicProfileWatch[]} watches - Watches in rank order
+ */
+
+/**
+ * Fetch a profile from the public Supabase function
+ *
+ * @param {string} username - Username (validated against USERNAME_PATTERN)
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @returns {Promise<{status: number, data: Object|null}>} Upstream status and raw profile (null unless 2xx)
+ */
+export async function fetchPublicProfile(username, env) {
+  return fetchPublicFunction(`get-public-profile-web/${username}`, env);
+}
+
+/**
+ * Reduce raw profile data to the documented public shape
+ *
+ * @param {Object} data - Raw response from get-public-profile-web
+ * @param {string} username - Username
+ * @param {string} origin - Origin for absolute URLs (e.g. https://tickiq.app)
+ * @returns {PublicProfile}
+ */
+export function toPublicProfile(data, username, origin) {
+  const watches = Array.isArray(data.watches) ? data.watches : [];
+  const rotationInsightsAvailable = Boolean(data.stats && data.stats.rotation_insights_available);
+
+  return {
+    username,
+    url: `${origin}/u/${username}`,
+    watch_count: watches.length,
+    watches: watches.map((watch, index) => {
+      // Only thumbnails may be embedded on other sites (see lib/image-access.js)
+      const imagePath = watch.thumbnail_url ? getStableWatchImagePath(watch, username) : null;
+      return {
+        rank: index + 1,
+        name: [watch.make, watch.model].filter(Boolean).join(' ') || 'Watch',
+        image_url: imagePath ? `${origin}${imagePath}` : null,
+        rotation_percentage: rotationInsightsAvailable && typeof watch.percentage_of_rotation === 'number'
+          ? watch.percentage_of_rotation
+          : null,
+      };
+    }),
+  };
+}
+
+/**
+ * @typedef {Object} ProfileWatchSummary
+ * @property {string} path - The watch's section on the profile page (/u/<username>#watch-<id>)
+ * @property {number|null} average_rate_30d - 30-day average rate in seconds per day,
+ *   null without recent measurements
+ * @property {number|null} rotation_percentage - Share of wrist time (0-100), null unless the
+ *   owner has rotation insights
+ */
+
+/**
+ * Find one watch of a public profile (e.g. the watch shown in a post)
+ *
+ * @param {Object} data - Raw response from get-public-profile-web
+ * @param {string} username - Username (validated against USERNAME_PATTERN)
+ * @param {string|number} watchId - Watch ID
+ * @returns {ProfileWatchSummary|null} null if the watch isn't in the public collection
+ */
+export function getProfileWatchSummary(data, username, watchId) {
+  const watches = Array.isArray(data.watches) ? data.watches : [];
+  const watch = watches.find(candidate => candidate && String(candidate.id) === String(watchId));
+  if (!watch) {
+    return null;
+  }
+
+  const rotationInsightsAvailable = Boolean(data.stats && data.stats.rotation_insights_available);
+
+  return {
+    // Same anchor as the profile's watch sections (id="watch-<id>")
+    path: `/u/${username}#watch-${encodeURIComponent(String(watch.id))}`,
+    average_rate_30d: Number.isFinite(watch.average_rate_30d) ? watch.average_rate_30d : null,
+    rotation_percentage: rotationInsightsAvailable && Number.isFinite(watch.percentage_of_rotation)
+      ? watch.percentage_of_rotation
+      : null,
+  };
+}
+
+/**
+ * JSON response with CORS and the profile page's caching rules
+ *
+ * @param {PublicProfile|{error: string}} body - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response}
+ */
+export function publicProfileJsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': status === 200 ? PROFILE_CACHE_CONTROL : 'no-cache',
+    },
+  });
+}
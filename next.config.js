@@ -1,8 +1,24 @@
+import { IMAGE_WIDTHS, IMAGE_QUALITIES, LQIP_WIDTH } from './lib/image-variants.js';
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // Disable React strict mode for now
   reactStrictMode: false,
 
+  // Image optimizer used by /api/img/[token]?w=... for resized variants
+  // and the 16px placeholders (lib/image-lqip.js)
+  // Widths and qualities must match lib/image-variants.js
+  images: {
+    formats: ['image/avif', 'image/webp'],
+    deviceSizes: IMAGE_WIDTHS.filter(w => w >= 768),
+    imageSizes: [LQIP_WIDTH, ...IMAGE_WIDTHS.filter(w => w < 768)],
+    qualities: IMAGE_QUALITIES,
+    // Only the image proxy (original bytes, no query string) may be optimized
+    localPatterns: [
+      { pathname: '/api/img/**', search: '' },
+    ],
+  },
+
   // Rewrites to serve static HTML files and dynamic routes
   async rewrites() {
     return [
@@ -34,6 +50,8 @@ const nextConfig = {
       },
       // Dynamic routes handled by App Router:
       // /p/[postId] -> app/p/[postId]/route.js
+      // /p/[postId]/comments -> app/p/[postId]/comments/route.js
+      // /embed/p/[postId] -> app/embed/p/[postId]/route.js
       // /u/[username] -> app/u/[username]/route.js
       // /u-preview/[username] -> app/u-preview/[username]/route.js
     ];
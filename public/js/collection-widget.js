@@ -0,0 +1,281 @@
+// <tickiq-collection> - embeddable collection grid for personal sites
+//
+//   <script src="https://tickiq.app/js/collection-widget.js" async></script>
+//   <tickiq-collection username="alice" theme="dark" max-items="6"></tickiq-collection>
+//
+// Attributes:
+//   username   - tickIQ username (required)
+//   theme      - "light" (default) or "dark"
+//   max-items  - number of watches to show (default 6, the rest link to the profile)
+//
+// Compact version of the profile's birds-eye grid (rank, thumbnail, name and
+// rotation share when the owner has rotation insights). Data comes from
+// /api/profile/<username>.json; everything renders in Shadow DOM so host CSS
+// cannot leak in.
+(function() {
+    if (!window.customElements || window.customElements.get('tickiq-collection')) return;
+
+    // API and images live on the origin that served this script
+    const ORIGIN = document.currentScript && document.currentScript.src
+        ? new URL(document.currentScript.src).origin
+        : 'https://tickiq.app';
+
+    const DEFAULT_MAX_ITEMS = 6;
+
+    // Grid cells are ~120px wide - 1x and 2x variants
+    const THUMBNAIL_WIDTHS = [128, 256];
+
+    // One request per username, shared by every widget on the page
+    const profileRequests = new Map();
+
+    function fetchProfile(username) {
+        if (!profileRequests.has(username)) {
+            const request = fetch(`${ORIGIN}/api/profile/${encodeURIComponent(username)}.json`)
+                .then(response => (response.ok ? response.json() : null))
+                .catch(() => null);
+            profileRequests.set(username, request);
+        }
+        return profileRequests.get(username);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    const STYLES = `
+        :host {
+            all: initial;
+            display: block;
+            --tickiq-bg: #ffffff;
+            --tickiq-cell-bg: #f5f5f5;
+            --tickiq-text: #000000;
+            --tickiq-muted: rgba(0, 0, 0, 0.5);
+            --tickiq-border: rgba(0, 0, 0, 0.08);
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            -webkit-font-smoothing: antialiased;
+        }
+
+        :host([theme="dark"]) {
+            --tickiq-bg: #000000;
+            --tickiq-cell-bg: #1a1a1a;
+            --tickiq-text: #ffffff;
+            --tickiq-muted: rgba(255, 255, 255, 0.5);
+            --tickiq-border: rgba(255, 255, 255, 0.12);
+        }
+
+        :host([hidden]) {
+            display: none;
+        }
+
+        .collection {
+            background: var(--tickiq-bg);
+            color: var(--tickiq-text);
+            border: 1px solid var(--tickiq-border);
+            border-radius: 20px;
+            padding: 16px;
+        }
+
+        .collection-header {
+            display: flex;
+            align-items: baseline;
+            justify-content: space-between;
+            gap: 12px;
+            margin-bottom: 12px;
+        }
+
+        .collection-title {
+            font-size: 15px;
+            font-weight: 600;
+            color: inherit;
+            text-decoration: none;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .collection-count {
+            font-size: 12px;
+            color: var(--tickiq-muted);
+            white-space: nowrap;
+        }
+
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(96px, 1fr));
+            gap: 10px;
+        }
+
+        .item {
+            position: relative;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .rank {
+            position: absolute;
+            top: 6px;
+            left: 6px;
+            padding: 2px 6px;
+            border-radius: 9999px;
+            background: rgba(0, 0, 0, 0.55);
+            color: #fff;
+            font-size: 10px;
+            font-weight: 600;
+        }
+
+        .thumbnail {
+            aspect-ratio: 1;
+            border-radius: 12px;
+            overflow: hidden;
+            background: var(--tickiq-cell-bg);
+        }
+
+        .thumbnail img {
+            display: block;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+
+        .name {
+            font-size: 12px;
+            font-weight: 500;
+            line-height: 1.3;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+        }
+
+        .rotation {
+            font-size: 11px;
+            color: var(--tickiq-muted);
+        }
+
+        .footer {
+            margin-top: 12px;
+            text-align: right;
+        }
+
+        .footer a {
+            font-size: 12px;
+            font-weight: 600;
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .message {
+            font-size: 13px;
+            color: var(--tickiq-muted);
+            text-align: center;
+            padding: 12px 0;
+        }
+    `;
+
+    class TickIQCollection extends HTMLElement {
+        static get observedAttributes() {
+            return ['username', 'theme', 'max-items'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+        }
+
+        connectedCallback() {
+            this.render();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            // theme is pure CSS (:host([theme])) - no re-render needed
+            if (this.isConnected && name !== 'theme' && oldValue !== newValue) {
+                this.render();
+            }
+        }
+
+        get maxItems() {
+            const value = parseInt(this.getAttribute('max-items'), 10);
+            return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ITEMS;
+        }
+
+        async render() {
+            const username = (this.getAttribute('username') || '').replace(/^@/, '');
+            const renderId = (this.renderId || 0) + 1;
+            this.renderId = renderId;
+
+            if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+                this.renderMessage('Add a username="..." attribute to show a collection.');
+                return;
+            }
+
+            this.renderMessage('Loading collection…');
+
+            const profile = await fetchProfile(username);
+
+            // A newer render (attribute change) superseded this one
+            if (renderId !== this.renderId) return;
+
+            if (!profile) {
+                this.renderMessage('This collection is private or unavailable.');
+                return;
+            }
+
+            this.renderProfile(profile);
+        }
+
+        renderMessage(message) {
+            this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                <div class="collection" part="container">
+                    <div class="message">${escapeHtml(message)}</div>
+                </div>
+            `;
+        }
+
+        renderProfile(profile) {
+            const profileUrl = escapeHtml(profile.url);
+            const watches = profile.watches.slice(0, this.maxItems);
+
+            const items = watches.map(watch => {
+                const imageHtml = watch.image_url
+                    ? `<img src="${escapeHtml(watch.image_url)}?w=${THUMBNAIL_WIDTHS[0]}" srcset="${THUMBNAIL_WIDTHS.map(width => `${escapeHtml(watch.image_url)}?w=${width} ${width}w`).join(', ')}" sizes="120px" alt="${escapeHtml(watch.name)}" loading="lazy">`
+                    : '';
+                const rotationHtml = watch.rotation_percentage !== null
+                    ? `<div class="rotation">${Math.round(watch.rotation_percentage)}% of rotation</div>`
+                    : '';
+
+                return `
+                    <a class="item" href="${profileUrl}" target="_blank" rel="noopener" part="item">
+                        <div class="thumbnail">${imageHtml}</div>
+                        <span class="rank">#${watch.rank}</span>
+                        <div class="name">${escapeHtml(watch.name)}</div>
+                        ${rotationHtml}
+                    </a>
+                `;
+            }).join('');
+
+            const countText = profile.watch_count === 1 ? '1 watch' : `${profile.watch_count} watches`;
+
+            this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                <div class="collection" part="container">
+                    <div class="collection-header">
+                        <a class="collection-title" href="${profileUrl}" target="_blank" rel="noopener">@${escapeHtml(profile.username)}'s collection</a>
+                        <span class="collection-count">${countText}</span>
+                    </div>
+                    ${items ? `<div class="grid">${items}</div>` : '<div class="message">No watches yet.</div>'}
+                    <div class="footer">
+                        <a href="${profileUrl}" target="_blank" rel="noopener">View on tickIQ →</a>
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    window.customElements.define('tickiq-collection', TickIQCollection);
+})();
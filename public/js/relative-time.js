@@ -0,0 +1,79 @@
+// Timestamps in the viewer's locale and timezone for tickIQ pages
+//
+// The server renders <time datetime="<ISO 8601>" data-format="..."> with an
+// en-US fallback (see renderRelativeTimeHtml in lib/post-html.js). Pages are
+// edge-cached for minutes, so this re-renders every such element with Intl
+// and keeps relative times current while the tab is open.
+//
+// data-format:
+//   relative   - "now", "2h ago", "1d ago", then a short date after 4 weeks (posts, comments)
+//   datetime   - date and time (measurement posts)
+//   month-year - "March 2025" (profile join date)
+//
+// Pages that render <time> elements later call window.tickiqTimes.update(root).
+(function() {
+    // How often relative times are refreshed
+    const UPDATE_INTERVAL_MS = 60000;
+
+    // undefined = the viewer's locale (navigator.language)
+    // Numeric ("1d ago", like iOS) - only "now" uses the wording form
+    const relativeFormat = new Intl.RelativeTimeFormat(undefined, { style: 'narrow', numeric: 'always' });
+    const nowFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+    const FORMATS = {
+        relative: (date) => {
+            // Clock skew can put a just-created post in the future
+            const diffMs = Math.max(0, Date.now() - date.getTime());
+            const diffMins = Math.floor(diffMs / 60000);
+            const diffHours = Math.floor(diffMs / 3600000);
+            const diffDays = Math.floor(diffMs / 86400000);
+            const diffWeeks = Math.floor(diffDays / 7);
+
+            // Same thresholds as formatRelativeTime on the server
+            if (diffMins < 1) return nowFormat.format(0, 'second');
+            if (diffMins < 60) return relativeFormat.format(-diffMins, 'minute');
+            if (diffHours < 24) return relativeFormat.format(-diffHours, 'hour');
+            if (diffDays < 7) return relativeFormat.format(-diffDays, 'day');
+            if (diffWeeks < 4) return relativeFormat.format(-diffWeeks, 'week');
+            return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        },
+        datetime: (date) => date.toLocaleString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+        }),
+        'month-year': (date) => date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+    };
+
+    function update(root) {
+        (root || document).querySelectorAll('time[datetime][data-format]').forEach((element) => {
+            const format = FORMATS[element.dataset.format];
+            const date = new Date(element.getAttribute('datetime'));
+            if (!format || isNaN(date.getTime())) return;
+
+            const text = format(date);
+            if (element.textContent !== text) {
+                element.textContent = text;
+            }
+            // Full date and time on hover
+            if (!element.title) {
+                element.title = date.toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short' });
+            }
+        });
+    }
+
+    window.tickiqTimes = { update };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => update());
+    } else {
+        update();
+    }
+
+    setInterval(() => update(), UPDATE_INTERVAL_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') update();
+    });
+})();
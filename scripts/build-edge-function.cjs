@@ -28,6 +28,32 @@ postEdgeFunction = postEdgeFunction.replace(
 fs.writeFileSync(postEdgeFunctionPath, postEdgeFunction);
 console.log('✅ Post edge function built successfully with embedded post.html');
 
+// Build post comment thread route (Next.js App Router)
+const postCommentsHtmlPath = path.join(__dirname, '..', 'post-comments.html');
+const postCommentsHtml = fs.readFileSync(postCommentsHtmlPath, 'utf8');
+
+const postCommentsEdgeFunctionPath = path.join(__dirname, '..', 'app', 'api', 'post-comments', 'route.js');
+const postCommentsTemplatePath = path.join(__dirname, '..', 'templates', 'post-comments.template.js');
+
+// Always read from the template (with placeholder), never from the built file
+let postCommentsEdgeFunction = fs.readFileSync(postCommentsTemplatePath, 'utf8');
+
+// Escape for template literal: escape backslashes, backticks, and $
+const escapedPostCommentsHtml = postCommentsHtml
+  .replace(/\\/g, '\\\\')    // Escape backslashes FIRST
+  .replace(/`/g, '\\`')      // Then escape backticks
+  .replace(/\$/g, '\\$');    // Then escape ALL dollar signs
+
+// Replace the placeholder
+postCommentsEdgeFunction = postCommentsEdgeFunction.replace(
+  'const POST_COMMENTS_HTML_TEMPLATE = `...embedded during build...`;',
+  `const POST_COMMENTS_HTML_TEMPLATE = \`${escapedPostCommentsHtml}\`;`
+);
+
+fs.mkdirSync(path.dirname(postCommentsEdgeFunctionPath), { recursive: true });
+fs.writeFileSync(postCommentsEdgeFunctionPath, postCommentsEdgeFunction);
+console.log('✅ Post comments edge function built successfully with embedded post-comments.html');
+
 // Build profile-v2 route (Next.js App Router)
 const profileV2HtmlPath = path.join(__dirname, '..', 'profile-v2.html');
 const profileV2Html = fs.readFileSync(profileV2HtmlPath, 'utf8');
@@ -76,4 +102,30 @@ profileEdgeFunction = profileEdgeFunction.replace(
 );
 
 fs.writeFileSync(profileEdgeFunctionPath, profileEdgeFunction);
-console.log('✅ Profile edge function built successfully with embedded profile.html');
\ No newline at end of file
+console.log('✅ Profile edge function built successfully with embedded profile.html');
+
+// Build post embed route (Next.js App Router)
+const embedPostHtmlPath = path.join(__dirname, '..', 'embed-post.html');
+const embedPostHtml = fs.readFileSync(embedPostHtmlPath, 'utf8');
+
+const embedPostEdgeFunctionPath = path.join(__dirname, '..', 'app', 'api', 'embed', 'post', 'route.js');
+const embedPostTemplatePath = path.join(__dirname, '..', 'templates', 'embed-post.template.js');
+
+// Always read from the template (with placeholder), never from the built file
+let embedPostEdgeFunction = fs.readFileSync(embedPostTemplatePath, 'utf8');
+
+// Escape for template literal: escape backslashes, backticks, and $
+const escapedEmbedPostHtml = embedPostHtml
+  .replace(/\\/g, '\\\\')    // Escape backslashes FIRST
+  .replace(/`/g, '\\`')      // Then escape backticks
+  .replace(/\$/g, '\\$');    // Then escape ALL dollar signs
+
+// Replace the placeholder
+embedPostEdgeFunction = embedPostEdgeFunction.replace(
+  'const EMBED_POST_HTML_TEMPLATE = `...embedded during build...`;',
+  `const EMBED_POST_HTML_TEMPLATE = \`${escapedEmbedPostHtml}\`;`
+);
+
+fs.mkdirSync(path.dirname(embedPostEdgeFunctionPath), { recursive: true });
+fs.writeFileSync(embedPostEdgeFunctionPath, embedPostEdgeFunction);
+console.log('✅ Post embed edge function built successfully with embedded embed-post.html');
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Image Metadata Check
+ *
+ * Runs the fixture photos in scripts/fixtures/image-metadata through the
+ * proxy's metadata strippers (lib/image-metadata.js) and fails unless every
+ * EXIF, GPS and XMP segment/chunk is gone and the file structure is intact.
+ *
+ * Fixtures: 8x6 photos carrying an EXIF block (camera make/model and a GPS
+ * IFD at 47°22'30"N 8°32'24"E) and an XMP packet with the same coordinates:
+ *   gps.jpg  - APP1 EXIF + APP1 XMP
+ *   gps.png  - eXIf + tEXt (XML:com.adobe.xmp)
+ *   gps.webp - VP8X with EXIF + XMP chunks
+ *
+ * Usage:
+ *   npm run check:metadata
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createMetadataStripper, stripImageMetadata } from '../lib/image-metadata.js';
+
+const FIXTURES_DIR = new URL('./fixtures/image-metadata/', import.meta.url);
+
+const FIXTURES = [
+  { file: 'gps.jpg', contentType: 'image/jpeg', list: listJpegSegments },
+  { file: 'gps.png', contentType: 'image/png', list: listPngChunks },
+  { file: 'gps.webp', contentType: 'image/webp', list: listWebpChunks },
+];
+
+// Segments / chunks that carry location or device data
+const METADATA_PARTS = ['APP1:Exif', 'APP1:XMP', 'APP13', 'COM', 'eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME', 'EXIF', 'XMP '];
+
+// Text that must not survive anywhere in the file
+const LEAK_MARKERS = ['Exif', 'GPS', 'FixtureCam', 'xmpmeta'];
+
+// Small chunks make every segment straddle a chunk boundary
+const STREAM_CHUNK_BYTES = 7;
+
+let failures = 0;
+
+for (const { file, contentType, list } of FIXTURES) {
+  const original = new Uint8Array(await readFile(new URL(file, FIXTURES_DIR)));
+  const before = list(original);
+
+  // Fixture sanity - otherwise a broken fixture would pass trivially
+  check(file, 'fixture carries EXIF/GPS and XMP', before.parts.some(part => METADATA_PARTS.includes(part)) && findLeaks(original).includes('GPS'));
+
+  const stripped = await stripImageMetadata(original, contentType);
+  const after = list(stripped);
+
+  check(file, 'structure intact', after.valid);
+  check(file, 'no metadata segments or chunks', !after.parts.some(part => METADATA_PARTS.includes(part)), after.parts.join(' '));
+  check(file, 'no EXIF/GPS/XMP bytes', findLeaks(stripped).length === 0, findLeaks(stripped).join(', '));
+  const expectedParts = before.parts.filter(part => !METADATA_PARTS.includes(part));
+  check(file, 'every other segment/chunk kept in order', after.parts.join(' ') === expectedParts.join(' '), after.parts.join(' '));
+
+  const streamed = await stripInChunks(original, contentType);
+  check(file, 'same result when streamed in small chunks', equalBytes(streamed, stripped));
+
+  console.log(`   ${file}: ${original.length} -> ${stripped.length} bytes (${before.parts.join(' ')} -> ${after.parts.join(' ')})`);
+}
+
+if (failures > 0) {
+  console.error(`❌ ${failures} check(s) failed`);
+  process.exitCode = 1;
+} else {
+  console.log('✅ Metadata stripped from all fixtures');
+}
+
+function check(file, description, passed, detail = '') {
+  if (passed) return;
+  failures++;
+  console.error(`❌ ${file}: ${description}${detail ? ` (${detail})` : ''}`);
+}
+
+async function stripInChunks(bytes, contentType) {
+  const source = new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < bytes.length; offset += STREAM_CHUNK_BYTES) {
+        controller.enqueue(bytes.slice(offset, offset + STREAM_CHUNK_BYTES));
+      }
+      controller.close();
+    },
+  });
+  const response = new Response(source.pipeThrough(createMetadataStripper(contentType)));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * JPEG marker segments up to the first scan, e.g. ['APP0', 'APP1:Exif', 'DQT', ..., 'SOS']
+ */
+function listJpegSegments(bytes) {
+  const names = { 0xdb: 'DQT', 0xc4: 'DHT', 0xdd: 'DRI', 0xda: 'SOS', 0xed: 'APP13', 0xfe: 'COM' };
+  const parts = [];
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return { valid: false, parts };
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    let name = names[marker] || (marker >= 0xc0 && marker <= 0xcf ? 'SOF' : `APP${marker - 0xe0}`);
+    if (marker === 0xe1) {
+      name = startsWithAscii(bytes, offset + 4, 'Exif\0\0') ? 'APP1:Exif' : 'APP1:XMP';
+    }
+    parts.push(name);
+    if (marker === 0xda) break;
+    offset += 2 + length;
+  }
+
+  const valid = parts.at(-1) === 'SOS' && bytes.at(-2) === 0xff && bytes.at(-1) === 0xd9;
+  return { valid, parts };
+}
+
+/**
+ * PNG chunk types in order, e.g. ['IHDR', 'eXIf', 'IDAT', 'IEND']
+ */
+function listPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [];
+  let offset = 8;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    parts.push(ascii(bytes, offset + 4, 4));
+    offset += 12 + length;
+  }
+
+  return { valid: parts[0] === 'IHDR' && parts.at(-1) === 'IEND' && offset === bytes.length, parts };
+}
+
+/**
+ * WebP chunk types in order, e.g. ['VP8X', 'VP8 ', 'EXIF', 'XMP ']
+ * Also checks the RIFF size and that VP8X no longer advertises EXIF/XMP
+ */
+function listWebpChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [];
+  let offset = 12;
+  let flagsClear = true;
+
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    if (type === 'VP8X') {
+      flagsClear = (bytes[offset + 8] & 0x0c) === 0;
+    }
+    parts.push(type);
+    offset += 8 + size + (size % 2);
+  }
+
+  const riffSizeMatches = view.getUint32(4, true) === bytes.length - 8;
+  const isWebp = ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP';
+  const hasMetadata = parts.includes('EXIF') || parts.includes('XMP ');
+  return { valid: isWebp && riffSizeMatches && offset === bytes.length && (hasMetadata || flagsClear), parts };
+}
+
+function findLeaks(bytes) {
+  const text = Buffer.from(bytes).toString('latin1');
+  return LEAK_MARKERS.filter(marker => text.includes(marker));
+}
+
+function startsWithAscii(bytes, offset, text) {
+  return ascii(bytes, offset, text.length) === text;
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
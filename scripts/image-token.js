@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Image Token CLI
+ *
+ * Mint, inspect and verify image proxy tokens locally.
+ * Reads keys from IMAGE_TOKEN_SECRETS ("2:new,1:old") or IMAGE_TOKEN_SECRET.
+ *
+ * Usage:
+ *   npm run token -- mint <signed-url> [--ttl 2700] [--purpose og] [--origin https://tickiq.app] [--profile will]
+ *   npm run token -- inspect <token>
+ *   npm run token -- check <token> [--base https://tickiq.app]
+ */
+
+import { parseArgs } from 'node:util';
+import { encryptImageToken, decryptImageToken, getImageTokenKeys, signInternalFetchGrant } from '../lib/crypto.js';
+import { stripImageMetadata } from '../lib/image-metadata.js';
+
+// Same lifetime as the signed URLs minted by the Supabase functions (45 minutes)
+const DEFAULT_TTL_SECONDS = 2700;
+
+const USAGE = `Usage:
+  npm run token -- mint <signed-url> [--ttl seconds] [--purpose thumbnail|full|og|video] [--origin url]... [--profile username]
+  npm run token -- inspect <token>
+  npm run token -- check <token> [--base https://tickiq.app]`;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      ttl: { type: 'string' },
+      purpose: { type: 'string' },
+      origin: { type: 'string', multiple: true },
+      profile: { type: 'string' },
+      base: { type: 'string', default: 'http://localhost:3000' },
+    },
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+const { positionals, values } = args;
+const [command, input] = positionals;
+
+try {
+  const keys = getImageTokenKeys(process.env);
+  if (keys.length === 0) {
+    throw new Error('Set IMAGE_TOKEN_SECRETS or IMAGE_TOKEN_SECRET');
+  }
+
+  if (command === 'mint' && input) {
+    await mint(input, keys);
+  } else if (command === 'inspect' && input) {
+    await inspect(input, keys);
+  } else if (command === 'check' && input) {
+    await check(input, keys);
+  } else {
+    console.log(USAGE);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
+
+/**
+ * Mint a token for a storage URL with the current key
+ */
+async function mint(url, keys) {
+  const ttl = values.ttl !== undefined ? Number(values.ttl) : DEFAULT_TTL_SECONDS;
+  if (!Number.isInteger(ttl)) {
+    throw new Error('--ttl must be a whole number of seconds');
+  }
+  const exp = Math.floor(Date.now() / 1000) + ttl;
+
+  const hasClaims = values.purpose || values.origin || values.profile;
+  const claims = hasClaims
+    ? { purpose: values.purpose, origins: values.origin, profile: values.profile }
+    : undefined;
+
+  const token = await encryptImageToken(url, exp, keys[0], claims);
+  console.log(token);
+}
+
+/**
+ * Decrypt a token and print its contents (expired tokens included)
+ */
+async function inspect(token, keys) {
+  const data = await decryptImageToken(token, keys, { ignoreExpiry: true });
+  const secondsLeft = data.exp - Math.floor(Date.now() / 1000);
+
+  console.log(`URL:      ${data.url}`);
+  console.log(`Expires:  ${new Date(data.exp * 1000).toISOString()} (${secondsLeft >= 0 ? `in ${secondsLeft}s` : `expired ${-secondsLeft}s ago`})`);
+  console.log(`Version:  v${data.version}`);
+  console.log(`Key ID:   ${data.keyId}`);
+
+  if (data.claims) {
+    console.log(`Purpose:  ${data.claims.purpose || '(any)'}`);
+    console.log(`Origins:  ${data.claims.origins.length > 0 ? data.claims.origins.join(', ') : '(any)'}`);
+    console.log(`Profile:  ${data.claims.profile || '(any)'}`);
+  }
+}
+
+/**
+ * Fetch a token through the proxy and compare with the upstream image
+ * (sanitised locally when the proxy reports stripped metadata)
+ *
+ * Sent with an internal fetch grant - a CLI request has no Referer, which
+ * bound tokens otherwise require.
+ */
+async function check(token, keys) {
+  const data = await decryptImageToken(token, keys);
+  const grant = await signInternalFetchGrant(token, keys);
+  const proxyUrl = `${values.base.replace(/\/$/, '')}/api/img/${token}.${grant}`;
+
+  console.log(`Proxy:    ${proxyUrl}`);
+
+  const [proxyResponse, upstreamResponse] = await Promise.all([fetch(proxyUrl), fetch(data.url)]);
+
+  console.log(`Status:   ${proxyResponse.status} (upstream ${upstreamResponse.status})`);
+  console.log(`Type:     ${proxyResponse.headers.get('content-type')}`);
+  console.log(`Key:      ${proxyResponse.headers.get('x-image-token-key') || '(not reported)'}`);
+  console.log(`Metadata: ${proxyResponse.headers.get('x-image-sanitized') || '(untouched)'}`);
+
+  if (!proxyResponse.ok || !upstreamResponse.ok) {
+    throw new Error('Round trip failed');
+  }
+
+  let upstreamBytes = await upstreamResponse.arrayBuffer();
+  if (proxyResponse.headers.get('x-image-sanitized')) {
+    upstreamBytes = await stripImageMetadata(upstreamBytes, upstreamResponse.headers.get('content-type'));
+  }
+
+  const [proxyDigest, upstreamDigest] = await Promise.all([
+    sha256(await proxyResponse.arrayBuffer()),
+    sha256(upstreamBytes),
+  ]);
+
+  if (proxyDigest !== upstreamDigest) {
+    throw new Error(`Proxied bytes differ from upstream (${proxyDigest} != ${upstreamDigest})`);
+  }
+
+  console.log(`✅ Round trip OK (sha256 ${proxyDigest})`);
+}
+
+async function sha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Buffer.from(digest).toString('hex');
+}
@@ -0,0 +1,179 @@
+/**
+ * Post Embed - Vercel Edge Function
+ *
+ * Renders /embed/p/[postId]: a compact post card (image, caption, author pill,
+ * watch name, like/comment counts, "Open in tickIQ") for blogs and forums:
+ *
+ *   <iframe src="https://tickiq.app/embed/p/<postId>" width="390" height="600"
+ *           style="border:0" loading="lazy"></iframe>
+ *
+ * Video posts play muted inline. The card doubles as the post's twitter:player.
+ *
+ * Framing: everything else is DENY (vercel.json); embed routes send their own
+ * Content-Security-Policy frame-ancestors instead.
+ *
+ * Auto-resize: the card posts { type: 'tickiq:embed:resize', postId, height }
+ * to the parent window on load and on every size change. Hosts can ask for
+ * a fresh message with { type: 'tickiq:embed:measure' }.
+ *
+ * Caching: same as the post page (10min edge, 15min stale-while-revalidate)
+ */
+
+// Paths are relative to the built route (app/api/embed/post/route.js)
+import { buildImagePlaceholder } from '../../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../../lib/image-lqip.js';
+import { UUID_PATTERN, POST_CACHE_CONTROL, fetchPublicPost, toPublicPost, getPostImages } from '../../../../lib/public-post.js';
+import { escapeHtml, formatCount } from '../../../../lib/post-html.js';
+import { formatCaptionHtml } from '../../../../lib/caption.js';
+
+export const runtime = 'edge';
+
+// Any site may frame the embed (the rest of the site sends X-Frame-Options: DENY)
+const FRAME_POLICY = 'frame-ancestors *';
+
+// Post images are 3:4 portrait
+const PLACEHOLDER_WIDTH = 12;
+const PLACEHOLDER_HEIGHT = 16;
+
+// Card is at most 390px wide - request the 2x variant
+const EMBED_IMAGE_WIDTH = 768;
+
+export async function GET(request) {
+  const url = new URL(request.url);
+  const currentDomain = `${url.protocol}//${url.host}`;
+
+  // Extract post ID from path (expecting /embed/p/postId)
+  const postId = url.pathname.split('/')[3] || '';
+
+  if (!UUID_PATTERN.test(postId)) {
+    return renderUnavailableCard(404);
+  }
+
+  let post;
+  let coverImage = null;
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+    if (!data) {
+      console.log(`[EMBED] Post not found or not accessible: ${postId} (status: ${status})`);
+      return renderUnavailableCard(404);
+    }
+    post = toPublicPost(data, postId, currentDomain);
+    coverImage = getPostImages(data)[0] || null;
+  } catch (error) {
+    console.error('[EMBED] Failed to fetch post data:', error);
+    return renderUnavailableCard(502);
+  }
+
+  let imageSkeletonHtml = '<div class="embed-image-skeleton"></div>';
+  let imageHtml = '';
+  if (post.image_url) {
+    // BlurHash from the function, else the LQIP the image proxy rendered (no colour unless JPEG)
+    const placeholder = coverImage && (await buildImagePlaceholder(coverImage.blurhash, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT) ||
+      await findImageLqip(coverImage.token, process.env));
+    if (placeholder) {
+      const background = placeholder.color ? `background-color: ${placeholder.color}; ` : '';
+      imageSkeletonHtml = `<div class="embed-image-skeleton blur-placeholder" style="${background}background-image: url('${placeholder.dataUrl}');"></div>`;
+    }
+    imageHtml = `<img class="embed-image" src="${post.image_url}?w=${EMBED_IMAGE_WIDTH}" alt="Watch photo shared on tickIQ" onload="this.classList.add('loaded')">`;
+  }
+  if (post.video_url) {
+    const posterAttribute = post.image_url ? ` poster="${post.image_url}?w=${EMBED_IMAGE_WIDTH}"` : '';
+    imageHtml += `<video class="embed-video" src="${post.video_url}"${posterAttribute} autoplay muted loop playsinline preload="metadata" aria-label="Watch video shared on tickIQ" onerror="this.remove()"></video>`;
+  }
+
+  const embedTitle = post.author_username
+    ? `Post by @${escapeHtml(post.author_username)} on tickIQ`
+    : 'Post on tickIQ';
+  // The whole card is a link - keep line breaks, but no links inside it
+  const captionHtml = post.caption ? `<p class="embed-caption">${formatCaptionHtml(post.caption, { links: false })}</p>` : '';
+  const usernamePillHtml = post.author_username
+    ? `<span class="embed-username-pill">@${escapeHtml(post.author_username)}</span>`
+    : '';
+  const watchNameHtml = post.watch_display_name
+    ? `<span class="embed-watch-name">· ${escapeHtml(post.watch_display_name)}</span>`
+    : '';
+
+  // Use the embedded HTML template
+  // Use function replacements to prevent $ in captions being interpreted as backreference
+  const html = EMBED_POST_HTML_TEMPLATE
+    .replace(/\{\{EMBED_TITLE\}\}/g, () => embedTitle)
+    .replace(/\{\{POST_URL\}\}/g, () => post.url)
+    .replace(/\{\{POST_ID\}\}/g, () => postId)
+    .replace(/\{\{EMBED_IMAGE_SKELETON_HTML\}\}/g, () => imageSkeletonHtml)
+    .replace(/\{\{EMBED_IMAGE_HTML\}\}/g, () => imageHtml)
+    .replace(/\{\{EMBED_CAPTION_HTML\}\}/g, () => captionHtml)
+    .replace(/\{\{EMBED_USERNAME_PILL_HTML\}\}/g, () => usernamePillHtml)
+    .replace(/\{\{EMBED_WATCH_NAME_HTML\}\}/g, () => watchNameHtml)
+    .replace(/\{\{EMBED_LIKE_COUNT\}\}/g, () => formatCount(post.like_count))
+    .replace(/\{\{EMBED_COMMENT_COUNT\}\}/g, () => formatCount(post.comment_count));
+
+  return new Response(html, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': POST_CACHE_CONTROL,
+      'Content-Security-Policy': FRAME_POLICY,
+    },
+  });
+}
+
+/**
+ * Minimal card for missing, private or failed posts
+ * Still frameable, so the host page shows a message instead of a browser error
+ */
+function renderUnavailableCard(status) {
+  const message = status === 404
+    ? 'This post doesn\'t exist or is no longer available.'
+    : 'Something went wrong. Please try again later.';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex,nofollow">
+    <title>Post Not Available - tickIQ</title>
+    <style>
+        body {
+            margin: 0;
+            background: transparent;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        }
+
+        .embed-unavailable {
+            max-width: 390px;
+            margin: 0 auto;
+            padding: 24px 16px;
+            border-radius: 24px;
+            border: 1px solid rgba(0, 0, 0, 0.08);
+            background: #f0f0f0;
+            text-align: center;
+            font-size: 0.875rem;
+            color: rgba(0, 0, 0, 0.5);
+        }
+    </style>
+</head>
+<body>
+    <div class="embed-unavailable">${message}</div>
+    <script>
+        // Same auto-resize message as the card, so the host can shrink the iframe
+        if (window.parent !== window) {
+            const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+            window.parent.postMessage({ type: 'tickiq:embed:resize', postId: null, height }, '*');
+        }
+    </script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': status === 404 ? 'public, s-maxage=60' : 'no-store',
+      'Content-Security-Policy': FRAME_POLICY,
+    },
+  });
+}
+
+// This will be replaced during build with the actual embed-post.html content
+const EMBED_POST_HTML_TEMPLATE = `...embedded during build...`;
@@ -0,0 +1,136 @@
+/**
+ * Post Comment Thread - Vercel Edge Function
+ *
+ * Renders /p/[postId]/comments: the full read-only comment thread for a
+ * public post, oldest first, COMMENTS_PAGE_SIZE per page (?page=2, ...).
+ *
+ * Posts that can't be shown get the same 404 / 410 / 503 pages as /p/[postId];
+ * pages past the last one answer 404 as well.
+ *
+ * Caching: same as the post page (10min edge, 15min stale-while-revalidate)
+ */
+
+// Paths are relative to the built route (app/api/post-comments/route.js)
+import {
+  UUID_PATTERN,
+  POST_CACHE_CONTROL,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPost,
+} from '../../../lib/public-post.js';
+import { fetchPublicComments, COMMENTS_PAGE_SIZE } from '../../../lib/public-comments.js';
+import { escapeHtml, renderCommentHtml, renderPostErrorPage } from '../../../lib/post-html.js';
+import { formatCaptionHtml } from '../../../lib/caption.js';
+
+export const runtime = 'edge';
+
+// Thumbnail in the post summary is 60px wide - 2x variant
+const THUMBNAIL_WIDTH = 128;
+
+export async function GET(request) {
+  const url = new URL(request.url);
+  const currentDomain = `${url.protocol}//${url.host}`;
+
+  // Extract post ID from path (expecting /p/postId/comments)
+  const postId = url.pathname.split('/')[2] || '';
+
+  const requestedPage = parseInt(url.searchParams.get('page'), 10);
+  const page = Number.isInteger(requestedPage) && requestedPage > 0 ? requestedPage : 1;
+
+  if (!UUID_PATTERN.test(postId)) {
+    return renderPostErrorPage('not-found');
+  }
+
+  // Same rules as the post page: the thread exists only while the post is public
+  let post;
+  try {
+    const { status, data } = await fetchPublicPost(postId, process.env);
+    if (!data) {
+      const postError = getPostErrorKind(status);
+      console.log(`[POST-COMMENTS] Post not available: ${postId} (status: ${status}, ${postError})`);
+      return renderPostErrorPage(postError);
+    }
+    post = toPublicPost(data, postId, currentDomain);
+  } catch (error) {
+    console.error('[POST-COMMENTS] Failed to fetch post data:', error);
+    return renderPostErrorPage('unavailable');
+  }
+
+  let commentsHtml;
+  let paginationHtml = '';
+  let cacheControl = POST_CACHE_CONTROL;
+  try {
+    const { comments, hasMore } = await fetchPublicComments(postId, {
+      sort: 'oldest',
+      limit: COMMENTS_PAGE_SIZE,
+      offset: (page - 1) * COMMENTS_PAGE_SIZE,
+    }, process.env);
+
+    // Pages past the last one don't exist - crawlers must not index endless empty pages
+    if (comments.length === 0 && page > 1) {
+      console.log(`[POST-COMMENTS] Page ${page} past the last page: ${postId}`);
+      return renderPostErrorPage('not-found');
+    }
+
+    commentsHtml = comments.length > 0
+      ? `<ul class="post-comment-list">${comments.map(renderCommentHtml).join('')}</ul>`
+      : '<p class="thread-empty">No comments yet.</p>';
+
+    if (page > 1 || hasMore) {
+      const previousLink = page > 1
+        ? `<a href="${post.url}/comments${page === 2 ? '' : `?page=${page - 1}`}" rel="prev">← Previous</a>`
+        : '<span></span>';
+      const nextLink = hasMore
+        ? `<a href="${post.url}/comments?page=${page + 1}" rel="next">Next →</a>`
+        : '<span></span>';
+      paginationHtml = `<nav class="thread-pagination" aria-label="Comment pages">${previousLink}<span>Page ${page}</span>${nextLink}</nav>`;
+    }
+  } catch (error) {
+    console.error('[POST-COMMENTS] Failed to fetch comments:', error);
+    commentsHtml = '<p class="thread-empty">Comments couldn\'t be loaded right now. Please try again later.</p>';
+    cacheControl = 'no-cache';
+  }
+
+  const threadTitle = post.comment_count === 1 ? '1 Comment' : `${post.comment_count} Comments`;
+  const pageTitle = post.author_username
+    ? `Comments on @${escapeHtml(post.author_username)}'s post - tickIQ`
+    : 'Comments - tickIQ';
+  const pageDescription = post.caption
+    ? escapeHtml(post.caption)
+    : 'Read the conversation from the tickIQ community';
+
+  const thumbnailHtml = post.image_url
+    ? `<img src="${post.image_url}?w=${THUMBNAIL_WIDTH}" alt="Watch photo shared on tickIQ">`
+    : '';
+  const threadPostHtml = `<a class="thread-post" href="${post.url}">
+    <div class="thread-post-thumbnail">${thumbnailHtml}</div>
+    <div class="thread-post-text">
+        ${post.caption ? `<p class="thread-post-caption">${formatCaptionHtml(post.caption, { links: false })}</p>` : ''}
+        ${post.author_username ? `<p class="thread-post-author">@${escapeHtml(post.author_username)}</p>` : ''}
+    </div>
+</a>`;
+
+  // Use the embedded HTML template
+  // Use function replacements to prevent $ in captions and comments being interpreted as backreference
+  const html = POST_COMMENTS_HTML_TEMPLATE
+    .replace(/\{\{PAGE_TITLE\}\}/g, () => pageTitle)
+    .replace(/\{\{PAGE_DESCRIPTION\}\}/g, () => pageDescription)
+    .replace(/\{\{THREAD_URL\}\}/g, () => `${post.url}/comments${page > 1 ? `?page=${page}` : ''}`)
+    .replace(/\{\{POST_URL\}\}/g, () => post.url)
+    .replace(/\{\{POST_ID\}\}/g, () => postId)
+    .replace(/\{\{THREAD_POST_HTML\}\}/g, () => threadPostHtml)
+    .replace(/\{\{THREAD_TITLE\}\}/g, () => threadTitle)
+    .replace(/\{\{COMMENTS_HTML\}\}/g, () => commentsHtml)
+    .replace(/\{\{PAGINATION_HTML\}\}/g, () => paginationHtml);
+
+  return new Response(html, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': cacheControl,
+    },
+  });
+}
+
+// This will be replaced during build with the actual post-comments.html content
+const POST_COMMENTS_HTML_TEMPLATE = `...embedded during build...`;
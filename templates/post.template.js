@@ -4,53 +4,269 @@
  * Renders post sharing pages with dynamic OG images for social previews.
  * Fetches post data from Supabase to get the actual post image.
  *
- * Caching: 10min edge cache, 15min stale-while-revalidate
+ * Requests with Accept: application/json (and not text/html) receive the
+ * public post object instead (same as /api/post/[postId].json).
+ *
+ * Below the post: top comments, previous/next links and a "More from @author"
+ * rail. Those links carry ?via= so browsing from a shared post shows up in
+ * Vercel Analytics (post_navigation event, sent by the page) and in the App
+ * Store campaign token.
+ *
+ * Video posts play inline (muted, looping) over their poster photo and carry
+ * og:video / twitter:player so previews can play them too.
+ *
+ * The watch name links to that watch on the author's profile (when the
+ * profile is public), with a chip showing its 30-day accuracy and rotation share.
+ *
+ * Measurement posts also get a timegrapher card beside the photo, and their
+ * reading becomes the OG title (e.g. "+2.1 s/d on a Rolex 3235").
+ *
+ * Posts that can't be shown get their own branded page: 404 for malformed IDs
+ * (no upstream request), missing, private and blocked posts alike; 410 for
+ * deleted posts; 503 with Retry-After when Supabase is unreachable.
+ *
+ * Caching: 10min edge cache, 15min stale-while-revalidate (errors: see POST_ERRORS)
  */
 
+// Paths are relative to the built route (app/api/post/route.js)
+import { buildImagePlaceholder, getBlurHashAverageColor, isValidBlurHash } from '../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../lib/image-lqip.js';
+import {
+  UUID_PATTERN,
+  fetchPublicPost,
+  getPostErrorKind,
+  toPublicPost,
+  toPublicPostStats,
+  publicPostJsonResponse,
+  publicPostErrorJsonResponse,
+  fetchAuthorPosts,
+  getPostImages,
+  getPostImageUrl,
+  getPostVideo,
+  getPostVideoUrl,
+} from '../../../lib/public-post.js';
+import { fetchPublicComments, TOP_COMMENTS_LIMIT } from '../../../lib/public-comments.js';
+import {
+  escapeHtml,
+  renderRelativeTimeHtml,
+  formatPostStats,
+  renderCommentHtml,
+  renderPostErrorPage,
+} from '../../../lib/post-html.js';
+import { formatCaptionHtml, truncateText } from '../../../lib/caption.js';
+import {
+  getPostMeasurement,
+  formatRate,
+  formatAmplitude,
+  formatBeatError,
+  formatBeatRate,
+  buildMeasurementHeadline,
+  buildMeasurementSummary,
+} from '../../../lib/post-measurement.js';
+import { USERNAME_PATTERN, fetchPublicProfile, getProfileWatchSummary } from '../../../lib/public-profile.js';
+
 export const runtime = 'edge';
 
+// Post images are 3:4 portrait
+const PLACEHOLDER_WIDTH = 12;
+const PLACEHOLDER_HEIGHT = 16;
+
+// Poster frame for the inline video player (390px wide - 2x variant)
+const VIDEO_POSTER_WIDTH = 768;
+
+// twitter:player frames the post embed (/embed/p/<postId>) at its documented size
+const TWITTER_PLAYER_WIDTH = 390;
+const TWITTER_PLAYER_HEIGHT = 600;
+
+// Browser chrome colour when the image has no placeholder (page background)
+const DEFAULT_THEME_COLOR = '#FFFFFF';
+
+// Posts in the "More from @author" rail
+const AUTHOR_RAIL_LIMIT = 8;
+
+// Rail thumbnails are 120px wide - 2x variant
+const AUTHOR_RAIL_IMAGE_WIDTH = 256;
+
+// Where an internal link was clicked (?via=) - reported to analytics and added to the App Store campaign token
+const NAVIGATION_SOURCES = ['more', 'prev', 'next'];
+
 /**
- * Escape HTML to prevent XSS
+ * Timegrapher-style card for measurement posts (shown beside the photo)
+ * Readings the app didn't record are left out
  */
-function escapeHtml(text) {
-  const map = {
-    '<': '&lt;',
-    '>': '&gt;',
-    '&': '&amp;',
-    '"': '&quot;',
-    "'": '&#39;',
-  };
-  return text.replace(/[<>&"']/g, (char) => map[char]);
+function renderMeasurementCard(measurement, watchName) {
+  const stats = [
+    ['Amplitude', measurement.amplitude !== null ? formatAmplitude(measurement.amplitude) : null],
+    ['Beat error', measurement.beatError !== null ? formatBeatError(measurement.beatError) : null],
+    ['Beat rate', measurement.beatRate !== null ? formatBeatRate(measurement.beatRate) : null],
+    ['Position', measurement.position],
+  ]
+    .filter(([, value]) => value !== null)
+    .map(([label, value]) => `<div><dt>${label}</dt><dd>${escapeHtml(value)}</dd></div>`)
+    .join('');
+
+  // UTC fallback - public/js/relative-time.js shows it in the viewer's timezone
+  const measuredAt = measurement.measuredAt ? new Date(measurement.measuredAt) : null;
+  const timeHtml = measuredAt && !isNaN(measuredAt.getTime())
+    ? `<time datetime="${measuredAt.toISOString()}" data-format="datetime">${measuredAt.toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: 'UTC',
+    })} UTC</time>`
+    : '';
+  const footer = [
+    measurement.movement || watchName ? escapeHtml(measurement.movement || watchName) : '',
+    timeHtml,
+  ].filter(Boolean).join(' · ');
+
+  return `<aside class="measurement-card" aria-label="Timing measurement">
+    <div class="measurement-card-label">Timegrapher reading</div>
+    <div class="measurement-rate">
+        <span class="measurement-rate-value">${formatRate(measurement.rate)}</span>
+        <span class="measurement-rate-unit">s/d</span>
+    </div>
+    ${stats ? `<dl class="measurement-stats">${stats}</dl>` : ''}
+    ${footer ? `<div class="measurement-footer">${footer}</div>` : ''}
+</aside>`;
+}
+
+/**
+ * Top comments under the image, linking to the full thread
+ * Comments are optional - any failure just leaves the section out
+ */
+async function renderTopComments(postId, commentCount) {
+  try {
+    const { status, comments } = await fetchPublicComments(postId, { sort: 'top', limit: TOP_COMMENTS_LIMIT }, process.env);
+    if (comments.length === 0) {
+      console.log(`[POST] No public comments for: ${postId} (status: ${status})`);
+      return '';
+    }
+
+    const linkText = commentCount === 1 ? 'View comment' : `View all ${commentCount} comments`;
+    return `<section class="post-comments" aria-label="Comments">
+    <ul class="post-comment-list">${comments.map(renderCommentHtml).join('')}</ul>
+    <a class="post-comments-link" href="/p/${escapeHtml(postId)}/comments">${linkText}</a>
+</section>`;
+  } catch (error) {
+    console.error('[POST] Failed to fetch comments:', error);
+    return '';
+  }
 }
 
 /**
- * Format timestamp as relative time (e.g., "2h ago", "3d ago")
+ * "More from @author" rail plus previous/next links between the author's posts
+ * Optional like comments - any failure just leaves both out
  */
-function formatRelativeTime(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
-  const diffWeeks = Math.floor(diffDays / 7);
-
-  if (diffMins < 1) return 'just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  if (diffDays < 7) return `${diffDays}d ago`;
-  if (diffWeeks < 4) return `${diffWeeks}w ago`;
-  // iOS shows "Xmo ago" for months, but we use absolute date for clarity on web
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+async function renderMoreFromAuthor(postId) {
+  const empty = { navHtml: '', railHtml: '' };
+
+  try {
+    const { status, data } = await fetchAuthorPosts(postId, AUTHOR_RAIL_LIMIT + 1, process.env);
+    if (!data || !data.author_username) {
+      console.log(`[POST] No author posts for: ${postId} (status: ${status})`);
+      return empty;
+    }
+
+    const safeUsername = escapeHtml(data.author_username);
+    const isPostId = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
+
+    // Previous = older, next = newer (same order as the author's profile in the app)
+    const previousLink = isPostId(data.previous_post_id)
+      ? `<a class="post-nav-link" href="/p/${data.previous_post_id}?via=prev" rel="prev">← Previous post</a>`
+      : '<span></span>';
+    const nextLink = isPostId(data.next_post_id)
+      ? `<a class="post-nav-link" href="/p/${data.next_post_id}?via=next" rel="next">Next post →</a>`
+      : '<span></span>';
+    const navHtml = isPostId(data.previous_post_id) || isPostId(data.next_post_id)
+      ? `<nav class="post-nav" aria-label="More posts by @${safeUsername}">${previousLink}${nextLink}</nav>`
+      : '';
+
+    const posts = (Array.isArray(data.posts) ? data.posts : [])
+      .filter(post => post && isPostId(post.id) && post.id !== postId)
+      .slice(0, AUTHOR_RAIL_LIMIT);
+
+    if (posts.length === 0) {
+      return { navHtml, railHtml: '' };
+    }
+
+    const railItems = posts.map(post => {
+      const background = isValidBlurHash(post.image_blurhash)
+        ? ` style="background-color: ${getBlurHashAverageColor(post.image_blurhash)};"`
+        : '';
+      const imageHtml = post.image_token
+        ? `<img src="/api/img/post/${post.id}?w=${AUTHOR_RAIL_IMAGE_WIDTH}" alt="Watch photo shared by @${safeUsername}" loading="lazy">`
+        : '';
+      const captionHtml = typeof post.caption === 'string' && post.caption !== ''
+        ? `<span class="author-rail-caption">${escapeHtml(post.caption)}</span>`
+        : '';
+      return `<li><a class="author-rail-item" href="/p/${post.id}?via=more"><span class="author-rail-thumbnail"${background}>${imageHtml}</span>${captionHtml}</a></li>`;
+    }).join('');
+
+    // Private profiles have no /u/ page - don't link to it
+    const profileLinkHtml = data.profile_public === true
+      ? `<a class="author-rail-profile" href="/u/${encodeURIComponent(data.author_username)}">View profile</a>`
+      : '';
+
+    const railHtml = `<section class="author-rail" aria-label="More from @${safeUsername}">
+    <div class="author-rail-header">
+        <h2 class="author-rail-title">More from @${safeUsername}</h2>
+        ${profileLinkHtml}
+    </div>
+    <ul class="author-rail-list">${railItems}</ul>
+</section>`;
+
+    return { navHtml, railHtml };
+  } catch (error) {
+    console.error('[POST] Failed to fetch author posts:', error);
+    return empty;
+  }
 }
 
 /**
- * Format count with K/M suffix for large numbers
+ * Watch name linked to its section on the author's profile, plus the stats chip
+ *
+ * get-public-post-web includes watch_id for posts tagged with a watch from the
+ * author's collection. Private profiles (404) and watches missing from the
+ * public collection keep the plain name - any failure does too.
+ * (upstream contract: _docs/20261019_PUBLIC_FUNCTION_CONTRACT.md)
  */
-function formatCount(count) {
-  if (count >= 1000000) return (count / 1000000).toFixed(1).replace(/\.0$/, '') + 'm';
-  if (count >= 1000) return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
-  return String(count);
+async function renderWatchLink(data) {
+  const plain = {
+    watchNameHtml: `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`,
+    watchChipHtml: '',
+  };
+
+  if (data.watch_id === undefined || data.watch_id === null || !USERNAME_PATTERN.test(data.author_username || '')) {
+    return plain;
+  }
+
+  try {
+    const { status, data: profile } = await fetchPublicProfile(data.author_username, process.env);
+    const watch = profile ? getProfileWatchSummary(profile, data.author_username, data.watch_id) : null;
+    if (!watch) {
+      console.log(`[POST] No public collection entry for watch ${data.watch_id} of @${data.author_username} (status: ${status})`);
+      return plain;
+    }
+
+    const safePath = escapeHtml(watch.path);
+    const stats = [
+      watch.average_rate_30d !== null ? `<span class="post-watch-chip-rate">${formatRate(watch.average_rate_30d)} s/d</span> 30-day avg` : '',
+      watch.rotation_percentage !== null ? `${Math.round(watch.rotation_percentage)}% of rotation` : '',
+    ].filter(Boolean);
+
+    return {
+      watchNameHtml: `<a class="post-watch-name post-watch-link" href="${safePath}">· ${escapeHtml(data.watch_display_name)}</a>`,
+      watchChipHtml: stats.length > 0
+        ? `<a class="post-watch-chip" href="${safePath}" title="See this watch in @${escapeHtml(data.author_username)}'s collection">${stats.join(' · ')}</a>`
+        : '',
+    };
+  } catch (error) {
+    console.error('[POST] Failed to fetch author profile:', error);
+    return plain;
+  }
 }
 
 export async function GET(request) {
@@ -73,10 +289,21 @@ export async function GET(request) {
 
   // Landing page content (visible on the web page itself - iOS feed cell style)
   let postImageUrl = `${currentDomain}/assets/images/og-image-post-landscape.png`;
+  let postImageSkeletonHtml = '<div class="post-image-skeleton" id="image-skeleton"></div>';
+  let postExtraSlidesHtml = '';
+  let postCarouselDotsHtml = '';
+  let ogExtraImagesHtml = '';
+  let ogVideoHtml = '';
+  let twitterCard = 'summary_large_image';
+  let twitterPlayerHtml = '';
+  let postVideoHtml = '';
+  let themeColor = DEFAULT_THEME_COLOR;
   let postCaptionHtml = '';
   let postUsernamePillHtml = '';
   let postWatchNameHtml = '';
+  let postWatchChipHtml = '';
   let postTimestampHtml = '';
+  let postMeasurementHtml = '';
   let postLikeCount = '0';
   let postCommentCount = '0';
 
@@ -87,261 +314,216 @@ export async function GET(request) {
 
   // Track if post was found
   let postFound = false;
+  let postData = null;
+
+  // Content negotiation - API clients get JSON, browsers and crawlers get HTML
+  const accept = request.headers.get('accept') || '';
+  const wantsJson = accept.includes('application/json') && !accept.includes('text/html');
+
+  // Malformed IDs (/p/foo) never reach Supabase
+  if (!UUID_PATTERN.test(postId)) {
+    console.log(`[POST] Invalid post ID format: ${postId}`);
+    return wantsJson
+      ? publicPostErrorJsonResponse('not-found', { 'Vary': 'Accept' })
+      : renderPostErrorPage('not-found', { 'Vary': 'Accept' });
+  }
 
-  // Try to fetch post data from Supabase for the real image and caption
-  try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-
-    if (supabaseUrl && supabaseAnonKey && postId !== 'post') {
-      const postApiUrl = `${supabaseUrl}/functions/v1/get-public-post-web/${postId}`;
-
-      console.log(`[POST] Fetching post data for: ${postId}`);
-
-      const response = await fetch(postApiUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${supabaseAnonKey}`,
-          'apikey': supabaseAnonKey,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (response.ok) {
-        postFound = true;
-        const data = await response.json();
-
-        // Use real image if available
-        if (data.image_token) {
-          const imageUrl = `${currentDomain}/api/img/${data.image_token}`;
-          // OPTION 1: Dynamic OG image with overlays (too slow, even with transformed source)
-          // ogImageUrl = `${currentDomain}/api/og/post/${postId}`;
-          // OPTION 2: Use transformed image directly (fast, works well)
-          ogImageUrl = imageUrl;
-          // Landing page uses the same transformed image
-          postImageUrl = imageUrl;
-          console.log(`[POST] Using transformed image for OG and display: ${postId}`);
-        }
-
-        // Build OG title for iMessage visibility (iMessage only shows og:title, not og:description)
-        if (data.caption) {
-          // Format: From the tickIQ community: caption...
-          const prefix = 'From the tickIQ community: ';
-          const maxCaptionLength = 70 - prefix.length;
-          const captionChars = Array.from(data.caption);
-          if (captionChars.length > maxCaptionLength) {
-            ogTitle = prefix + escapeHtml(captionChars.slice(0, maxCaptionLength).join('')) + '...';
-          } else {
-            ogTitle = prefix + escapeHtml(data.caption);
-          }
-          console.log(`[POST] Built title with caption: ${ogTitle}`);
-        } else {
-          // No caption - simple branded message
-          ogTitle = 'From the tickIQ community';
-          console.log(`[POST] No caption found, using default title`);
-        }
-
-        // OG description - don't repeat caption (it's in og:title)
-        // Use Reddit-style "See more from @user" format
-        if (data.author_username) {
-          ogDescription = `See more from @${escapeHtml(data.author_username)} on tickIQ`;
-        } else {
-          ogDescription = 'See this post and more on the tickIQ app';
-        }
-
-        // Landing page content (iOS feed cell style)
-
-        // Caption overlay - no truncation, let CSS line-clamp handle it (like iOS numberOfLines)
-        if (data.caption) {
-          postCaptionHtml = `<p class="post-caption">${escapeHtml(data.caption)}</p>`;
-        }
+  // Why the post can't be shown (see getPostErrorKind), null once it loaded
+  let postError = null;
 
-        // Username pill
-        if (data.author_username) {
-          postUsernamePillHtml = `<div class="post-username-pill"><span class="post-username">@${escapeHtml(data.author_username)}</span></div>`;
+  // Fetch post data from Supabase for the real image and caption
+  try {
+    console.log(`[POST] Fetching post data for: ${postId}`);
+
+    const { status, data } = await fetchPublicPost(postId, process.env);
+
+    if (data) {
+      postFound = true;
+      postData = data;
+
+      // Use real image if available
+      // Stable resolver URL - tokens expire after 45 minutes, but crawlers
+      // re-scrape og:image (and this HTML is cached) long after that
+      const images = getPostImages(data);
+      if (images.length > 0) {
+        const imageUrl = getPostImageUrl(currentDomain, postId, 1);
+        // OPTION 1: Dynamic OG image with overlays (too slow, even with transformed source)
+        // ogImageUrl = `${currentDomain}/api/og/post/${postId}`;
+        // OPTION 2: Use transformed image directly (fast, works well)
+        ogImageUrl = imageUrl;
+        // Landing page uses the same transformed image
+        postImageUrl = imageUrl;
+        console.log(`[POST] Using transformed image for OG and display: ${postId}`);
+
+        // Blur-up placeholder + dominant colour (shown until the image loads)
+        // BlurHash from the function, else the LQIP the image proxy rendered (no colour unless JPEG)
+        const placeholder = await buildImagePlaceholder(images[0].blurhash, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT) ||
+          await findImageLqip(images[0].token, process.env);
+        if (placeholder) {
+          const background = placeholder.color ? `background-color: ${placeholder.color}; ` : '';
+          postImageSkeletonHtml = `<div class="post-image-skeleton blur-placeholder" id="image-skeleton" style="${background}background-image: url('${placeholder.dataUrl}');"></div>`;
+          themeColor = placeholder.color || themeColor;
         }
 
-        // Watch name (with dot separator like iOS)
-        if (data.watch_display_name) {
-          postWatchNameHtml = `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`;
+        // Multi-image posts: carousel slides after the cover, dots, and every image as og:image (in order)
+        if (images.length > 1) {
+          postExtraSlidesHtml = images.slice(1).map((image, index) => {
+            const position = index + 2;
+            const background = isValidBlurHash(image.blurhash)
+              ? ` style="background-color: ${getBlurHashAverageColor(image.blurhash)};"`
+              : '';
+            return `<div class="post-carousel-slide"${background}><img src="${getPostImageUrl(currentDomain, postId, position)}" alt="Watch photo ${position} of ${images.length} shared on tickIQ" class="post-image-preview" loading="lazy" onload="this.classList.add('loaded')"></div>`;
+          }).join('');
+
+          const dots = images.map((image, index) => (
+            `<button type="button" class="post-carousel-dot${index === 0 ? ' active' : ''}" aria-label="Show photo ${index + 1} of ${images.length}" aria-current="${index === 0}"></button>`
+          )).join('');
+          postCarouselDotsHtml = `<div class="post-carousel-dots" id="post-carousel-dots">${dots}</div>`;
+
+          ogExtraImagesHtml = images.slice(1).flatMap((image, index) => [
+            `<meta property="og:image" content="${getPostImageUrl(currentDomain, postId, index + 2)}">`,
+            '<meta property="og:image:width" content="600">',
+            '<meta property="og:image:height" content="800">',
+          ]).join('\n    ');
         }
+      }
 
-        // Timestamp (always with dot separator like iOS)
-        if (data.created_at) {
-          const timestamp = formatRelativeTime(data.created_at);
-          postTimestampHtml = `<span class="post-timestamp">· ${timestamp}</span>`;
-        }
+      // Video posts: muted inline player over the poster photo, og:video for
+      // platforms that play it directly and twitter:player (the embed card) for X
+      const video = getPostVideo(data);
+      if (video) {
+        const videoUrl = getPostVideoUrl(currentDomain, postId);
+        const posterAttribute = images.length > 0 ? ` poster="${postImageUrl}?w=${VIDEO_POSTER_WIDTH}"` : '';
+        postVideoHtml = `<video class="post-video" id="post-video" src="${videoUrl}"${posterAttribute} autoplay muted loop playsinline preload="metadata" aria-label="Watch video shared on tickIQ"></video>`;
+
+        ogVideoHtml = [
+          `<meta property="og:video" content="${videoUrl}">`,
+          `<meta property="og:video:secure_url" content="${videoUrl}">`,
+          '<meta property="og:video:type" content="video/mp4">',
+          ...(video.width && video.height
+            ? [`<meta property="og:video:width" content="${video.width}">`, `<meta property="og:video:height" content="${video.height}">`]
+            : []),
+        ].join('\n    ');
+
+        twitterCard = 'player';
+        twitterPlayerHtml = [
+          `<meta name="twitter:player" content="${currentDomain}/embed/p/${safePostId}">`,
+          `<meta name="twitter:player:width" content="${TWITTER_PLAYER_WIDTH}">`,
+          `<meta name="twitter:player:height" content="${TWITTER_PLAYER_HEIGHT}">`,
+          `<meta name="twitter:player:stream" content="${videoUrl}">`,
+          '<meta name="twitter:player:stream:content_type" content="video/mp4">',
+        ].join('\n    ');
+        console.log(`[POST] Video post: ${postId}`);
+      }
 
-        // Social counts
-        postLikeCount = formatCount(data.like_count || 0);
-        postCommentCount = formatCount(data.comment_count || 0);
-        rawCommentCount = data.comment_count || 0;
-
-        // Dynamic CTA based on engagement
-        if (rawCommentCount > 0) {
-          postCtaText = rawCommentCount === 1 ? 'See 1 Comment' : `See ${rawCommentCount} Comments`;
-          postEngagementText = rawCommentCount === 1
-            ? '1 person commented on this post'
-            : `${rawCommentCount} people commented on this post`;
-        } else {
-          postCtaText = 'View Full Post';
-          postEngagementText = 'Shared from the tickIQ community';
-        }
+      // Build OG title for iMessage visibility (iMessage only shows og:title, not og:description)
+      if (data.caption) {
+        // Format: From the tickIQ community: caption...
+        const prefix = 'From the tickIQ community: ';
+        const maxCaptionLength = 70 - prefix.length;
+        // Truncate before escaping - never cuts an emoji or an entity in half
+        ogTitle = prefix + escapeHtml(truncateText(data.caption, maxCaptionLength));
+        console.log(`[POST] Built title with caption: ${ogTitle}`);
       } else {
-        console.log(`[POST] Post not found or not accessible: ${postId} (status: ${response.status})`);
+        // No caption - simple branded message
+        ogTitle = 'From the tickIQ community';
+        console.log(`[POST] No caption found, using default title`);
       }
-    }
-  } catch (error) {
-    console.error('[POST] Failed to fetch post data:', error);
-    // Fall back to defaults - don't break the page
-  }
 
-  // Return 404 if post was not found
-  if (!postFound) {
-    console.log(`[POST] Returning 404 for post: ${postId}`);
-    return new Response(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="robots" content="noindex,nofollow">
-    <title>Post Not Found - tickIQ</title>
-
-    <!-- Favicons -->
-    <link rel="icon" href="/favicon.ico" sizes="any">
-    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
-    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
-    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
-
-    <!-- Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-
-    <!-- Main site styles -->
-    <link rel="stylesheet" href="/css/styles.css">
-
-    <style>
-        body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            background: #FFFFFF;
-            color: #000000;
-            min-height: 100vh;
-        }
+      // OG description - don't repeat caption (it's in og:title)
+      // Use Reddit-style "See more from @user" format
+      if (data.author_username) {
+        ogDescription = `See more from @${escapeHtml(data.author_username)} on tickIQ`;
+      } else {
+        ogDescription = 'See this post and more on the tickIQ app';
+      }
 
-        .error-container {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            min-height: 100vh;
-            padding: 12rem 2rem 10rem 2rem;
-            text-align: center;
-        }
+      // Measurement posts lead with the reading instead (e.g. "+2.1 s/d on a Rolex 3235")
+      const measurement = getPostMeasurement(data);
+      if (measurement) {
+        ogTitle = escapeHtml(buildMeasurementHeadline(measurement, data.watch_display_name || null));
+        const summary = buildMeasurementSummary(measurement);
+        const byline = data.author_username
+          ? `Measured by @${data.author_username} with tickIQ`
+          : 'Measured with tickIQ';
+        ogDescription = escapeHtml(summary ? `${summary} · ${byline}` : byline);
+        postMeasurementHtml = renderMeasurementCard(measurement, data.watch_display_name || null);
+        console.log(`[POST] Measurement post: ${ogTitle}`);
+      }
 
-        .error-content {
-            animation: fadeIn 0.6s ease;
-        }
+      // Landing page content (iOS feed cell style)
 
-        @keyframes fadeIn {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
-        }
+      // Caption overlay - no truncation, let CSS line-clamp handle it (like iOS numberOfLines)
+      // Line breaks, @mentions, #hashtags and URLs are linked (see lib/caption.js)
+      if (data.caption) {
+        postCaptionHtml = `<p class="post-caption">${formatCaptionHtml(data.caption)}</p>`;
+      }
 
-        /* Icon */
-        .error-icon {
-            width: 64px;
-            height: 64px;
-            margin: 0 auto 24px;
-            opacity: 0.25;
-            display: block;
-        }
+      // Username pill
+      if (data.author_username) {
+        postUsernamePillHtml = `<div class="post-username-pill"><span class="post-username">@${escapeHtml(data.author_username)}</span></div>`;
+      }
 
-        /* Inner content wrapper */
-        .error-text {
-            display: flex;
-            flex-direction: column;
-            gap: 12px;
-        }
+      // Watch name (with dot separator like iOS) - linked to the author's collection below
+      if (data.watch_display_name) {
+        postWatchNameHtml = `<span class="post-watch-name">· ${escapeHtml(data.watch_display_name)}</span>`;
+      }
 
-        /* Title */
-        .error-title {
-            font-size: 1.375rem;
-            font-weight: 600;
-            color: #000000;
-            margin: 0;
-        }
+      // Timestamp (always with dot separator like iOS)
+      const timestampHtml = data.created_at ? renderRelativeTimeHtml(data.created_at) : '';
+      if (timestampHtml) {
+        postTimestampHtml = `<span class="post-timestamp">· ${timestampHtml}</span>`;
+      }
 
-        /* Message */
-        .error-message {
-            font-size: 1.0625rem;
-            color: #666666;
-            line-height: 1.5;
-            padding: 0 40px;
-            margin: 0;
-        }
+      // Social counts and dynamic CTA based on engagement (same wording as the stats endpoint)
+      const stats = toPublicPostStats(data);
+      const statsText = formatPostStats(stats);
+      postLikeCount = statsText.like_count_text;
+      postCommentCount = statsText.comment_count_text;
+      postCtaText = statsText.cta_text;
+      postEngagementText = statsText.engagement_text;
+      rawCommentCount = stats.comment_count;
+    } else {
+      postError = getPostErrorKind(status);
+      console.log(`[POST] Post not available: ${postId} (status: ${status}, ${postError})`);
+    }
+  } catch (error) {
+    console.error('[POST] Failed to fetch post data:', error);
+    // Network failure or missing configuration - ask the visitor to retry.
+    // Once the post loaded, fall back to defaults instead - don't break the page
+    if (!postFound) {
+      postError = 'unavailable';
+    }
+  }
 
-        @media (max-width: 768px) {
-            .error-container {
-                padding: 10rem 1.5rem 8rem 1.5rem;
-                min-height: 100vh;
-            }
+  if (wantsJson) {
+    return postFound
+      ? publicPostJsonResponse(toPublicPost(postData, postId, currentDomain), 200, { 'Vary': 'Accept' })
+      : publicPostErrorJsonResponse(postError, { 'Vary': 'Accept' });
+  }
 
-            .error-message {
-                padding: 0 20px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <!-- Header will be injected by components.js -->
-    <header></header>
-
-    <div class="error-container">
-        <div class="error-content">
-            <!-- Photo slash icon -->
-            <svg class="error-icon" width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">
-                <!-- Circle background -->
-                <circle cx="32" cy="32" r="28" fill="#000000"/>
-                <!-- Photo/image icon -->
-                <rect x="20" y="24" width="24" height="18" rx="2" stroke="#FFFFFF" stroke-width="2" fill="none"/>
-                <!-- Mountain peaks (photo symbol) -->
-                <path d="M20 38L26 32L30 36L38 28L44 34V40C44 41.1 43.1 42 42 42H22C20.9 42 20 41.1 20 40V38Z" fill="#FFFFFF"/>
-                <!-- Sun/circle in photo -->
-                <circle cx="38" cy="29" r="2.5" fill="#FFFFFF"/>
-                <!-- Slash line -->
-                <line x1="18" y1="46" x2="46" y2="18" stroke="#FFFFFF" stroke-width="2.5" stroke-linecap="round"/>
-            </svg>
-
-            <div class="error-text">
-                <h1 class="error-title">Post Not Found</h1>
-                <p class="error-message">This post doesn't exist or is no longer available.</p>
-            </div>
-        </div>
-    </div>
+  // Branded 404 / 410 / 503 page if the post can't be shown
+  if (!postFound) {
+    console.log(`[POST] Returning ${postError} page for post: ${postId}`);
+    return renderPostErrorPage(postError, { 'Vary': 'Accept' });
+  }
 
-    <!-- Footer will be injected by components.js -->
-    <footer></footer>
-
-    <!-- Load shared components -->
-    <script src="/js/components.js"></script>
-</body>
-</html>
-    `, {
-      status: 404,
-      headers: {
-        'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'no-cache',
-      },
-    });
+  // Comments, the author's other posts and the watch's collection entry are only fetched for the HTML page
+  const [postCommentsHtml, { navHtml: postNavHtml, railHtml: authorRailHtml }, watchLink] = await Promise.all([
+    rawCommentCount > 0 ? renderTopComments(postId, rawCommentCount) : '',
+    renderMoreFromAuthor(postId),
+    postData.watch_display_name ? renderWatchLink(postData) : null,
+  ]);
+  if (watchLink) {
+    postWatchNameHtml = watchLink.watchNameHtml;
+    postWatchChipHtml = watchLink.watchChipHtml;
   }
 
+  // Visitors who kept browsing from another post page
+  // Counted in the browser (the page is edge-cached, the server only sees cache misses)
+  const via = url.searchParams.get('via');
+  const navigationSource = NAVIGATION_SOURCES.includes(via) ? via : null;
+
   // Use the embedded HTML template
   let html = POST_HTML_TEMPLATE;
 
@@ -355,12 +537,26 @@ export async function GET(request) {
     // Update OG image URLs (both og:image and twitter:image)
     // Use function replacement to prevent $ being interpreted as backreference
     .replace(/\{\{OG_IMAGE_URL\}\}/g, () => ogImageUrl)
+    .replace(/\{\{OG_EXTRA_IMAGES_HTML\}\}/g, () => ogExtraImagesHtml)
+    // Video posts (og:video, twitter:player)
+    .replace('<meta property="og:type" content="website">', () =>
+      `<meta property="og:type" content="${postVideoHtml ? 'video.other' : 'website'}">`
+    )
+    .replace(/\{\{OG_VIDEO_HTML\}\}/g, () => ogVideoHtml)
+    .replace(/\{\{TWITTER_CARD\}\}/g, () => twitterCard)
+    .replace(/\{\{TWITTER_PLAYER_HTML\}\}/g, () => twitterPlayerHtml)
     // Update OG title (title, og:title, twitter:title)
     // Use function replacement for consistency
     .replace(/\{\{OG_TITLE\}\}/g, () => ogTitle)
     // Update OG description (both og:description and twitter:description)
     // Use function replacement to prevent $ in captions being interpreted as backreference
     .replace(/\{\{OG_DESCRIPTION\}\}/g, () => ogDescription)
+    // Browser chrome tinted with the image's dominant colour
+    .replace(/\{\{THEME_COLOR\}\}/g, () => themeColor)
+    // oEmbed discovery link (& escaped for the href attribute)
+    .replace(/\{\{OEMBED_URL\}\}/g, () =>
+      `${currentDomain}/api/oembed?url=${encodeURIComponent(`${currentDomain}/p/${postId}`)}&amp;format=json`
+    )
     // Update iOS app link
     .replace(
       '<meta property="al:ios:url" content="tickiq://post/">',
@@ -368,12 +564,29 @@ export async function GET(request) {
     )
     // Landing page content (iOS feed cell style)
     .replace(/\{\{POST_IMAGE_URL\}\}/g, () => postImageUrl)
+    .replace(/\{\{POST_IMAGE_SKELETON_HTML\}\}/g, () => postImageSkeletonHtml)
+    .replace(/\{\{POST_VIDEO_HTML\}\}/g, () => postVideoHtml)
+    .replace(/\{\{POST_EXTRA_SLIDES_HTML\}\}/g, () => postExtraSlidesHtml)
+    .replace(/\{\{POST_CAROUSEL_DOTS_HTML\}\}/g, () => postCarouselDotsHtml)
     .replace(/\{\{POST_CAPTION_HTML\}\}/g, () => postCaptionHtml)
     .replace(/\{\{POST_USERNAME_PILL_HTML\}\}/g, () => postUsernamePillHtml)
     .replace(/\{\{POST_WATCH_NAME_HTML\}\}/g, () => postWatchNameHtml)
+    .replace(/\{\{POST_WATCH_CHIP_HTML\}\}/g, () => postWatchChipHtml)
     .replace(/\{\{POST_TIMESTAMP_HTML\}\}/g, () => postTimestampHtml)
     .replace(/\{\{POST_LIKE_COUNT\}\}/g, () => postLikeCount)
     .replace(/\{\{POST_COMMENT_COUNT\}\}/g, () => postCommentCount)
+    .replace(/\{\{POST_MEASUREMENT_HTML\}\}/g, () => postMeasurementHtml)
+    .replace(/\{\{POST_COMMENTS_HTML\}\}/g, () => postCommentsHtml)
+    .replace(/\{\{POST_NAV_HTML\}\}/g, () => postNavHtml)
+    .replace(/\{\{AUTHOR_RAIL_HTML\}\}/g, () => authorRailHtml)
+    // App Store installs from browsed posts are attributed separately (web-post-more, ...)
+    // data-navigation-source is reported as a post_navigation analytics event
+    .replace(
+      '<body data-campaign-token="web-post">',
+      navigationSource
+        ? `<body data-campaign-token="web-post-${navigationSource}" data-navigation-source="${navigationSource}">`
+        : '<body data-campaign-token="web-post">'
+    )
     .replace(/\{\{POST_CTA_TEXT\}\}/g, () => postCtaText)
     .replace(/\{\{POST_ENGAGEMENT_TEXT\}\}/g, () => postEngagementText);
 
@@ -384,6 +597,8 @@ export async function GET(request) {
       'Content-Type': 'text/html; charset=utf-8',
       // Cache at edge for 10 minutes, serve stale for up to 15 minutes while revalidating
       'Cache-Control': 's-maxage=600, stale-while-revalidate=900',
+      // HTML and JSON share this URL
+      'Vary': 'Accept',
     },
   });
 }
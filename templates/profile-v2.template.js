@@ -8,6 +8,12 @@
  * Caching: 5min edge cache, 10min stale-while-revalidate
  */
 
+// Paths are relative to the built route (app/api/profile-v2/route.js)
+import { buildImagePlaceholder } from '../../../lib/image-placeholder.js';
+import { findImageLqip } from '../../../lib/image-lqip.js';
+import { getStableWatchImagePath } from '../../../lib/image-resolver.js';
+import { renderBrandedErrorPage } from '../../../lib/error-page.js';
+
 export const runtime = 'edge';
 
 export async function GET(request) {
@@ -70,7 +76,7 @@ export async function GET(request) {
     console.log(`[PROFILE-V2] Successfully fetched @${username}: ${data.stats.watch_count} watches`);
 
     // Render HTML with data
-    const html = renderProfileHTML(data, username, url.host);
+    const html = await renderProfileHTML(data, username, url.host);
 
     return new Response(html, {
       status: 200,
@@ -90,7 +96,7 @@ export async function GET(request) {
 /**
  * Render profile HTML with data injected
  */
-function renderProfileHTML(data, username, domain) {
+async function renderProfileHTML(data, username, domain) {
   // Use the embedded HTML template (will be injected during build)
   let html = PROFILE_V2_HTML_TEMPLATE;
 
@@ -102,7 +108,11 @@ function renderProfileHTML(data, username, domain) {
   if (data.watches && data.watches.length > 0) {
     const firstWatch = data.watches[0];
     const imageToken = firstWatch.thumbnail_url || firstWatch.full_image_url;
-    if (imageToken) {
+    const stableImagePath = getStableWatchImagePath(firstWatch, username);
+    if (stableImagePath) {
+      // Stable resolver URL - survives crawlers re-scraping after the token expires
+      ogImageUrl = `https://${domain}${stableImagePath}`;
+    } else if (imageToken) {
       ogImageUrl = `https://${domain}/api/img/${imageToken}`;
     }
   }
@@ -114,6 +124,15 @@ function renderProfileHTML(data, username, domain) {
     .replace(/\{\{WATCH_COUNT\}\}/g, data.stats.watch_count.toString())
     .replace(/\{\{OG_IMAGE_URL\}\}/g, ogImageUrl);
 
+  // Blur-up placeholders (watch photos are square) - rendered by the client behind each image
+  if (data.watches) {
+    data.watches = await Promise.all(data.watches.map(async watch => ({
+      ...watch,
+      image_placeholder: await buildImagePlaceholder(watch.image_blurhash) ||
+        await findImageLqip(watch.thumbnail_url, process.env),
+    })));
+  }
+
   // Inject profile data as JSON for client-side hydration
   const dataScript = `<script>window.__PROFILE_DATA__ = ${JSON.stringify(data)};</script>`;
   html = html.replace('</head>', `${dataScript}</head>`);
@@ -124,193 +143,23 @@ function renderProfileHTML(data, username, domain) {
 /**
  * Render error page
  * For 404 (private/non-existent profiles): Shows v1-style page prompting app download
- * For other errors: Shows simple error message
+ * For other errors: Shows the shared branded error page (lib/error-page.js)
  */
 function renderErrorPage(username, domain, errorType) {
-  const safeUsername = escapeHtml(username);
-
   // For 404 or invalid username, show the v1-style profile page (app download prompt)
   // This prevents revealing whether a username exists, is private, or has invalid format
   if (errorType === '404' || errorType === 'invalid') {
-    return renderFallbackProfilePage(safeUsername, domain);
+    return renderFallbackProfilePage(username, domain);
   }
 
-  // For server errors (500), show an error page
-  const title = 'Error Loading Profile';
-  const message = 'Something went wrong. Please try again later.';
-  const statusCode = 500;
-
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="robots" content="noindex,nofollow">
-    <title>${title} - tickIQ</title>
-
-    <!-- Favicons -->
-    <link rel="icon" href="/favicon.ico" sizes="any">
-    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon-16x16.png">
-    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon-32x32.png">
-    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon-180x180.png">
-
-    <!-- Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-
-    <!-- Main site styles -->
-    <link rel="stylesheet" href="/css/styles.css">
-
-    <style>
-        body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-            background: linear-gradient(to bottom, #1A1612 0%, #000000 100%);
-            color: #FFFFFF;
-            min-height: 100vh;
-        }
-
-        /* Profile page header - white nav links in expanded state */
-        #header:not(.collapsed) .nav-link {
-            color: rgba(255, 255, 255, 0.7) !important;
-        }
-
-        /* Profile page header - white logo in expanded state */
-        #header:not(.collapsed) .header-logo {
-            filter: brightness(0) invert(1) !important;
-        }
-
-        /* Profile page header - inverted "Get the app" button in expanded state */
-        #header:not(.collapsed) .get-app-button {
-            background: #FFFFFF !important;
-            color: #000000 !important;
-            border: 1px solid #FFFFFF !important;
-        }
-
-        #header:not(.collapsed) .get-app-button .apple-icon {
-            color: #000000 !important;
-        }
-
-        /* Profile page header - white hamburger icon in expanded state */
-        #header:not(.collapsed) .hamburger,
-        #header:not(.collapsed) .menu-icon,
-        #header:not(.collapsed) .mobile-menu-toggle,
-        #header:not(.collapsed) .hamburger-icon {
-            filter: brightness(0) invert(1) !important;
-        }
-
-        #header:not(.collapsed) .hamburger span,
-        #header:not(.collapsed) .menu-icon span,
-        #header:not(.collapsed) .mobile-menu-toggle span,
-        #header:not(.collapsed) .hamburger-icon span {
-            background: #FFFFFF !important;
-        }
-
-        .private-profile-container {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            min-height: 100vh;
-            padding: 12rem 2rem 10rem 2rem;
-            text-align: center;
-        }
-
-        .private-profile-content {
-            animation: fadeIn 0.6s ease;
-        }
-
-        @keyframes fadeIn {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
-        }
-
-        /* Question Mark Icon - matches iOS .font(.system(size: 64)) */
-        .question-icon {
-            width: 64px;
-            height: 64px;
-            margin: 0 auto 24px;
-            opacity: 0.3;
-            display: block;
-        }
-
-        /* Inner content wrapper for title + message - matches iOS VStack(spacing: 12) */
-        .private-profile-text {
-            display: flex;
-            flex-direction: column;
-            gap: 12px;
-        }
-
-        /* Title - matches iOS .title2 .semibold */
-        .private-profile-title {
-            font-size: 1.375rem;
-            font-weight: 600;
-            color: rgba(255, 255, 255, 0.9);
-            margin: 0;
-        }
-
-        /* Message - matches iOS .body */
-        .private-profile-message {
-            font-size: 1.0625rem;
-            color: rgba(255, 255, 255, 0.6);
-            line-height: 1.5;
-            padding: 0 40px;
-            margin: 0;
-        }
-
-        @media (max-width: 768px) {
-            .private-profile-container {
-                padding: 10rem 1.5rem 8rem 1.5rem;
-                min-height: 100vh;
-            }
-
-            .private-profile-message {
-                padding: 0 20px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <!-- Header will be injected by components.js -->
-    <header></header>
-
-    <div class="private-profile-container">
-        <div class="private-profile-content">
-            <!-- Question Mark Icon (SF Symbols style - questionmark.circle.fill) -->
-            <svg class="question-icon" width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet">
-                <!-- Circle background -->
-                <circle cx="32" cy="32" r="28" fill="white"/>
-                <!-- Question mark -->
-                <path d="M32 44.5C33.1 44.5 34 43.6 34 42.5C34 41.4 33.1 40.5 32 40.5C30.9 40.5 30 41.4 30 42.5C30 43.6 30.9 44.5 32 44.5Z" fill="#1A1612"/>
-                <path d="M32 18C27.05 18 23 22.05 23 27H27C27 24.25 29.25 22 32 22C34.75 22 37 24.25 37 27C37 29.75 34.75 32 32 32C30.9 32 30 32.9 30 34V38H34V35.5C37.95 34.45 41 30.95 41 27C41 22.05 36.95 18 32 18Z" fill="#1A1612"/>
-            </svg>
-
-            <div class="private-profile-text">
-                <h1 class="private-profile-title">${title}</h1>
-                <p class="private-profile-message">${message}</p>
-            </div>
-        </div>
-    </div>
-
-    <!-- Footer will be injected by components.js -->
-    <footer></footer>
-
-    <!-- Load shared components -->
-    <script src="/js/components.js"></script>
-</body>
-</html>`;
-
-  return new Response(html, {
-    status: statusCode,
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'no-cache',
-    },
+  // For server errors (500), show the branded error page (dark, like the profile)
+  return renderBrandedErrorPage({
+    status: 500,
+    title: 'Error Loading Profile',
+    message: 'Something went wrong. Please try again later.',
+    icon: 'question',
+    theme: 'dark',
+    headers: { 'Cache-Control': 'no-cache' },
   });
 }
 
@@ -318,7 +167,9 @@ function renderErrorPage(username, domain, errorType) {
  * Render v1-style fallback profile page for private/non-existent profiles
  * This shows a generic "view in app" page without revealing whether the profile exists
  */
-function renderFallbackProfilePage(safeUsername, domain) {
+function renderFallbackProfilePage(username, domain) {
+  const safeUsername = escapeHtml(username);
+
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>